@@ -4,8 +4,16 @@ import SizesPreview from './SizesPreview';
 import ConfigurationStatus from './ConfigurationStatus';
 import SettingsPanel from './SettingsPanel';
 import QuickGeneratePanel from './QuickGeneratePanel';
+import UpscalePreflightPanel from './UpscalePreflightPanel';
+import GenerationPlanPanel from './GenerationPlanPanel';
+import GenerationProgress from './GenerationProgress';
+import GenerationResultsPanel from './GenerationResultsPanel';
+import ProvenanceInspector from './ProvenanceInspector';
+import SourcePushResultsPanel from './SourcePushResultsPanel';
+import PrintPreflightPanel from './PrintPreflightPanel';
 import { usePhotoshopDocument } from '../hooks/usePhotoshopDocument';
 import { useArtboardGenerator } from '../hooks/useArtboardGenerator';
+import { DEFAULT_RESOLUTION } from '../services/artboardGenerator';
 
 /**
  * Main artboard generator tab component
@@ -13,7 +21,7 @@ import { useArtboardGenerator } from '../hooks/useArtboardGenerator';
  */
 const ArtboardGeneratorTab = ({ taskDetails }) => {
   // Document data
-  const { artboards, layers, loading: docLoading, refresh: refreshDoc } = usePhotoshopDocument();
+  const { artboards, layers, resolution, loading: docLoading, refresh: refreshDoc } = usePhotoshopDocument();
 
   // Get task ID from taskDetails
   const taskId = taskDetails?.task_id;
@@ -39,8 +47,41 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
     generationError,
     generate,
     generateSingle,
+    preflighting,
+    preflightReport,
+    confirmPreflight,
+    cancelPreflight,
+    planning,
+    plan,
+    previewPlan,
+    clearPlan,
+    cancelling,
+    cancelGeneration,
+    generationResult,
+    resumeGeneration,
+    retryFailed,
+    clearGenerationResult,
+    pushing,
+    pushResult,
+    pushFromSource,
+    clearPushResult,
+    tidying,
+    tidyResult,
+    tidyArtboards,
+    clearTidyResult,
+    printPreflighting,
+    printPreflightReport,
+    checkPrint,
+    clearPrintPreflight,
+    selectPrintIssue,
+    sortLayers,
+    removeLabels,
+    removePrinterMarks,
     validateConfig,
     canGenerateSize,
+    sourceTypes,
+    sourceOverrides,
+    setSourceOverride,
     taskName,
     sizesFromCache,
     getCacheAge,
@@ -103,9 +144,18 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
 
   const validationErrors = validateConfig();
 
+  // Print sizes are converted at the document's PPI - below print resolution they come out soft
+  const hasPrintSizes = sizes.some((size) => size.type === 'print' || size.requiresBleed);
+  const lowResolutionForPrint = !!resolution && resolution < DEFAULT_RESOLUTION && hasPrintSizes;
+
   // Count how many sizes can actually be generated
   const generatableSizesCount = sizes.filter(size => canGenerateSize(size)).length;
-  const canGenerate = documentErrors.length === 0 && validationErrors.length === 0 && !generating && !docLoading && generatableSizesCount > 0;
+  const canGenerate = documentErrors.length === 0 && validationErrors.length === 0 && !generating && !preflighting && !preflightReport && !docLoading && generatableSizesCount > 0;
+  const canPreviewPlan = canGenerate && !planning;
+  const canPushChanges = !generating && !pushing && !preflighting && !docLoading &&
+    Object.values(sourceConfig).some((source) => source?.artboard);
+  const canTidyCanvas = !generating && !pushing && !tidying && !preflighting && !docLoading && artboards.length > 0;
+  const canCheckPrint = !generating && !printPreflighting && !docLoading && artboards.length > 0;
 
   // Debug logging
   console.log('[ArtboardGeneratorTab] Button state debug:', {
@@ -116,16 +166,19 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
     docLoading,
     sizesCount: sizes.length,
     generatableSizesCount,
-    sourceConfig: {
-      landscape: sourceConfig.landscape?.artboard || 'not set',
-      portrait: sourceConfig.portrait?.artboard || 'not set',
-      square: sourceConfig.square?.artboard || 'not set',
-    },
+    sourceConfig: Object.fromEntries(sourceTypes.map(sourceType => [
+      sourceType.id,
+      sourceConfig[sourceType.id]?.artboard || 'not set',
+    ])),
     sizes: sizes.map(s => ({ name: s.name, width: s.width, height: s.height, ratio: (s.width / s.height).toFixed(2) })),
   });
 
   // Refs for buttons - needed for UXP web component event handling
   const generateButtonRef = useRef(null);
+  const previewPlanButtonRef = useRef(null);
+  const pushChangesButtonRef = useRef(null);
+  const tidyCanvasButtonRef = useRef(null);
+  const checkPrintButtonRef = useRef(null);
   const refreshSizesButtonRef = useRef(null);
   const loadSizesButtonRef = useRef(null);
 
@@ -137,6 +190,38 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
     }
   }, [canGenerate, generate]);
 
+  // Handle preview plan button click
+  const handlePreviewPlan = useCallback(() => {
+    console.log('[ArtboardGeneratorTab] Preview plan button clicked, canPreviewPlan:', canPreviewPlan);
+    if (canPreviewPlan) {
+      previewPlan();
+    }
+  }, [canPreviewPlan, previewPlan]);
+
+  // Handle push changes button click
+  const handlePushChanges = useCallback(() => {
+    console.log('[ArtboardGeneratorTab] Push changes button clicked, canPushChanges:', canPushChanges);
+    if (canPushChanges) {
+      pushFromSource();
+    }
+  }, [canPushChanges, pushFromSource]);
+
+  // Handle tidy canvas button click
+  const handleTidyCanvas = useCallback(() => {
+    console.log('[ArtboardGeneratorTab] Tidy canvas button clicked, canTidyCanvas:', canTidyCanvas);
+    if (canTidyCanvas) {
+      tidyArtboards();
+    }
+  }, [canTidyCanvas, tidyArtboards]);
+
+  // Handle print preflight button click
+  const handleCheckPrint = useCallback(() => {
+    console.log('[ArtboardGeneratorTab] Print preflight button clicked, canCheckPrint:', canCheckPrint);
+    if (canCheckPrint) {
+      checkPrint();
+    }
+  }, [canCheckPrint, checkPrint]);
+
   // Handle refresh sizes button click
   const handleRefreshSizes = useCallback(() => {
     console.log('[ArtboardGeneratorTab] Refresh sizes button clicked, sizesLoading:', sizesLoading);
@@ -164,6 +249,82 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
     }
   }, [handleGenerate]);
 
+  // Attach event listener to preview plan button
+  useEffect(() => {
+    const button = previewPlanButtonRef.current;
+    if (button) {
+      button.addEventListener('click', handlePreviewPlan);
+      return () => {
+        button.removeEventListener('click', handlePreviewPlan);
+      };
+    }
+  }, [handlePreviewPlan]);
+
+  // Update disabled state on preview plan button
+  useEffect(() => {
+    const button = previewPlanButtonRef.current;
+    if (button) {
+      button.disabled = !canPreviewPlan;
+    }
+  }, [canPreviewPlan]);
+
+  // Attach event listener to push changes button
+  useEffect(() => {
+    const button = pushChangesButtonRef.current;
+    if (button) {
+      button.addEventListener('click', handlePushChanges);
+      return () => {
+        button.removeEventListener('click', handlePushChanges);
+      };
+    }
+  }, [handlePushChanges]);
+
+  // Update disabled state on push changes button
+  useEffect(() => {
+    const button = pushChangesButtonRef.current;
+    if (button) {
+      button.disabled = !canPushChanges;
+    }
+  }, [canPushChanges]);
+
+  // Attach event listener to tidy canvas button
+  useEffect(() => {
+    const button = tidyCanvasButtonRef.current;
+    if (button) {
+      button.addEventListener('click', handleTidyCanvas);
+      return () => {
+        button.removeEventListener('click', handleTidyCanvas);
+      };
+    }
+  }, [handleTidyCanvas]);
+
+  // Update disabled state on tidy canvas button
+  useEffect(() => {
+    const button = tidyCanvasButtonRef.current;
+    if (button) {
+      button.disabled = !canTidyCanvas;
+    }
+  }, [canTidyCanvas]);
+
+  // Attach event listener to print preflight button
+  useEffect(() => {
+    const button = checkPrintButtonRef.current;
+    if (button) {
+      button.addEventListener('click', handleCheckPrint);
+      return () => {
+        button.removeEventListener('click', handleCheckPrint);
+      };
+    }
+  }, [handleCheckPrint]);
+
+  // Update disabled state on print preflight button
+  useEffect(() => {
+    const button = checkPrintButtonRef.current;
+    if (button) {
+      button.disabled = !canCheckPrint;
+    }
+  }, [canCheckPrint]);
+
   // Attach event listener to refresh sizes button
   useEffect(() => {
     const button = refreshSizesButtonRef.current;
@@ -237,6 +398,18 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
           </div>
         )}
 
+        {!docLoading && resolution && (
+          <sp-body size="xs" class="hint-text">
+            Document: {Math.round(resolution)} PPI - bleed and crop marks are converted at this resolution
+          </sp-body>
+        )}
+
+        {!docLoading && lowResolutionForPrint && (
+          <sp-body size="s" class="warning-text">
+            ⚠️ Print sizes in a {Math.round(resolution)} PPI document - print output usually needs {DEFAULT_RESOLUTION} PPI
+          </sp-body>
+        )}
+
         {/* Fail-fast document errors */}
         {documentErrors.length > 0 && (
           <div className="document-errors">
@@ -260,6 +433,17 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
           generating={generating}
           generatableSizesCount={generatableSizesCount}
           canGenerate={canGenerate}
+          onPushChanges={handlePushChanges}
+          pushing={pushing}
+          canPushChanges={canPushChanges}
+          onTidyCanvas={handleTidyCanvas}
+          tidying={tidying}
+          canTidyCanvas={canTidyCanvas}
+          onCheckPrint={handleCheckPrint}
+          printPreflighting={printPreflighting}
+          canCheckPrint={canCheckPrint}
+          sourceTypes={sourceTypes}
+          sourceOverrides={sourceOverrides}
         />
       )}
 
@@ -270,6 +454,8 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
           sizes={sizes}
           options={options}
           printSettings={printSettings}
+          sourceTypes={sourceTypes}
+          sourceOverrides={sourceOverrides}
         />
       )}
 
@@ -281,6 +467,8 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
           sourceConfig={sourceConfig}
           onConfigChange={setSourceConfig}
           sizes={sizes}
+          sourceTypes={sourceTypes}
+          sourceOverrides={sourceOverrides}
         />
       )}
 
@@ -386,6 +574,9 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
             onGenerateSingle={generateSingle}
             sourceConfig={sourceConfig}
             disabled={generating || docLoading}
+            sourceTypes={sourceTypes}
+            sourceOverrides={sourceOverrides}
+            onSourceOverride={setSourceOverride}
           />
         )}
 
@@ -393,15 +584,11 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
         {sizes.length > 0 && !showQuickMode && (
           <div className="generation-section-inline">
             {generating && (
-              <div className="generation-progress">
-                <sp-body size="s">
-                  Generating: {progress.name} ({progress.current}/{progress.total})
-                </sp-body>
-                <sp-progress-bar
-                  value={(progress.current / progress.total) * 100}
-                  size="s"
-                ></sp-progress-bar>
-              </div>
+              <GenerationProgress
+                progress={progress}
+                onCancel={options.useBatchMethod ? cancelGeneration : null}
+                cancelling={cancelling}
+              />
             )}
 
             {generationError && (
@@ -420,28 +607,107 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
               </div>
             )}
 
-            <sp-button
-              ref={generateButtonRef}
-              variant="cta"
-            >
-              {generating
-                ? 'Generating...'
-                : `Generate All (${generatableSizesCount})`
-              }
-            </sp-button>
+            <div className="generation-buttons">
+              <sp-button
+                ref={generateButtonRef}
+                variant="cta"
+              >
+                {generating
+                  ? 'Generating...'
+                  : preflighting
+                    ? 'Checking...'
+                    : `Generate All (${generatableSizesCount})`
+                }
+              </sp-button>
+              <sp-button
+                ref={previewPlanButtonRef}
+                variant="secondary"
+              >
+                {planning ? 'Planning...' : 'Preview Plan'}
+              </sp-button>
+              <sp-button
+                ref={pushChangesButtonRef}
+                variant="secondary"
+              >
+                {pushing ? 'Pushing...' : 'Push Changes from Source'}
+              </sp-button>
+              <sp-button
+                ref={tidyCanvasButtonRef}
+                variant="secondary"
+              >
+                {tidying ? 'Tidying...' : 'Tidy Canvas'}
+              </sp-button>
+              <sp-button
+                ref={checkPrintButtonRef}
+                variant="secondary"
+              >
+                {printPreflighting ? 'Checking...' : 'Print Preflight'}
+              </sp-button>
+            </div>
           </div>
         )}
 
+        {/* Dry-run plan - what Generate would do, without touching the document */}
+        {plan && !generating && (
+          <GenerationPlanPanel plan={plan} onClose={clearPlan} />
+        )}
+
+        {/* Upscaling preflight - shown when layers would be enlarged past the threshold */}
+        {preflightReport && !generating && (
+          <UpscalePreflightPanel
+            report={preflightReport}
+            onContinue={confirmPreflight}
+            onCancel={cancelPreflight}
+          />
+        )}
+
         {/* Progress indicator for quick mode */}
         {sizes.length > 0 && showQuickMode && generating && (
-          <div className="generation-progress">
-            <sp-body size="s">
-              Generating: {progress.name} ({progress.current}/{progress.total})
+          <GenerationProgress
+            progress={progress}
+            onCancel={options.useBatchMethod ? cancelGeneration : null}
+            cancelling={cancelling}
+          />
+        )}
+
+        {/* Results of the last batch - created, skipped and failed sizes */}
+        {generationResult && !generating && (
+          <GenerationResultsPanel
+            result={generationResult}
+            onResume={resumeGeneration}
+            onRetryFailed={retryFailed}
+            onClose={clearGenerationResult}
+            disabled={!canGenerate}
+          />
+        )}
+
+        {/* Results of the last push from source */}
+        {pushResult && !pushing && (
+          <SourcePushResultsPanel result={pushResult} onClose={clearPushResult} />
+        )}
+
+        {/* Print preflight - pass/warn/fail checks for the print artboards */}
+        {printPreflightReport && !printPreflighting && (
+          <PrintPreflightPanel
+            report={printPreflightReport}
+            onSelect={selectPrintIssue}
+            onClose={clearPrintPreflight}
+          />
+        )}
+
+        {/* Result of the last tidy */}
+        {tidyResult && !tidying && (
+          <div className="undo-reminder">
+            <sp-body size="s" class="success-text">
+              ✓ Tidied canvas - moved {tidyResult.moved} of {tidyResult.total} artboards{tidyResult.reflowed ? ', rows re-flowed to fit the canvas limit' : ''}. Undo with one step if needed.
             </sp-body>
-            <sp-progress-bar
-              value={(progress.current / progress.total) * 100}
-              size="s"
-            ></sp-progress-bar>
+            <sp-action-button
+              size="xs"
+              quiet
+              onClick={clearTidyResult}
+            >
+              ✕
+            </sp-action-button>
           </div>
         )}
 
@@ -469,7 +735,13 @@ const ArtboardGeneratorTab = ({ taskDetails }) => {
         onOptionsChange={setOptions}
         printSettings={printSettings}
         onPrintSettingsChange={setPrintSettings}
+        onRemoveLabels={removeLabels}
+        onRemovePrinterMarks={removePrinterMarks}
+        onSortLayers={sortLayers}
       />
+
+      {/* Provenance of the selected artboard */}
+      <ProvenanceInspector />
     </div>
   );
 };
@@ -1,38 +1,28 @@
 import React, { useMemo, useCallback } from 'react';
-import { SOURCE_TYPES, ASPECT_RATIO_THRESHOLDS } from '../../../config';
+import { determineSourceType } from '../services/artboardGenerator';
+import { SOURCE_TYPES } from '../../../config';
 
 /**
- * Determines the aspect ratio category of an artboard
+ * Determines the source type category of an artboard
  * @param {Object} artboard - Artboard with bounds
- * @returns {string} - 'landscape', 'portrait', or 'square'
+ * @param {Array} sourceTypes - Source type definitions
+ * @returns {string} - Source type ID, or 'unknown'
  */
-const getArtboardCategory = (artboard) => {
+const getArtboardCategory = (artboard, sourceTypes) => {
   if (!artboard?.bounds) return 'unknown';
   const { width, height } = artboard.bounds;
-  const ratio = width / height;
-  
-  if (ratio < ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX) return 'portrait';
-  if (ratio > ASPECT_RATIO_THRESHOLDS.SQUARE_MAX) return 'landscape';
-  return 'square';
+  return determineSourceType(width / height, sourceTypes) || 'unknown';
 };
 
 /**
  * Check if artboard matches the expected category
  * @param {Object} artboard - Artboard with bounds  
  * @param {string} expectedCategory - Expected category id
+ * @param {Array} sourceTypes - Source type definitions
  * @returns {boolean}
  */
-const isMatchingAspectRatio = (artboard, expectedCategory) => {
-  return getArtboardCategory(artboard) === expectedCategory;
-};
-
-/**
- * Category icons/emojis for each source type
- */
-const CATEGORY_ICONS = {
-  landscape: '🖼️',
-  portrait: '📱',
-  square: '⬜',
+const isMatchingAspectRatio = (artboard, expectedCategory, sourceTypes) => {
+  return getArtboardCategory(artboard, sourceTypes) === expectedCategory;
 };
 
 /**
@@ -44,7 +34,8 @@ const ArtboardSelector = ({
   sourceConfig, 
   onConfigChange,
   onRefresh,
-  refreshing
+  refreshing,
+  sourceTypes = SOURCE_TYPES
 }) => {
 
   // Handle artboard selection for a category
@@ -63,28 +54,28 @@ const ArtboardSelector = ({
 
   // Group artboards by their natural aspect ratio
   const artboardsByCategory = useMemo(() => {
-    const grouped = { landscape: [], portrait: [], square: [] };
+    const grouped = Object.fromEntries(sourceTypes.map(s => [s.id, []]));
     
     artboards.forEach(ab => {
-      const category = getArtboardCategory(ab);
+      const category = getArtboardCategory(ab, sourceTypes);
       if (grouped[category]) {
         grouped[category].push(ab);
       }
     });
     
     return grouped;
-  }, [artboards]);
+  }, [artboards, sourceTypes]);
 
   // Get count of selected artboards
   const selectedCount = useMemo(() => {
-    return SOURCE_TYPES.filter(s => sourceConfig[s.id]?.artboard).length;
-  }, [sourceConfig]);
+    return sourceTypes.filter(s => sourceConfig[s.id]?.artboard).length;
+  }, [sourceConfig, sourceTypes]);
 
   return (
     <div className="artboard-selector">
       <div className="selector-header">
         <sp-body size="xs" class="selector-hint">
-          {selectedCount}/3 sources selected
+          {selectedCount}/{sourceTypes.length} sources selected
         </sp-body>
         <button 
           type="button" 
@@ -97,7 +88,7 @@ const ArtboardSelector = ({
         </button>
       </div>
 
-      {SOURCE_TYPES.map((sourceType) => {
+      {sourceTypes.map((sourceType) => {
         const selectedArtboard = sourceConfig[sourceType.id]?.artboard;
         const hasSelection = !!selectedArtboard;
 
@@ -105,7 +96,7 @@ const ArtboardSelector = ({
           <div key={sourceType.id} className="selector-category">
             {/* Category Header - Simple text */}
             <div className="category-header">
-              <span className="category-icon">{CATEGORY_ICONS[sourceType.id]}</span>
+              <span className="category-icon">{sourceType.icon}</span>
               <span className="category-label">{sourceType.label}</span>
               {hasSelection && <span className="category-check">✓</span>}
             </div>
@@ -117,7 +108,7 @@ const ArtboardSelector = ({
               ) : (
                 artboards.map((ab) => {
                   const isSelected = selectedArtboard === ab.name;
-                  const isMatching = isMatchingAspectRatio(ab, sourceType.id);
+                  const isMatching = isMatchingAspectRatio(ab, sourceType.id, sourceTypes);
                   
                   return (
                     <button
@@ -1,22 +1,19 @@
 import React, { useMemo } from 'react';
-import { SOURCE_TYPES, ASPECT_RATIO_THRESHOLDS } from '../../../config';
+import { resolveSourceType } from '../services/artboardGenerator';
+import { SOURCE_TYPES } from '../../../config';
 
 /**
- * Determines what orientations are needed based on loaded sizes
+ * Determines what source types are needed based on loaded sizes
  * @param {Array} sizes - Loaded sizes
- * @returns {Set<string>} Set of needed orientation types
+ * @param {Array} sourceTypes - Source type definitions
+ * @param {Object} sourceOverrides - Size key → source type ID set manually
+ * @returns {Set<string>} Set of needed source type IDs
  */
-const getNeededOrientations = (sizes) => {
+const getNeededSourceTypes = (sizes, sourceTypes, sourceOverrides) => {
   const needed = new Set();
   sizes.forEach(size => {
-    const ratio = size.width / size.height;
-    if (ratio < ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX) {
-      needed.add('portrait');
-    } else if (ratio > ASPECT_RATIO_THRESHOLDS.SQUARE_MAX) {
-      needed.add('landscape');
-    } else {
-      needed.add('square');
-    }
+    const sourceType = resolveSourceType(size, sourceTypes, sourceOverrides);
+    if (sourceType) needed.add(sourceType);
   });
   return needed;
 };
@@ -26,15 +23,15 @@ const getNeededOrientations = (sizes) => {
  * Shows progress of source configuration at a glance
  * 🟢 = Ready, 🟡 = Warning/Partial, 🔴 = Error/Missing
  */
-const ConfigurationStatus = ({ sourceConfig, sizes, options, printSettings }) => {
+const ConfigurationStatus = ({ sourceConfig, sizes, options, printSettings, sourceTypes = SOURCE_TYPES, sourceOverrides = {} }) => {
   const status = useMemo(() => {
-    const neededOrientations = getNeededOrientations(sizes);
+    const neededSourceTypes = getNeededSourceTypes(sizes, sourceTypes, sourceOverrides);
     const configured = [];
     const missing = [];
 
-    SOURCE_TYPES.forEach(source => {
+    sourceTypes.forEach(source => {
       const isConfigured = !!sourceConfig[source.id]?.artboard;
-      const isNeeded = neededOrientations.has(source.id);
+      const isNeeded = neededSourceTypes.has(source.id);
 
       if (isNeeded) {
         if (isConfigured) {
@@ -46,7 +43,7 @@ const ConfigurationStatus = ({ sourceConfig, sizes, options, printSettings }) =>
     });
 
     // Calculate layer assignment status
-    const layerCounts = SOURCE_TYPES.map(source => {
+    const layerCounts = sourceTypes.map(source => {
       if (!sourceConfig[source.id]?.artboard) return 0;
       const layers = sourceConfig[source.id]?.layers || {};
       return Object.values(layers).filter(v => v !== null && v !== '').length;
@@ -58,10 +55,10 @@ const ConfigurationStatus = ({ sourceConfig, sizes, options, printSettings }) =>
       missing,
       total: configured.length + missing.length,
       isComplete: missing.length === 0 && configured.length > 0,
-      neededOrientations,
+      neededSourceTypes,
       totalLayersAssigned,
     };
-  }, [sourceConfig, sizes]);
+  }, [sourceConfig, sizes, sourceTypes, sourceOverrides]);
 
   const optionsSummary = useMemo(() => {
     const parts = [];
@@ -113,7 +110,7 @@ const ConfigurationStatus = ({ sourceConfig, sizes, options, printSettings }) =>
             Sources: {status.isComplete ? 'Ready' : `${status.configured.length}/${status.total}`}
             {status.missing.length > 0 && (
               <span className="missing-hint">
-                {' '}(need {status.missing.map(s => s.label.split(' ')[0]).join(', ')})
+                {' '}(need {status.missing.map(s => s.label.split(' (')[0]).join(', ')})
               </span>
             )}
           </sp-body>
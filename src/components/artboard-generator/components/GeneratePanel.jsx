@@ -14,10 +14,11 @@ const GeneratePanel = ({
   progress,
   generationError,
   onGenerate,
-  canGenerate
+  canGenerate,
+  sourceTypes = SOURCE_TYPES
 }) => {
   // Count configured sources
-  const configuredSources = SOURCE_TYPES.filter(
+  const configuredSources = sourceTypes.filter(
     source => sourceConfig[source.id]?.artboard
   );
 
@@ -0,0 +1,201 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+
+const MAP_WIDTH = 280;
+const MAP_MAX_HEIGHT = 220;
+
+/**
+ * Dry-run plan for a batch
+ * Shows what generation would do as a table plus a scaled-down map of the canvas,
+ * so wrong sources or overlapping placements can be caught before anything is created
+ */
+const GenerationPlanPanel = ({ plan, onClose }) => {
+  // Ref for close button - needed for UXP web component event handling
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    const button = closeButtonRef.current;
+    if (button) {
+      button.addEventListener('click', onClose);
+      return () => {
+        button.removeEventListener('click', onClose);
+      };
+    }
+  }, [onClose]);
+
+  const overlappingNames = useMemo(
+    () => new Set((plan?.overlaps || []).map((o) => o.name)),
+    [plan]
+  );
+
+  // Scale every rectangle on the canvas into the map box
+  const map = useMemo(() => {
+    if (!plan) return null;
+
+    const sourceNames = new Set(plan.sources.map((s) => s.artboard));
+    const rects = [
+      ...plan.existing.map((a) => ({
+        key: `existing-${a.id}`,
+        name: a.name,
+        x: a.left,
+        y: a.top,
+        width: a.width,
+        height: a.height,
+        kind: sourceNames.has(a.name) ? 'source' : 'existing',
+      })),
+      ...plan.artboards.map((a, index) => ({
+        key: `planned-${index}`,
+        name: a.name,
+        x: a.position.x,
+        y: a.position.y,
+        width: a.actualWidth,
+        height: a.actualHeight,
+        kind: overlappingNames.has(a.name) ? 'overlap' : 'planned',
+      })),
+    ];
+
+    if (rects.length === 0) return null;
+
+    const minX = Math.min(...rects.map((r) => r.x));
+    const minY = Math.min(...rects.map((r) => r.y));
+    const maxX = Math.max(...rects.map((r) => r.x + r.width));
+    const maxY = Math.max(...rects.map((r) => r.y + r.height));
+    const scale = Math.min(MAP_WIDTH / (maxX - minX), MAP_MAX_HEIGHT / (maxY - minY));
+
+    return {
+      width: Math.ceil((maxX - minX) * scale),
+      height: Math.ceil((maxY - minY) * scale),
+      rects: rects.map((r) => ({
+        ...r,
+        style: {
+          left: `${(r.x - minX) * scale}px`,
+          top: `${(r.y - minY) * scale}px`,
+          width: `${Math.max(1, r.width * scale)}px`,
+          height: `${Math.max(1, r.height * scale)}px`,
+        },
+      })),
+    };
+  }, [plan, overlappingNames]);
+
+  if (!plan) return null;
+
+  return (
+    <div className="generation-plan">
+      <div className="generation-plan-header">
+        <sp-label size="m">📋 Generation Plan</sp-label>
+        <sp-action-button ref={closeButtonRef} size="xs" quiet>
+          ✕
+        </sp-action-button>
+      </div>
+
+      <sp-body size="s">
+        {plan.artboards.length} artboard{plan.artboards.length !== 1 ? 's' : ''} will be created
+        {plan.skipped.length > 0 && `, ${plan.skipped.length} skipped`}
+        {plan.unassigned.length > 0 && `, ${plan.unassigned.length} without a source`}
+        {plan.artboards.some((a) => a.replaces) && ` (${plan.artboards.filter((a) => a.replaces).length} updated in place)`}
+        . Nothing has been changed in the document.
+      </sp-body>
+
+      {/* Problems worth fixing before generating */}
+      {(plan.overlaps.length > 0 || plan.unassigned.length > 0 || plan.orphaned.length > 0 || plan.reflowed) && (
+        <div className="generation-plan-warnings">
+          {plan.reflowed && (
+            <sp-body size="xs" class="warning-text">
+              • Rows were re-flowed to fit Photoshop's {plan.canvasLimit}px canvas limit
+            </sp-body>
+          )}
+          {plan.overlaps.map((overlap, index) => (
+            <sp-body key={`overlap-${index}`} size="xs" class="warning-text">
+              • "{overlap.name}" overlaps "{overlap.with}"
+            </sp-body>
+          ))}
+          {plan.orphaned.map((artboard) => (
+            <sp-body key={`orphaned-${artboard.id}`} size="xs" class="warning-text">
+              • "{artboard.name}" is no longer in the checklist
+            </sp-body>
+          ))}
+          {plan.unassigned.map((size, index) => (
+            <sp-body key={`unassigned-${index}`} size="xs" class="warning-text">
+              • "{size.name}": {size.reason}
+            </sp-body>
+          ))}
+        </div>
+      )}
+
+      {/* Mini canvas map */}
+      {map && (
+        <div className="generation-plan-map" style={{ width: `${map.width}px`, height: `${map.height}px` }}>
+          {map.rects.map((rect) => (
+            <div
+              key={rect.key}
+              className={`generation-plan-map-rect generation-plan-map-${rect.kind}`}
+              style={rect.style}
+              title={rect.name}
+            />
+          ))}
+        </div>
+      )}
+      {map && (
+        <div className="generation-plan-legend">
+          <span className="generation-plan-legend-item generation-plan-map-source">Source</span>
+          <span className="generation-plan-legend-item generation-plan-map-existing">Existing</span>
+          <span className="generation-plan-legend-item generation-plan-map-planned">New</span>
+          {plan.overlaps.length > 0 && (
+            <span className="generation-plan-legend-item generation-plan-map-overlap">Overlap</span>
+          )}
+        </div>
+      )}
+
+      {/* Plan table */}
+      <div className="generation-plan-table">
+        <div className="generation-plan-row generation-plan-row-header">
+          <span className="generation-plan-cell generation-plan-cell-name">Size</span>
+          <span className="generation-plan-cell">Source</span>
+          <span className="generation-plan-cell">Artboard</span>
+          <span className="generation-plan-cell">Position</span>
+          <span className="generation-plan-cell generation-plan-cell-layers">Layer scales</span>
+        </div>
+        {plan.artboards.map((artboard, index) => (
+          <div
+            key={index}
+            className={`generation-plan-row ${overlappingNames.has(artboard.name) ? 'generation-plan-row-overlap' : ''}`}
+          >
+            <span className="generation-plan-cell generation-plan-cell-name">
+              {artboard.name}
+              <br />
+              {artboard.width}×{artboard.height}
+            </span>
+            <span className="generation-plan-cell">{artboard.sourceType}</span>
+            <span className="generation-plan-cell">
+              {Math.round(artboard.actualWidth)}×{Math.round(artboard.actualHeight)}
+              {artboard.bleedPx > 0 && <><br />+{Math.round(artboard.bleedPx)}px bleed</>}
+            </span>
+            <span className="generation-plan-cell">
+              {Math.round(artboard.position.x)}, {Math.round(artboard.position.y)}
+              {artboard.replaces && <><br />updates existing</>}
+            </span>
+            <span className="generation-plan-cell generation-plan-cell-layers">
+              {artboard.layers.map((layer) => (
+                <span key={layer.name} className={layer.scalePercent > 100 ? 'warning-text' : ''}>
+                  {layer.name}: {layer.scalePercent.toFixed(0)}%
+                  <br />
+                </span>
+              ))}
+            </span>
+          </div>
+        ))}
+        {plan.skipped.map((size, index) => (
+          <div key={`skipped-${index}`} className="generation-plan-row generation-plan-row-skipped">
+            <span className="generation-plan-cell generation-plan-cell-name">
+              {size.name}
+              <br />
+              {size.width}×{size.height}
+            </span>
+            <span className="generation-plan-cell generation-plan-cell-layers">Skipped - {size.reason}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GenerationPlanPanel;
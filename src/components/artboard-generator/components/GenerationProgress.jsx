@@ -0,0 +1,51 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Progress bar for a running generation, with a Cancel button
+ * Cancelling stops the batch between sizes - artboards already created are kept
+ */
+const GenerationProgress = ({ progress, onCancel, cancelling }) => {
+  // Ref for cancel button - needed for UXP web component event handling
+  const cancelButtonRef = useRef(null);
+
+  useEffect(() => {
+    const button = cancelButtonRef.current;
+    if (button && onCancel) {
+      button.addEventListener('click', onCancel);
+      return () => {
+        button.removeEventListener('click', onCancel);
+      };
+    }
+  }, [onCancel]);
+
+  // Update disabled state on cancel button (UXP needs direct property setting)
+  useEffect(() => {
+    const button = cancelButtonRef.current;
+    if (button) {
+      button.disabled = cancelling;
+    }
+  }, [cancelling]);
+
+  return (
+    <div className="generation-progress">
+      <div className="generation-progress-header">
+        <sp-body size="s">
+          {cancelling
+            ? `Cancelling after ${progress.name}...`
+            : `Generating: ${progress.name} (${progress.current}/${progress.total})`}
+        </sp-body>
+        {onCancel && (
+          <sp-action-button ref={cancelButtonRef} size="s" quiet>
+            Cancel
+          </sp-action-button>
+        )}
+      </div>
+      <sp-progress-bar
+        value={progress.total > 0 ? (progress.current / progress.total) * 100 : 0}
+        size="s"
+      ></sp-progress-bar>
+    </div>
+  );
+};
+
+export default GenerationProgress;
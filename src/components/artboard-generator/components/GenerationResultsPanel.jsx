@@ -0,0 +1,147 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Results of the last batch
+ * Lists created, skipped and failed sizes (plus any left behind by a cancel),
+ * with actions to retry only the failures or resume a cancelled batch
+ */
+const GenerationResultsPanel = ({ result, onResume, onRetryFailed, onClose, disabled }) => {
+  // Refs for buttons - needed for UXP web component event handling
+  const retryButtonRef = useRef(null);
+  const resumeButtonRef = useRef(null);
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    const button = retryButtonRef.current;
+    if (button) {
+      button.addEventListener('click', onRetryFailed);
+      return () => {
+        button.removeEventListener('click', onRetryFailed);
+      };
+    }
+  }, [onRetryFailed, result]);
+
+  useEffect(() => {
+    const button = resumeButtonRef.current;
+    if (button) {
+      button.addEventListener('click', onResume);
+      return () => {
+        button.removeEventListener('click', onResume);
+      };
+    }
+  }, [onResume, result]);
+
+  useEffect(() => {
+    const button = closeButtonRef.current;
+    if (button) {
+      button.addEventListener('click', onClose);
+      return () => {
+        button.removeEventListener('click', onClose);
+      };
+    }
+  }, [onClose]);
+
+  // Update disabled state on action buttons (UXP needs direct property setting)
+  useEffect(() => {
+    [retryButtonRef.current, resumeButtonRef.current].forEach((button) => {
+      if (button) {
+        button.disabled = disabled;
+      }
+    });
+  }, [disabled, result]);
+
+  if (!result) return null;
+
+  const {
+    createdArtboards = [],
+    skippedSizes = [],
+    failedSizes = [],
+    remainingSizes = [],
+    orphanedArtboards = [],
+    reflowed,
+    outputDocuments = [],
+    cancelled,
+  } = result;
+  const replacedCount = createdArtboards.filter((a) => a.replaced).length;
+
+  return (
+    <div className="generation-results">
+      <div className="generation-results-header">
+        <sp-label size="m">{cancelled ? 'Generation Cancelled' : 'Generation Results'}</sp-label>
+        <sp-action-button ref={closeButtonRef} size="xs" quiet>
+          ✕
+        </sp-action-button>
+      </div>
+
+      <sp-body size="s">
+        {createdArtboards.length - replacedCount} created
+        {replacedCount > 0 && ` · ${replacedCount} updated`}
+        {skippedSizes.length > 0 && ` · ${skippedSizes.length} skipped`}
+        {failedSizes.length > 0 && ` · ${failedSizes.length} failed`}
+        {remainingSizes.length > 0 && ` · ${remainingSizes.length} not generated`}
+      </sp-body>
+
+      {reflowed && (
+        <sp-body size="xs" class="warning-text">
+          Rows were re-flowed to keep the layout inside Photoshop's maximum canvas size
+        </sp-body>
+      )}
+
+      {outputDocuments.length > 0 && (
+        <sp-body size="xs" class="hint-text">
+          Saved {outputDocuments.map((doc) => `${doc.fileName} (${doc.created})`).join(', ')} beside the source file
+        </sp-body>
+      )}
+
+      <div className="generation-results-list">
+        {createdArtboards.map((artboard, index) => (
+          <sp-body key={`created-${index}`} size="xs" class="generation-results-item success-text">
+            {artboard.replaced ? '↻' : '✓'} {artboard.name} ({artboard.originalWidth}×{artboard.originalHeight})
+          </sp-body>
+        ))}
+        {skippedSizes.map((size, index) => (
+          <sp-body key={`skipped-${index}`} size="xs" class="generation-results-item hint-text">
+            – {size.name} ({size.width}×{size.height}): {size.reason}
+          </sp-body>
+        ))}
+        {failedSizes.map((size, index) => (
+          <sp-body key={`failed-${index}`} size="xs" class="generation-results-item error-text">
+            ✗ {size.name} ({size.width}×{size.height}): {size.error}
+          </sp-body>
+        ))}
+        {createdArtboards.filter((artboard) => artboard.unfitMarks?.length > 0).map((artboard) => (
+          <sp-body key={`unfit-${artboard.id}`} size="xs" class="generation-results-item warning-text">
+            ⚠ {artboard.name}: no room in the bleed for the {artboard.unfitMarks.join(', ')} - left out
+          </sp-body>
+        ))}
+        {orphanedArtboards.map((artboard) => (
+          <sp-body key={`orphaned-${artboard.id}`} size="xs" class="generation-results-item warning-text">
+            ⚠ {artboard.name}: size no longer in the checklist
+          </sp-body>
+        ))}
+        {remainingSizes.map((size, index) => (
+          <sp-body key={`remaining-${index}`} size="xs" class="generation-results-item warning-text">
+            • {size.name} ({size.width}×{size.height}): not generated
+          </sp-body>
+        ))}
+      </div>
+
+      {(failedSizes.length > 0 || remainingSizes.length > 0) && (
+        <div className="generation-results-actions">
+          {failedSizes.length > 0 && (
+            <sp-button ref={retryButtonRef} variant="primary" size="s">
+              Retry Failed ({failedSizes.length})
+            </sp-button>
+          )}
+          {remainingSizes.length > 0 && (
+            <sp-button ref={resumeButtonRef} variant="primary" size="s">
+              Resume ({remainingSizes.length})
+            </sp-button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GenerationResultsPanel;
@@ -28,17 +28,23 @@ const LayerRoleSelectors = ({ sourceType, config, layers, onChange }) => {
     });
   }, [onChange, sourceType, config]);
 
+  const renderPicker = (role) => (
+    <LayerRolePicker
+      key={role.id}
+      role={role}
+      value={config.layers?.[role.id] || ''}
+      layerOptions={layerOptions}
+      onChange={handleLayerChange}
+    />
+  );
+
   return (
     <div className="layer-roles">
-      {LAYER_ROLES.map((role) => (
-        <LayerRolePicker
-          key={role.id}
-          role={role}
-          value={config.layers?.[role.id] || ''}
-          layerOptions={layerOptions}
-          onChange={handleLayerChange}
-        />
-      ))}
+      {LAYER_ROLES.filter((role) => !role.corner).map(renderPicker)}
+
+      {/* Corner-pinned roles keep their % margin from the nearest edges */}
+      <sp-body size="xs" class="layer-roles-subheading">Corner pinning (optional)</sp-body>
+      {LAYER_ROLES.filter((role) => role.corner).map(renderPicker)}
     </div>
   );
 };
@@ -0,0 +1,110 @@
+import React, { useEffect, useRef } from 'react';
+import { PREFLIGHT_STATUS } from '../services/printPreflight';
+
+const STATUS_ICONS = {
+  [PREFLIGHT_STATUS.PASS]: '✓',
+  [PREFLIGHT_STATUS.WARN]: '⚠',
+  [PREFLIGHT_STATUS.FAIL]: '✗',
+};
+
+const STATUS_CLASSES = {
+  [PREFLIGHT_STATUS.PASS]: 'success-text',
+  [PREFLIGHT_STATUS.WARN]: 'warning-text',
+  [PREFLIGHT_STATUS.FAIL]: 'error-text',
+};
+
+/**
+ * One check in the report - clicking a check with a target selects that layer or artboard
+ */
+const PreflightCheck = ({ check, onSelect }) => {
+  const text = `${STATUS_ICONS[check.status]} ${check.check}: ${check.message}`;
+
+  if (!check.target) {
+    return (
+      <sp-body size="xs" class={`generation-results-item ${STATUS_CLASSES[check.status]}`}>
+        {text}
+      </sp-body>
+    );
+  }
+
+  return (
+    <button
+      className={`print-preflight-check ${STATUS_CLASSES[check.status]}`}
+      onClick={() => onSelect(check.target)}
+      title={`Select "${check.target.name}"`}
+      type="button"
+    >
+      {text}
+    </button>
+  );
+};
+
+/**
+ * Print preflight report
+ * Pass/warn/fail checks for the document and each print artboard
+ */
+const PrintPreflightPanel = ({ report, onSelect, onClose }) => {
+  // Ref for close button - needed for UXP web component event handling
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    const button = closeButtonRef.current;
+    if (button) {
+      button.addEventListener('click', onClose);
+      return () => {
+        button.removeEventListener('click', onClose);
+      };
+    }
+  }, [onClose]);
+
+  if (!report) return null;
+
+  const { documentChecks, artboards, counts } = report;
+
+  return (
+    <div className="generation-results">
+      <div className="generation-results-header">
+        <sp-label size="m">Print Preflight</sp-label>
+        <sp-action-button ref={closeButtonRef} size="xs" quiet>
+          ✕
+        </sp-action-button>
+      </div>
+
+      <sp-body size="s">
+        {artboards.length === 0
+          ? 'No print artboards found - only sizes that require bleed are checked.'
+          : `${artboards.length} print artboard${artboards.length !== 1 ? 's' : ''} · ${counts.fail} fail · ${counts.warn} warn · ${counts.pass} pass`}
+      </sp-body>
+
+      <div className="generation-results-list">
+        <sp-body size="xs" class="print-preflight-heading">Document</sp-body>
+        {documentChecks.map((check) => (
+          <PreflightCheck key={check.check} check={check} onSelect={onSelect} />
+        ))}
+
+        {artboards.map((artboard) => (
+          <div key={artboard.id}>
+            <button
+              className={`print-preflight-heading print-preflight-check ${STATUS_CLASSES[artboard.status]}`}
+              onClick={() => onSelect({ id: artboard.id, name: artboard.name })}
+              type="button"
+            >
+              {STATUS_ICONS[artboard.status]} {artboard.name}
+            </button>
+            {artboard.checks.map((check, index) => (
+              <PreflightCheck key={index} check={check} onSelect={onSelect} />
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {artboards.length > 0 && (
+        <sp-body size="xs" class="hint-text">
+          Click a check to select its layer or artboard
+        </sp-body>
+      )}
+    </div>
+  );
+};
+
+export default PrintPreflightPanel;
@@ -69,6 +69,22 @@ const PrintSettingsPanel = ({ settings, onSettingsChange }) => {
             </sp-picker>
           </div>
         </div>
+
+        <div className="form-field">
+          <sp-field-label size="s">Safety Margin</sp-field-label>
+          <sp-number-field
+            size="s"
+            value={settings.safetyMargin ?? 0.125}
+            min={0}
+            max={1}
+            step={0.0625}
+            formatOptions='{"minimumFractionDigits": 3}'
+            onInput={(e) => handleNumberChange('safetyMargin', e)}
+          />
+          <sp-body size="xs" class="field-hint">
+            Keeps TEXT and corner layers inside the trim, marked with guides (in bleed unit, 0 = off).
+          </sp-body>
+        </div>
       </div>
 
       <div className="options-section">
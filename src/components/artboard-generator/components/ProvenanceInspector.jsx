@@ -0,0 +1,120 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { getSelectedArtboardProvenance } from '../services/provenance';
+
+/**
+ * Collapsible inspector for the provenance recorded on the selected artboard
+ * Shows which source, size entry, task and run produced it
+ */
+const ProvenanceInspector = () => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [inspecting, setInspecting] = useState(false);
+  const [inspection, setInspection] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Ref for inspect button - needed for UXP web component event handling
+  const inspectButtonRef = useRef(null);
+
+  const handleInspect = useCallback(async () => {
+    setInspecting(true);
+    setError(null);
+    try {
+      setInspection(await getSelectedArtboardProvenance());
+    } catch (e) {
+      console.error('[ProvenanceInspector] Inspect failed:', e);
+      setError(e.message);
+      setInspection(null);
+    } finally {
+      setInspecting(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const button = inspectButtonRef.current;
+    if (button) {
+      button.addEventListener('click', handleInspect);
+      return () => {
+        button.removeEventListener('click', handleInspect);
+      };
+    }
+  }, [handleInspect, isExpanded]);
+
+  // Update disabled state on inspect button (UXP needs direct property setting)
+  useEffect(() => {
+    const button = inspectButtonRef.current;
+    if (button) {
+      button.disabled = inspecting;
+    }
+  }, [inspecting, isExpanded]);
+
+  const provenance = inspection?.provenance;
+  const size = provenance?.sizeConfig;
+
+  return (
+    <div className="provenance-inspector">
+      <button
+        className={`settings-toggle ${isExpanded ? 'settings-toggle-expanded' : ''}`}
+        onClick={() => setIsExpanded(!isExpanded)}
+        type="button"
+      >
+        <span className="settings-icon">ⓘ</span>
+        <span className="settings-label">Artboard Info</span>
+        <span className="settings-summary">{inspection?.artboard ? inspection.artboard.name : 'Provenance of the selection'}</span>
+        <span className={`settings-chevron ${isExpanded ? 'settings-chevron-expanded' : ''}`}>▼</span>
+      </button>
+
+      {isExpanded && (
+        <div className="settings-content">
+          <sp-button ref={inspectButtonRef} variant="secondary" size="s">
+            {inspecting ? 'Reading...' : 'Inspect Selected Artboard'}
+          </sp-button>
+
+          {error && (
+            <sp-body size="xs" class="error-text">{error}</sp-body>
+          )}
+
+          {inspection && !inspection.artboard && (
+            <sp-body size="xs" class="hint-text">Select an artboard, or a layer inside one, in Photoshop first</sp-body>
+          )}
+
+          {inspection?.artboard && !provenance && (
+            <sp-body size="xs" class="hint-text">
+              "{inspection.artboard.name}" has no provenance - it wasn't created by the generator
+            </sp-body>
+          )}
+
+          {provenance && (
+            <div className="provenance-fields">
+              <span className="provenance-key">Artboard</span>
+              <span className="provenance-value">{inspection.artboard.name}</span>
+              <span className="provenance-key">Source</span>
+              <span className="provenance-value">
+                {provenance.sourceArtboardName} (id {provenance.sourceArtboardId}{provenance.sourceType ? `, ${provenance.sourceType}` : ''})
+              </span>
+              {size && (
+                <>
+                  <span className="provenance-key">Size</span>
+                  <span className="provenance-value">
+                    {size.name} - {size.width}×{size.height}{size.type ? ` (${size.type})` : ''}
+                    {size.requiresBleed && `, ${size.bleed} ${size.bleedUnit} bleed`}
+                  </span>
+                </>
+              )}
+              <span className="provenance-key">Task</span>
+              <span className="provenance-value">{provenance.taskId || '—'}</span>
+              <span className="provenance-key">Generated</span>
+              <span className="provenance-value">
+                {provenance.generatedAt ? new Date(provenance.generatedAt).toLocaleString() : '—'}
+              </span>
+              <span className="provenance-key">Run</span>
+              <span className="provenance-value">{provenance.runId || '—'}</span>
+              <span className="provenance-key">Plugin</span>
+              <span className="provenance-value">v{provenance.pluginVersion}</span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProvenanceInspector;
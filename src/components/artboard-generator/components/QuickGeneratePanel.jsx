@@ -1,5 +1,6 @@
 import React, { useMemo } from 'react';
-import { SOURCE_TYPES, ASPECT_RATIO_THRESHOLDS } from '../../../config';
+import { resolveSourceType } from '../services/artboardGenerator';
+import { SOURCE_TYPES } from '../../../config';
 
 /**
  * Quick Generate Panel - Smart mode for when configuration is auto-detected
@@ -13,28 +14,33 @@ const QuickGeneratePanel = ({
   generating,
   generatableSizesCount,
   canGenerate,
+  onPushChanges,
+  pushing,
+  canPushChanges,
+  onTidyCanvas,
+  tidying,
+  canTidyCanvas,
+  onCheckPrint,
+  printPreflighting,
+  canCheckPrint,
+  sourceTypes = SOURCE_TYPES,
+  sourceOverrides = {},
 }) => {
   // Calculate what was detected
   const detectionStatus = useMemo(() => {
     if (!sizes || sizes.length === 0) return null;
 
-    const neededOrientations = new Set();
+    const neededSourceTypes = new Set();
     sizes.forEach(size => {
-      const ratio = size.width / size.height;
-      if (ratio < ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX) {
-        neededOrientations.add('portrait');
-      } else if (ratio > ASPECT_RATIO_THRESHOLDS.SQUARE_MAX) {
-        neededOrientations.add('landscape');
-      } else {
-        neededOrientations.add('square');
-      }
+      const sourceType = resolveSourceType(size, sourceTypes, sourceOverrides);
+      if (sourceType) neededSourceTypes.add(sourceType);
     });
 
     const configuredSources = [];
     const missingSources = [];
 
-    SOURCE_TYPES.forEach(source => {
-      if (neededOrientations.has(source.id)) {
+    sourceTypes.forEach(source => {
+      if (neededSourceTypes.has(source.id)) {
         if (sourceConfig[source.id]?.artboard) {
           configuredSources.push({
             ...source,
@@ -46,7 +52,7 @@ const QuickGeneratePanel = ({
       }
     });
 
-    const totalLayersDetected = SOURCE_TYPES.reduce((count, source) => {
+    const totalLayersDetected = sourceTypes.reduce((count, source) => {
       if (!sourceConfig[source.id]?.artboard) return count;
       const layers = sourceConfig[source.id]?.layers || {};
       return count + Object.values(layers).filter(v => v !== null && v !== '').length;
@@ -58,7 +64,7 @@ const QuickGeneratePanel = ({
       allConfigured: missingSources.length === 0 && configuredSources.length > 0,
       totalLayersDetected,
     };
-  }, [sourceConfig, sizes]);
+  }, [sourceConfig, sizes, sourceTypes, sourceOverrides]);
 
   if (!detectionStatus || !detectionStatus.allConfigured) {
     return null; // Don't show quick mode if not fully configured
@@ -118,6 +124,36 @@ const QuickGeneratePanel = ({
             : `Generate All Artboards (${generatableSizesCount})`
           }
         </sp-button>
+        {onPushChanges && (
+          <sp-button
+            variant="secondary"
+            size="m"
+            onClick={onPushChanges}
+            disabled={!canPushChanges}
+          >
+            {pushing ? 'Pushing...' : 'Push Changes from Source'}
+          </sp-button>
+        )}
+        {onTidyCanvas && (
+          <sp-button
+            variant="secondary"
+            size="m"
+            onClick={onTidyCanvas}
+            disabled={!canTidyCanvas}
+          >
+            {tidying ? 'Tidying...' : 'Tidy Canvas'}
+          </sp-button>
+        )}
+        {onCheckPrint && (
+          <sp-button
+            variant="secondary"
+            size="m"
+            onClick={onCheckPrint}
+            disabled={!canCheckPrint}
+          >
+            {printPreflighting ? 'Checking...' : 'Print Preflight'}
+          </sp-button>
+        )}
         <sp-button
           variant="secondary"
           size="m"
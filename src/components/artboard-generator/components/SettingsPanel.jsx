@@ -1,10 +1,40 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { SOURCE_TYPES } from '../../../config';
+import { OUTPUT_TARGETS } from '../services/outputDocuments';
+import { SOURCE_LAYER_POSITIONS } from '../services/layerOrder';
+
+const SAFE_AREA_SIDES = ['top', 'right', 'bottom', 'left'];
+
+const NEW_SAFE_AREA_RULE = { matchBy: 'name', match: '', top: 0, right: 0, bottom: 0, left: 0, unit: 'pixels' };
+
+const NEW_TRANSPARENT_RULE = { matchBy: 'name', match: '' };
+
+const SOURCE_RATIO_FIELDS = [
+  { field: 'minRatio', label: 'Min Ratio', placeholder: 'none' },
+  { field: 'maxRatio', label: 'Max Ratio', placeholder: 'none' },
+  { field: 'targetRatio', label: 'Target', placeholder: '16:9' },
+];
+
+/**
+ * Parse a ratio typed as a decimal ("1.78") or as "width:height" ("16:9")
+ * @param {string} input - Field value
+ * @returns {number|null} Ratio, or null when empty or invalid
+ */
+const parseRatioInput = (input) => {
+  const text = String(input || '').trim();
+  if (!text) return null;
+  const [width, height] = text.split(':').map(parseFloat);
+  const ratio = height === undefined ? width : width / height;
+  return isFinite(ratio) && ratio > 0 ? ratio : null;
+};
+
+const formatRatioInput = (ratio) => (ratio ? String(Math.round(ratio * 1000) / 1000) : '');
 
 /**
  * Compact settings panel that expands when clicked
  * Combines Generation Options and Print Settings into a single collapsible section
  */
-const SettingsPanel = ({ options, onOptionsChange, printSettings, onPrintSettingsChange }) => {
+const SettingsPanel = ({ options, onOptionsChange, printSettings, onPrintSettingsChange, onRemoveLabels, onRemovePrinterMarks, onSortLayers }) => {
   const [isExpanded, setIsExpanded] = useState(false);
 
   const handleOptionChange = (field, value) => {
@@ -35,12 +65,88 @@ const SettingsPanel = ({ options, onOptionsChange, printSettings, onPrintSetting
     }
   };
 
+  const safeAreas = options.safeAreas || [];
+
+  const updateSafeAreas = (nextSafeAreas) => {
+    handleOptionChange('safeAreas', nextSafeAreas);
+  };
+
+  const handleSafeAreaChange = (index, field, value) => {
+    updateSafeAreas(safeAreas.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const handleSafeAreaNumberChange = (index, field, e) => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value)) {
+      handleSafeAreaChange(index, field, value);
+    }
+  };
+
+  const handleAddSafeArea = () => {
+    updateSafeAreas([...safeAreas, { ...NEW_SAFE_AREA_RULE }]);
+  };
+
+  const handleRemoveSafeArea = (index) => {
+    updateSafeAreas(safeAreas.filter((_, i) => i !== index));
+  };
+
+  const transparentBackgrounds = options.transparentBackgrounds || [];
+
+  const updateTransparentBackgrounds = (nextRules) => {
+    handleOptionChange('transparentBackgrounds', nextRules);
+  };
+
+  const handleTransparentRuleChange = (index, field, value) => {
+    updateTransparentBackgrounds(transparentBackgrounds.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const handleAddTransparentRule = () => {
+    updateTransparentBackgrounds([...transparentBackgrounds, { ...NEW_TRANSPARENT_RULE }]);
+  };
+
+  const handleRemoveTransparentRule = (index) => {
+    updateTransparentBackgrounds(transparentBackgrounds.filter((_, i) => i !== index));
+  };
+
+  const sourceTypes = options.sourceTypes || SOURCE_TYPES;
+  const hasCustomSourceTypes = JSON.stringify(sourceTypes) !== JSON.stringify(SOURCE_TYPES);
+
+  const updateSourceTypes = (nextSourceTypes) => {
+    handleOptionChange('sourceTypes', nextSourceTypes);
+  };
+
+  const handleSourceTypeChange = (index, field, value) => {
+    updateSourceTypes(sourceTypes.map((sourceType, i) => (i === index ? { ...sourceType, [field]: value } : sourceType)));
+  };
+
+  const handleAddSourceType = () => {
+    updateSourceTypes([
+      ...sourceTypes,
+      { id: `custom-${Date.now().toString(36)}`, label: 'New Source', icon: '◇', minRatio: null, maxRatio: null, targetRatio: 1 },
+    ]);
+  };
+
+  const handleRemoveSourceType = (index) => {
+    updateSourceTypes(sourceTypes.filter((_, i) => i !== index));
+  };
+
   // Summary text for collapsed state
   const getSummary = () => {
     const parts = [];
     if (options.columns !== 4) parts.push(`${options.columns} cols`);
     if (options.gap !== 100) parts.push(`${options.gap}px gap`);
+    if (options.layoutMode === 'packed') parts.push('packed');
     if (printSettings.bleed) parts.push(`${printSettings.bleed}" bleed`);
+    if (printSettings.safetyMargin === 0) parts.push('no safety margin');
+    if (printSettings.registrationMarks || printSettings.colorBar || printSettings.slugInfo) parts.push("printer's marks");
+    if (options.upscaleThreshold && options.upscaleThreshold !== 100) parts.push(`warn >${options.upscaleThreshold}%`);
+    if (options.outputTarget === OUTPUT_TARGETS.NEW_DOCUMENT) parts.push('new doc');
+    if (options.outputTarget === OUTPUT_TARGETS.PER_TYPE) parts.push('doc per type');
+    if (options.syncMode) parts.push('sync');
+    if (options.canvasLabels) parts.push('labels');
+    if (options.orderLayers) parts.push('sorted layers');
+    if (safeAreas.length > 0) parts.push(`${safeAreas.length} safe area${safeAreas.length === 1 ? '' : 's'}`);
+    if (hasCustomSourceTypes) parts.push(`${sourceTypes.length} source types`);
     return parts.length > 0 ? parts.join(' · ') : 'Default settings';
   };
 
@@ -62,6 +168,26 @@ const SettingsPanel = ({ options, onOptionsChange, printSettings, onPrintSetting
           {/* Layout Settings */}
           <div className="settings-group">
             <sp-label size="s" class="settings-group-label">Layout</sp-label>
+            <div className="settings-row">
+              <div className="settings-field">
+                <sp-field-label size="xs">Arrange</sp-field-label>
+                <sp-picker
+                  size="s"
+                  value={options.layoutMode || 'rows'}
+                  onInput={(e) => handleOptionChange('layoutMode', e.target.value)}
+                >
+                  <sp-menu slot="options">
+                    <sp-menu-item value="rows">Rows</sp-menu-item>
+                    <sp-menu-item value="packed">Packed</sp-menu-item>
+                  </sp-menu>
+                </sp-picker>
+              </div>
+            </div>
+            {options.layoutMode === 'packed' && (
+              <sp-body size="xs" class="settings-hint">
+                Fits new artboards into gaps to keep the canvas as small as possible, largest first
+              </sp-body>
+            )}
             <div className="settings-row">
               <div className="settings-field">
                 <sp-field-label size="xs">Columns</sp-field-label>
@@ -151,6 +277,360 @@ const SettingsPanel = ({ options, onOptionsChange, printSettings, onPrintSetting
                 />
               </div>
             </div>
+            <div className="settings-row">
+              <div className="settings-field">
+                <sp-field-label size="xs">Safety Margin</sp-field-label>
+                <sp-number-field
+                  size="s"
+                  value={printSettings.safetyMargin ?? 0.125}
+                  min={0}
+                  max={1}
+                  step={0.0625}
+                  formatOptions='{"minimumFractionDigits": 3}'
+                  onInput={(e) => handlePrintNumberChange('safetyMargin', e)}
+                />
+              </div>
+            </div>
+            <sp-body size="xs" class="settings-hint">
+              TEXT and corner layers stay this far inside the trim, marked with guides (0 = off)
+            </sp-body>
+            <sp-checkbox
+              size="s"
+              checked={printSettings.registrationMarks || undefined}
+              onChange={(e) => handlePrintChange('registrationMarks', e.target.checked)}
+            >
+              Registration marks
+            </sp-checkbox>
+            <sp-checkbox
+              size="s"
+              checked={printSettings.colorBar || undefined}
+              onChange={(e) => handlePrintChange('colorBar', e.target.checked)}
+            >
+              CMYK color bar
+            </sp-checkbox>
+            <sp-checkbox
+              size="s"
+              checked={printSettings.slugInfo || undefined}
+              onChange={(e) => handlePrintChange('slugInfo', e.target.checked)}
+            >
+              Slug line (file, trim, bleed, task, date)
+            </sp-checkbox>
+            <sp-body size="xs" class="settings-hint">
+              Placed outside the trim with the crop marks, in a locked "Printer's Marks" group per print artboard
+            </sp-body>
+            {onRemovePrinterMarks && (
+              <button
+                className="safe-area-add"
+                onClick={onRemovePrinterMarks}
+                type="button"
+              >
+                Remove printer's marks
+              </button>
+            )}
+          </div>
+
+          {/* Generation Settings */}
+          <div className="settings-group">
+            <sp-label size="s" class="settings-group-label">Generation</sp-label>
+            <div className="settings-row">
+              <div className="settings-field">
+                <sp-field-label size="xs">Output</sp-field-label>
+                <sp-picker
+                  size="s"
+                  value={options.outputTarget || OUTPUT_TARGETS.CURRENT}
+                  onInput={(e) => handleOptionChange('outputTarget', e.target.value)}
+                >
+                  <sp-menu slot="options">
+                    <sp-menu-item value={OUTPUT_TARGETS.CURRENT}>Current document</sp-menu-item>
+                    <sp-menu-item value={OUTPUT_TARGETS.NEW_DOCUMENT}>New document</sp-menu-item>
+                    <sp-menu-item value={OUTPUT_TARGETS.PER_TYPE}>One document per type</sp-menu-item>
+                  </sp-menu>
+                </sp-picker>
+              </div>
+            </div>
+            {(options.outputTarget || OUTPUT_TARGETS.CURRENT) !== OUTPUT_TARGETS.CURRENT && (
+              <sp-body size="xs" class="settings-hint">
+                {options.outputTarget === OUTPUT_TARGETS.PER_TYPE
+                  ? 'Saves social.psd, print.psd ... beside this file, with only the derivatives'
+                  : 'Saves a new file with only the derivatives beside this file'}
+              </sp-body>
+            )}
+            <sp-checkbox
+              size="s"
+              checked={options.syncMode || undefined}
+              onChange={(e) => handleOptionChange('syncMode', e.target.checked)}
+            >
+              Update existing artboards (sync)
+            </sp-checkbox>
+            <sp-body size="xs" class="settings-hint">
+              Rebuilds artboards from earlier runs in place instead of adding duplicates
+            </sp-body>
+            <sp-checkbox
+              size="s"
+              checked={options.canvasLabels || undefined}
+              onChange={(e) => handleOptionChange('canvasLabels', e.target.checked)}
+            >
+              Label groups and rows on the canvas
+            </sp-checkbox>
+            <sp-body size="xs" class="settings-hint">
+              {options.layoutMode === 'packed'
+                ? 'Labels follow rows, so the packed layout gets none'
+                : 'Locked text above each type group and row, kept in a "Labels" group'}
+            </sp-body>
+            {onRemoveLabels && (
+              <button
+                className="safe-area-add"
+                onClick={onRemoveLabels}
+                type="button"
+              >
+                Remove canvas labels
+              </button>
+            )}
+            <sp-checkbox
+              size="s"
+              checked={options.orderLayers || undefined}
+              onChange={(e) => handleOptionChange('orderLayers', e.target.checked)}
+            >
+              Sort artboards in the Layers panel
+            </sp-checkbox>
+            <sp-body size="xs" class="settings-hint">
+              After generating, orders artboard layers by type order, then checklist order
+            </sp-body>
+            <div className="settings-row">
+              <div className="settings-field">
+                <sp-field-label size="xs">Sources</sp-field-label>
+                <sp-picker
+                  size="s"
+                  value={options.sourceLayerPosition || SOURCE_LAYER_POSITIONS.TOP}
+                  onInput={(e) => handleOptionChange('sourceLayerPosition', e.target.value)}
+                >
+                  <sp-menu slot="options">
+                    <sp-menu-item value={SOURCE_LAYER_POSITIONS.TOP}>At the top</sp-menu-item>
+                    <sp-menu-item value={SOURCE_LAYER_POSITIONS.BOTTOM}>At the bottom</sp-menu-item>
+                    <sp-menu-item value={SOURCE_LAYER_POSITIONS.UNCHANGED}>Leave in place</sp-menu-item>
+                  </sp-menu>
+                </sp-picker>
+              </div>
+            </div>
+            {onSortLayers && (
+              <button
+                className="safe-area-add"
+                onClick={onSortLayers}
+                type="button"
+              >
+                Sort layers now
+              </button>
+            )}
+          </div>
+
+          {/* Quality Settings */}
+          <div className="settings-group">
+            <sp-label size="s" class="settings-group-label">Quality</sp-label>
+            <div className="settings-row">
+              <div className="settings-field">
+                <sp-field-label size="xs">Upscale Warning (%)</sp-field-label>
+                <sp-number-field
+                  size="s"
+                  value={options.upscaleThreshold || 100}
+                  min={100}
+                  max={400}
+                  step={5}
+                  onInput={(e) => handleOptionNumberChange('upscaleThreshold', e)}
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Safe Areas - insets from the trim edges that TEXT is fitted inside */}
+          <div className="settings-group">
+            <sp-label size="s" class="settings-group-label">Safe Areas</sp-label>
+            {safeAreas.map((rule, index) => (
+              <div key={index} className="safe-area-rule">
+                <div className="settings-row">
+                  <div className="settings-field">
+                    <sp-field-label size="xs">Match</sp-field-label>
+                    <sp-picker
+                      size="s"
+                      value={rule.matchBy || 'name'}
+                      onInput={(e) => handleSafeAreaChange(index, 'matchBy', e.target.value)}
+                    >
+                      <sp-menu slot="options">
+                        <sp-menu-item value="name">Name contains</sp-menu-item>
+                        <sp-menu-item value="type">Type is</sp-menu-item>
+                      </sp-menu>
+                    </sp-picker>
+                  </div>
+                  <div className="settings-field">
+                    <sp-field-label size="xs">{rule.matchBy === 'type' ? 'Type' : 'Pattern'}</sp-field-label>
+                    <sp-textfield
+                      size="s"
+                      value={rule.match || ''}
+                      placeholder={rule.matchBy === 'type' ? 'social' : 'story'}
+                      onInput={(e) => handleSafeAreaChange(index, 'match', e.target.value)}
+                    />
+                  </div>
+                  <div className="settings-field">
+                    <sp-field-label size="xs">Unit</sp-field-label>
+                    <sp-picker
+                      size="s"
+                      value={rule.unit || 'pixels'}
+                      onInput={(e) => handleSafeAreaChange(index, 'unit', e.target.value)}
+                    >
+                      <sp-menu slot="options">
+                        <sp-menu-item value="pixels">px</sp-menu-item>
+                        <sp-menu-item value="percent">%</sp-menu-item>
+                      </sp-menu>
+                    </sp-picker>
+                  </div>
+                </div>
+                <div className="settings-row">
+                  {SAFE_AREA_SIDES.map((side) => (
+                    <div key={side} className="settings-field">
+                      <sp-field-label size="xs">{side.charAt(0).toUpperCase() + side.slice(1)}</sp-field-label>
+                      <sp-number-field
+                        size="s"
+                        value={rule[side] || 0}
+                        min={0}
+                        max={rule.unit === 'percent' ? 50 : 2000}
+                        onInput={(e) => handleSafeAreaNumberChange(index, side, e)}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <button
+                  className="safe-area-remove"
+                  onClick={() => handleRemoveSafeArea(index)}
+                  type="button"
+                >
+                  Remove rule
+                </button>
+              </div>
+            ))}
+            <button
+              className="safe-area-add"
+              onClick={handleAddSafeArea}
+              type="button"
+            >
+              + Add safe area
+            </button>
+          </div>
+
+          {/* Transparent Backgrounds - sizes whose artboards drop the source background (PNG deliverables) */}
+          <div className="settings-group">
+            <sp-label size="s" class="settings-group-label">Transparent Backgrounds</sp-label>
+            <sp-body size="xs" class="settings-hint">
+              Other sizes keep their source artboard's background
+            </sp-body>
+            {transparentBackgrounds.map((rule, index) => (
+              <div key={index} className="safe-area-rule">
+                <div className="settings-row">
+                  <div className="settings-field">
+                    <sp-field-label size="xs">Match</sp-field-label>
+                    <sp-picker
+                      size="s"
+                      value={rule.matchBy || 'name'}
+                      onInput={(e) => handleTransparentRuleChange(index, 'matchBy', e.target.value)}
+                    >
+                      <sp-menu slot="options">
+                        <sp-menu-item value="name">Name contains</sp-menu-item>
+                        <sp-menu-item value="type">Type is</sp-menu-item>
+                      </sp-menu>
+                    </sp-picker>
+                  </div>
+                  <div className="settings-field">
+                    <sp-field-label size="xs">{rule.matchBy === 'type' ? 'Type' : 'Pattern'}</sp-field-label>
+                    <sp-textfield
+                      size="s"
+                      value={rule.match || ''}
+                      placeholder={rule.matchBy === 'type' ? 'web' : 'png'}
+                      onInput={(e) => handleTransparentRuleChange(index, 'match', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <button
+                  className="safe-area-remove"
+                  onClick={() => handleRemoveTransparentRule(index)}
+                  type="button"
+                >
+                  Remove rule
+                </button>
+              </div>
+            ))}
+            <button
+              className="safe-area-add"
+              onClick={handleAddTransparentRule}
+              type="button"
+            >
+              + Add transparent rule
+            </button>
+          </div>
+
+          {/* Source Types - aspect ratio ranges that decide which source each size is built from */}
+          <div className="settings-group">
+            <sp-label size="s" class="settings-group-label">Source Types</sp-label>
+            <sp-body size="xs" class="settings-hint">
+              Sizes use the source whose range contains their ratio (width ÷ height), else the closest target
+            </sp-body>
+            {sourceTypes.map((sourceType, index) => (
+              <div key={sourceType.id} className="safe-area-rule">
+                <div className="settings-row">
+                  <div className="settings-field">
+                    <sp-field-label size="xs">Name</sp-field-label>
+                    <sp-textfield
+                      size="s"
+                      value={sourceType.label || ''}
+                      onInput={(e) => handleSourceTypeChange(index, 'label', e.target.value)}
+                    />
+                  </div>
+                  <div className="settings-field">
+                    <sp-field-label size="xs">Icon</sp-field-label>
+                    <sp-textfield
+                      size="s"
+                      value={sourceType.icon || ''}
+                      onInput={(e) => handleSourceTypeChange(index, 'icon', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="settings-row">
+                  {SOURCE_RATIO_FIELDS.map(({ field, label, placeholder }) => (
+                    <div key={field} className="settings-field">
+                      <sp-field-label size="xs">{label}</sp-field-label>
+                      <sp-textfield
+                        size="s"
+                        value={formatRatioInput(sourceType[field])}
+                        placeholder={placeholder}
+                        onChange={(e) => handleSourceTypeChange(index, field, parseRatioInput(e.target.value))}
+                      />
+                    </div>
+                  ))}
+                </div>
+                {sourceTypes.length > 1 && (
+                  <button
+                    className="safe-area-remove"
+                    onClick={() => handleRemoveSourceType(index)}
+                    type="button"
+                  >
+                    Remove source type
+                  </button>
+                )}
+              </div>
+            ))}
+            <button
+              className="safe-area-add"
+              onClick={handleAddSourceType}
+              type="button"
+            >
+              + Add source type
+            </button>
+            {hasCustomSourceTypes && (
+              <button
+                className="safe-area-add"
+                onClick={() => updateSourceTypes(SOURCE_TYPES)}
+                type="button"
+              >
+                Reset to landscape / portrait / square
+              </button>
+            )}
           </div>
 
           {/* Advanced - API Endpoint */}
@@ -1,12 +1,14 @@
-import React from 'react';
-import { determineSourceType } from '../services/artboardGenerator';
-import { SOURCE_TYPE_ICONS } from '../../../config';
-
-const SOURCE_TYPE_LABELS = {
-  landscape: 'Landscape',
-  portrait: 'Portrait',
-  square: 'Square',
-};
+import React, { useRef, useEffect } from 'react';
+import {
+  determineSourceType,
+  getSourceTypeDefinition,
+  getSizeKey,
+  resolveSourceType,
+} from '../services/artboardGenerator';
+import { SOURCE_TYPES } from '../../../config';
+
+// Picker value for "no override - use the aspect ratio"
+const AUTO_SOURCE = 'auto';
 
 /**
  * Single size button that generates one artboard when clicked
@@ -15,12 +17,46 @@ const SOURCE_TYPE_LABELS = {
  * @param {Function} props.onGenerate - Callback when button is clicked
  * @param {boolean} props.disabled - Whether button is disabled
  * @param {Object} props.sourceConfig - Source artboard configuration
+ * @param {Array} props.sourceTypes - Source type definitions (defaults to SOURCE_TYPES)
+ * @param {Object} props.sourceOverrides - Size key → source type ID set manually (optional)
+ * @param {Function} props.onSourceOverride - Callback (size, sourceTypeId | null) to set or clear the override (optional)
+ * @param {boolean} props.editingSource - Show the source picker under the button
  */
-const SizeButton = ({ size, onGenerate, disabled, sourceConfig }) => {
-  const sourceType = determineSourceType(size.width / size.height);
+const SizeButton = ({
+  size,
+  onGenerate,
+  disabled,
+  sourceConfig,
+  sourceTypes = SOURCE_TYPES,
+  sourceOverrides = {},
+  onSourceOverride,
+  editingSource = false,
+}) => {
+  const sourcePickerRef = useRef(null);
+
+  const autoSourceType = determineSourceType(size.width / size.height, sourceTypes);
+  const sourceType = resolveSourceType(size, sourceTypes, sourceOverrides);
+  const isOverridden = !!getSourceTypeDefinition(sourceOverrides[getSizeKey(size)], sourceTypes);
+  const sourceDefinition = getSourceTypeDefinition(sourceType, sourceTypes);
+  const autoDefinition = getSourceTypeDefinition(autoSourceType, sourceTypes);
+  const sourceLabel = sourceDefinition ? sourceDefinition.label : 'matching';
   const hasSource = sourceConfig[sourceType]?.artboard;
   const isDisabled = disabled || !hasSource;
 
+  // Handle source picker change with ref-based event handling for UXP
+  useEffect(() => {
+    const picker = sourcePickerRef.current;
+    if (!picker || !onSourceOverride) return;
+
+    const handleChange = (e) => {
+      const value = e.target.value;
+      onSourceOverride(size, value === AUTO_SOURCE ? null : value);
+    };
+
+    picker.addEventListener('change', handleChange);
+    return () => picker.removeEventListener('change', handleChange);
+  }, [size, onSourceOverride, editingSource]);
+
   const handleClick = () => {
     if (hasSource && onGenerate) {
       onGenerate(size);
@@ -29,27 +65,48 @@ const SizeButton = ({ size, onGenerate, disabled, sourceConfig }) => {
 
   const getTooltip = () => {
     if (!hasSource) {
-      return `Needs ${SOURCE_TYPE_LABELS[sourceType]} source`;
+      return `Needs ${sourceLabel} source`;
     }
-    return `Generate ${size.name} (${size.width}×${size.height})`;
+    const overrideNote = isOverridden ? ` - source set manually to ${sourceLabel}` : '';
+    return `Generate ${size.name} (${size.width}×${size.height})${overrideNote}`;
   };
 
   return (
     <div className={`size-button-wrapper ${!hasSource ? 'size-button-needs-source' : ''}`}>
       <button
-        className={`size-button ${!hasSource ? 'size-button-disabled' : ''} ${size.requiresBleed ? 'size-button-print' : ''}`}
+        className={`size-button ${!hasSource ? 'size-button-disabled' : ''} ${size.requiresBleed ? 'size-button-print' : ''} ${isOverridden ? 'size-button-overridden' : ''}`}
         onClick={handleClick}
         disabled={isDisabled}
         title={getTooltip()}
       >
-        <span className="size-source-icon">{SOURCE_TYPE_ICONS[sourceType]}</span>
+        <span className="size-source-icon">{sourceDefinition ? sourceDefinition.icon : '?'}</span>
         <span className="size-name">{size.name}</span>
         <span className="size-dimensions">{size.width}×{size.height}</span>
         {size.requiresBleed && <span className="size-badge">Print</span>}
       </button>
+      {editingSource && (
+        <sp-picker
+          ref={sourcePickerRef}
+          size="s"
+          quiet
+          class="size-source-picker"
+          value={isOverridden ? sourceType : AUTO_SOURCE}
+        >
+          <sp-menu slot="options">
+            <sp-menu-item value={AUTO_SOURCE}>
+              Auto{autoDefinition ? ` (${autoDefinition.label})` : ''}
+            </sp-menu-item>
+            {sourceTypes.map((type) => (
+              <sp-menu-item key={type.id} value={type.id}>
+                {type.icon} {type.label}
+              </sp-menu-item>
+            ))}
+          </sp-menu>
+        </sp-picker>
+      )}
       {!hasSource && (
         <span className="size-missing-source">
-          Configure {SOURCE_TYPE_LABELS[sourceType]}
+          {sourceDefinition ? `Configure ${sourceLabel}` : 'No source type covers this ratio'}
         </span>
       )}
     </div>
@@ -22,7 +22,10 @@ const SizesPanel = ({
   sizesCachedAt,
   sizesFromCache,
   getCacheAge,
-  disabled
+  disabled,
+  sourceTypes,
+  sourceOverrides,
+  onSourceOverride
 }) => {
   const hasApiEndpoint = options?.apiEndpoint?.trim();
   const hasCachedSizes = sizes && sizes.length > 0 && sizesCachedAt;
@@ -114,6 +117,9 @@ const SizesPanel = ({
         onGenerateSingle={onGenerateSingle}
         sourceConfig={sourceConfig}
         disabled={disabled}
+        sourceTypes={sourceTypes}
+        sourceOverrides={sourceOverrides}
+        onSourceOverride={onSourceOverride}
       />
 
       {/* Quick tip */}
@@ -1,18 +1,30 @@
 import React, { useMemo, useState, useRef, useEffect } from 'react';
-import { groupByType } from '../services/artboardGenerator';
-import { ASPECT_RATIO_THRESHOLDS } from '../../../config';
+import { groupByType, resolveSourceType } from '../services/artboardGenerator';
+import { SOURCE_TYPES } from '../../../config';
 import SizeButton from './SizeButton';
 
 /**
  * Preview component showing loaded sizes as clickable buttons
  * with filtering and improved UX
  */
-const SizesPreview = ({ sizes, onClear, onGenerateSingle, sourceConfig, disabled }) => {
+const SizesPreview = ({
+  sizes,
+  onClear,
+  onGenerateSingle,
+  sourceConfig,
+  disabled,
+  sourceTypes = SOURCE_TYPES,
+  sourceOverrides = {},
+  onSourceOverride,
+}) => {
   const [filterText, setFilterText] = useState('');
+  // Show a source picker under each size
+  const [editingSources, setEditingSources] = useState(false);
   // Expanded by default, auto-collapse only if >20 sizes
   const [isExpanded, setIsExpanded] = useState(true);
   const filterRef = useRef(null);
   const toggleRef = useRef(null);
+  const editSourcesRef = useRef(null);
 
   // Auto-collapse if more than 20 sizes
   useEffect(() => {
@@ -34,6 +46,19 @@ const SizesPreview = ({ sizes, onClear, onGenerateSingle, sourceConfig, disabled
     return () => button.removeEventListener('click', handleClick);
   }, []);
 
+  // Handle "Choose Sources" toggle with ref-based event handling for UXP
+  useEffect(() => {
+    const button = editSourcesRef.current;
+    if (!button) return;
+
+    const handleClick = () => {
+      setEditingSources(prev => !prev);
+    };
+
+    button.addEventListener('click', handleClick);
+    return () => button.removeEventListener('click', handleClick);
+  }, [isExpanded, onSourceOverride]);
+
   // Handle filter input change with ref-based event handling for UXP
   useEffect(() => {
     const input = filterRef.current;
@@ -47,30 +72,22 @@ const SizesPreview = ({ sizes, onClear, onGenerateSingle, sourceConfig, disabled
     return () => input.removeEventListener('input', handleInput);
   }, []);
 
-  // Group sizes by orientation (landscape/portrait/square)
-  const groupByOrientation = (sizesToGroup) => {
-    const groups = {
-      landscape: [],
-      portrait: [],
-      square: [],
-    };
+  // Group sizes by the source they resolve to (manual overrides included);
+  // sizes no source type covers go under 'unassigned'
+  const groupBySourceType = (sizesToGroup) => {
+    const groups = Object.fromEntries(sourceTypes.map(sourceType => [sourceType.id, []]));
+    groups.unassigned = [];
 
     sizesToGroup.forEach(size => {
-      const ratio = size.width / size.height;
-      if (ratio < ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX) {
-        groups.portrait.push(size);
-      } else if (ratio > ASPECT_RATIO_THRESHOLDS.SQUARE_MAX) {
-        groups.landscape.push(size);
-      } else {
-        groups.square.push(size);
-      }
+      const sourceType = resolveSourceType(size, sourceTypes, sourceOverrides);
+      (groups[sourceType] || groups.unassigned).push(size);
     });
 
     return groups;
   };
 
   // Filter and group sizes
-  const { filteredSizes, groupedSizes, matchCount } = useMemo(() => {
+  const { groupedSizes, matchCount } = useMemo(() => {
     if (!sizes || sizes.length === 0) {
       return { filteredSizes: [], groupedSizes: {}, matchCount: 0 };
     }
@@ -86,28 +103,20 @@ const SizesPreview = ({ sizes, onClear, onGenerateSingle, sourceConfig, disabled
 
     return {
       filteredSizes: filtered,
-      groupedSizes: groupByOrientation(filtered),
+      groupedSizes: groupBySourceType(filtered),
       matchCount: filtered.length
     };
-  }, [sizes, filterText]);
-
-  const orientationLabels = {
-    landscape: '▭ Landscape',
-    portrait: '▯ Portrait',
-    square: '□ Square',
-  };
-
-  // Get orientation counts for info display
-  const orientationCounts = useMemo(() => {
-    const counts = { landscape: 0, portrait: 0, square: 0 };
-    (filteredSizes || []).forEach(size => {
-      const ratio = size.width / size.height;
-      if (ratio < 0.85) counts.portrait++;
-      else if (ratio > 1.15) counts.landscape++;
-      else counts.square++;
-    });
-    return counts;
-  }, [filteredSizes]);
+  }, [sizes, filterText, sourceTypes, sourceOverrides]);
+
+  // Group headers, in source type order
+  const groupOrder = useMemo(() => [
+    ...sourceTypes.map(sourceType => ({
+      id: sourceType.id,
+      icon: sourceType.icon,
+      label: `${sourceType.icon} ${sourceType.label.split(' (')[0]}`,
+    })),
+    { id: 'unassigned', icon: '?', label: '? No source type' },
+  ], [sourceTypes]);
 
   if (!sizes || sizes.length === 0) {
     return (
@@ -134,7 +143,10 @@ const SizesPreview = ({ sizes, onClear, onGenerateSingle, sourceConfig, disabled
           {sizes.length} sizes loaded
         </span>
         <span className="sizes-toggle-summary">
-          ▭ {orientationCounts.landscape} &nbsp; ▯ {orientationCounts.portrait} &nbsp; □ {orientationCounts.square}
+          {groupOrder
+            .filter(group => groupedSizes[group.id]?.length > 0)
+            .map(group => `${group.icon} ${groupedSizes[group.id].length}`)
+            .join('   ')}
         </span>
         <sp-action-button
           size="s"
@@ -168,6 +180,11 @@ const SizesPreview = ({ sizes, onClear, onGenerateSingle, sourceConfig, disabled
                 {matchCount} of {sizes.length} sizes
               </sp-body>
             )}
+            {onSourceOverride && (
+              <sp-action-button ref={editSourcesRef} size="s" quiet>
+                {editingSources ? 'Done' : 'Choose Sources'}
+              </sp-action-button>
+            )}
           </div>
 
           {/* No matches message */}
@@ -178,24 +195,28 @@ const SizesPreview = ({ sizes, onClear, onGenerateSingle, sourceConfig, disabled
           )}
 
           <div className="sizes-groups">
-            {/* Show groups in order: landscape, portrait, square */}
-            {['landscape', 'portrait', 'square'].map(orientation => {
-              const orientationSizes = groupedSizes[orientation];
-              if (!orientationSizes || orientationSizes.length === 0) return null;
+            {/* Show groups in source type order */}
+            {groupOrder.map(group => {
+              const groupSizes = groupedSizes[group.id];
+              if (!groupSizes || groupSizes.length === 0) return null;
 
               return (
-                <div key={orientation} className="size-group">
+                <div key={group.id} className="size-group">
                   <sp-label size="s" class="group-label">
-                    {orientationLabels[orientation]} ({orientationSizes.length})
+                    {group.label} ({groupSizes.length})
                   </sp-label>
                   <div className="size-buttons">
-                    {orientationSizes.map((size, index) => (
+                    {groupSizes.map((size, index) => (
                       <SizeButton
                         key={`${size.name}-${index}`}
                         size={size}
                         onGenerate={onGenerateSingle}
                         disabled={disabled}
                         sourceConfig={sourceConfig || {}}
+                        sourceTypes={sourceTypes}
+                        sourceOverrides={sourceOverrides}
+                        onSourceOverride={onSourceOverride}
+                        editingSource={editingSources}
                       />
                     ))}
                   </div>
@@ -2,32 +2,37 @@ import React, { useCallback, useState, useMemo, useEffect } from 'react';
 import ArtboardPicker from './ArtboardPicker';
 import LayerRoleSelectors from './LayerRoleSelectors';
 import { autoDetectLayerRoles } from '../utils/layerDetection';
-import { SOURCE_TYPES, ASPECT_RATIO_THRESHOLDS } from '../../../config';
+import { determineSourceType, resolveSourceType, formatAspectRange } from '../services/artboardGenerator';
+import { SOURCE_TYPES, createSourceConfigEntry } from '../../../config';
 
 /**
- * Determines what orientations are needed based on loaded sizes
+ * Determines what source types are needed based on loaded sizes
  * @param {Array} sizes - Loaded sizes
- * @returns {Set<string>} Set of needed orientation types
+ * @param {Array} sourceTypes - Source type definitions
+ * @param {Object} sourceOverrides - Size key → source type ID set manually
+ * @returns {Set<string>} Set of needed source type IDs
  */
-const getNeededOrientations = (sizes) => {
+const getNeededSourceTypes = (sizes, sourceTypes, sourceOverrides) => {
   if (!sizes || sizes.length === 0) {
-    // Show all orientations if no sizes loaded yet
-    return new Set(['landscape', 'portrait', 'square']);
+    // Show all source types if no sizes loaded yet
+    return new Set(sourceTypes.map(sourceType => sourceType.id));
   }
   const needed = new Set();
   sizes.forEach(size => {
-    const ratio = size.width / size.height;
-    if (ratio < ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX) {
-      needed.add('portrait');
-    } else if (ratio > ASPECT_RATIO_THRESHOLDS.SQUARE_MAX) {
-      needed.add('landscape');
-    } else {
-      needed.add('square');
-    }
+    const sourceType = resolveSourceType(size, sourceTypes, sourceOverrides);
+    if (sourceType) needed.add(sourceType);
   });
   return needed;
 };
 
+/**
+ * Aspect ratio of a document artboard (bounds come from usePhotoshopDocument)
+ */
+const getArtboardRatio = (artboard) => {
+  const { width, height } = artboard.bounds || artboard;
+  return width / height;
+};
+
 /**
  * Count how many layers were auto-detected
  */
@@ -42,9 +47,19 @@ const countDetectedLayers = (detectedLayers) => {
  * @param {Array} props.layers - Available layers in the document
  * @param {Object} props.sourceConfig - Current source configuration
  * @param {Function} props.onConfigChange - Callback when configuration changes
- * @param {Array} props.sizes - Loaded sizes (to determine which orientations are needed)
+ * @param {Array} props.sizes - Loaded sizes (to determine which source types are needed)
+ * @param {Array} props.sourceTypes - Source type definitions (defaults to SOURCE_TYPES)
+ * @param {Object} props.sourceOverrides - Size key → source type ID set manually per size
  */
-const SourceConfigPanel = ({ artboards, layers, sourceConfig, onConfigChange, sizes = [] }) => {
+const SourceConfigPanel = ({
+  artboards,
+  layers,
+  sourceConfig,
+  onConfigChange,
+  sizes = [],
+  sourceTypes = SOURCE_TYPES,
+  sourceOverrides = {},
+}) => {
   // Track which source sections have expanded layer roles
   const [expandedSources, setExpandedSources] = useState({});
   // Track auto-detection feedback messages
@@ -52,34 +67,29 @@ const SourceConfigPanel = ({ artboards, layers, sourceConfig, onConfigChange, si
   // Track which artboards were auto-selected to avoid re-selecting
   const [autoSelectedSources, setAutoSelectedSources] = useState({});
 
-  const neededOrientations = useMemo(() => getNeededOrientations(sizes), [sizes]);
+  const neededSourceTypes = useMemo(
+    () => getNeededSourceTypes(sizes, sourceTypes, sourceOverrides),
+    [sizes, sourceTypes, sourceOverrides]
+  );
 
-  // Auto-select single artboards when only one matches each orientation
+  // Auto-select single artboards when only one matches each source type
   useEffect(() => {
     if (!artboards || artboards.length === 0 || sizes.length === 0) return;
 
     const updates = {};
     let hasUpdates = false;
 
-    SOURCE_TYPES.forEach(sourceType => {
+    sourceTypes.forEach(sourceType => {
       const orientation = sourceType.id;
       // Skip if already configured or already auto-selected
       if (sourceConfig[orientation]?.artboard || autoSelectedSources[orientation]) return;
       // Skip if not needed
-      if (!neededOrientations.has(orientation)) return;
-
-      // Find artboards matching this orientation
-      const matchingArtboards = artboards.filter(ab => {
-        const ratio = ab.width / ab.height;
-        if (orientation === 'portrait') {
-          return ratio < ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX;
-        } else if (orientation === 'landscape') {
-          return ratio > ASPECT_RATIO_THRESHOLDS.SQUARE_MAX;
-        } else { // square
-          return ratio >= ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX &&
-                 ratio <= ASPECT_RATIO_THRESHOLDS.SQUARE_MAX;
-        }
-      });
+      if (!neededSourceTypes.has(orientation)) return;
+
+      // Find artboards matching this source type
+      const matchingArtboards = artboards.filter(ab => (
+        determineSourceType(getArtboardRatio(ab), sourceTypes) === orientation
+      ));
 
       // If exactly one matching artboard, auto-select it
       if (matchingArtboards.length === 1) {
@@ -101,7 +111,7 @@ const SourceConfigPanel = ({ artboards, layers, sourceConfig, onConfigChange, si
         // Show feedback message
         setDetectionMessages(prev => ({
           ...prev,
-          [orientation]: `Auto-selected "${artboardName}" (only ${orientation} source)${detectedCount > 0 ? ` + detected ${detectedCount} layer${detectedCount !== 1 ? 's' : ''}` : ''}`
+          [orientation]: `Auto-selected "${artboardName}" (only ${sourceType.label} source)${detectedCount > 0 ? ` + detected ${detectedCount} layer${detectedCount !== 1 ? 's' : ''}` : ''}`
         }));
 
         // Mark as auto-selected
@@ -123,7 +133,7 @@ const SourceConfigPanel = ({ artboards, layers, sourceConfig, onConfigChange, si
         ...updates,
       });
     }
-  }, [artboards, layers, sizes, sourceConfig, onConfigChange, neededOrientations, autoSelectedSources]);
+  }, [artboards, layers, sizes, sourceConfig, onConfigChange, neededSourceTypes, autoSelectedSources, sourceTypes]);
 
   const toggleLayerRoles = useCallback((sourceId) => {
     setExpandedSources(prev => ({
@@ -189,23 +199,23 @@ const SourceConfigPanel = ({ artboards, layers, sourceConfig, onConfigChange, si
     return Object.values(layerConfig).filter(v => v !== null && v !== '').length;
   }, [sourceConfig]);
 
-  // Filter sources to only show needed orientations
+  // Filter sources to only show needed source types
   const visibleSources = useMemo(() => {
-    return SOURCE_TYPES.filter(source => neededOrientations.has(source.id));
-  }, [neededOrientations]);
+    return sourceTypes.filter(source => neededSourceTypes.has(source.id));
+  }, [neededSourceTypes, sourceTypes]);
 
   return (
     <div className="source-config-panel">
       <div className="panel-header">
         <sp-label size="l">Source Configuration</sp-label>
         <sp-body size="s" class="panel-description">
-          Select source artboards for each orientation. Layer roles auto-detect based on naming.
+          Select source artboards for each source type. Layer roles auto-detect based on naming.
         </sp-body>
       </div>
 
       {visibleSources.length === 0 && (
         <div className="empty-state">
-          <sp-body size="s">Load sizes to see which orientations are needed.</sp-body>
+          <sp-body size="s">Load sizes to see which source types are needed.</sp-body>
         </div>
       )}
 
@@ -215,18 +225,10 @@ const SourceConfigPanel = ({ artboards, layers, sourceConfig, onConfigChange, si
         const configuredLayerCount = getConfiguredLayerCount(source.id);
         const detectionMessage = detectionMessages[source.id];
 
-        // Count sizes that need this orientation
-        const sizesNeedingThis = sizes.filter(size => {
-          const ratio = size.width / size.height;
-          if (source.id === 'portrait') {
-            return ratio < ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX;
-          } else if (source.id === 'landscape') {
-            return ratio > ASPECT_RATIO_THRESHOLDS.SQUARE_MAX;
-          } else { // square
-            return ratio >= ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX &&
-                   ratio <= ASPECT_RATIO_THRESHOLDS.SQUARE_MAX;
-          }
-        });
+        // Count sizes that need this source type
+        const sizesNeedingThis = sizes.filter(size => (
+          resolveSourceType(size, sourceTypes, sourceOverrides) === source.id
+        ));
 
         return (
           <div
@@ -236,6 +238,7 @@ const SourceConfigPanel = ({ artboards, layers, sourceConfig, onConfigChange, si
             <div className="source-header">
               <span className="source-icon">{source.icon}</span>
               <sp-label size="m">{source.label}</sp-label>
+              <span className="source-ratio-range">{formatAspectRange(source)}</span>
               {isConfigured && (
                 <span className="source-status-badge source-status-configured">✓</span>
               )}
@@ -248,7 +251,7 @@ const SourceConfigPanel = ({ artboards, layers, sourceConfig, onConfigChange, si
             {!isConfigured && sizesNeedingThis.length > 0 && (
               <div className="inline-warning">
                 <sp-body size="xs" class="warning-text">
-                  ⚠️ {source.label.split(' ')[0]} source needed for {sizesNeedingThis.length} size{sizesNeedingThis.length !== 1 ? 's' : ''}
+                  ⚠️ {source.label} source needed for {sizesNeedingThis.length} size{sizesNeedingThis.length !== 1 ? 's' : ''}
                   {sizesNeedingThis.length <= 3 && (
                     <span className="size-examples">
                       : {sizesNeedingThis.map(s => s.name).join(', ')}
@@ -293,7 +296,7 @@ const SourceConfigPanel = ({ artboards, layers, sourceConfig, onConfigChange, si
                 {isExpanded && (
                   <LayerRoleSelectors
                     sourceType={source.id}
-                    config={sourceConfig[source.id]}
+                    config={sourceConfig[source.id] || createSourceConfigEntry()}
                     layers={layers}
                     onChange={handleSourceChange}
                   />
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Describe one derivative's pushed changes in a single line
+ * @param {Object} changes - { text, visibility, added, removed } layer names
+ * @returns {string} Summary text
+ */
+const describeChanges = (changes) => {
+  const parts = [];
+  if (changes.text.length > 0) parts.push(`text: ${changes.text.join(', ')}`);
+  if (changes.visibility.length > 0) parts.push(`visibility: ${changes.visibility.join(', ')}`);
+  if (changes.added.length > 0) parts.push(`added: ${changes.added.join(', ')}`);
+  if (changes.removed.length > 0) parts.push(`removed: ${changes.removed.join(', ')}`);
+  return parts.join(' · ');
+};
+
+/**
+ * Results of the last "Push Changes from Source"
+ * Lists each derived artboard that was updated and what changed on it, and the artboards
+ * that were skipped because they carry no provenance
+ */
+const SourcePushResultsPanel = ({ result, onClose }) => {
+  // Ref for close button - needed for UXP web component event handling
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    const button = closeButtonRef.current;
+    if (button) {
+      button.addEventListener('click', onClose);
+      return () => {
+        button.removeEventListener('click', onClose);
+      };
+    }
+  }, [onClose]);
+
+  if (!result) return null;
+
+  const { updated = [], unchanged = [], failed = [], untracked = [], cancelled } = result;
+  const total = updated.length + unchanged.length + failed.length;
+
+  return (
+    <div className="generation-results">
+      <div className="generation-results-header">
+        <sp-label size="m">{cancelled ? 'Push Cancelled' : 'Pushed Source Changes'}</sp-label>
+        <sp-action-button ref={closeButtonRef} size="xs" quiet>
+          ✕
+        </sp-action-button>
+      </div>
+
+      <sp-body size="s">
+        {total === 0
+          ? 'No generated artboards found - only artboards created by the generator can be updated.'
+          : `${updated.length} updated · ${unchanged.length} already up to date`}
+        {failed.length > 0 && ` · ${failed.length} failed`}
+        {untracked.length > 0 && ` · ${untracked.length} skipped without provenance`}
+      </sp-body>
+
+      <div className="generation-results-list">
+        {updated.map((artboard) => (
+          <sp-body key={`updated-${artboard.id}`} size="xs" class="generation-results-item success-text">
+            ↻ {artboard.name}: {describeChanges(artboard.changes)}
+          </sp-body>
+        ))}
+        {failed.map((artboard) => (
+          <sp-body key={`failed-${artboard.id}`} size="xs" class="generation-results-item error-text">
+            ✗ {artboard.name}: {artboard.error}
+          </sp-body>
+        ))}
+        {untracked.map((artboard) => (
+          <sp-body key={`untracked-${artboard.id}`} size="xs" class="generation-results-item warning-text">
+            ? {artboard.name}: no provenance - regenerate it (sync mode) so it can be updated
+          </sp-body>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SourcePushResultsPanel;
@@ -0,0 +1,78 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Upscaling preflight report
+ * Lists raster layers that a batch would enlarge past 100%, and lets the user continue or cancel
+ */
+const UpscalePreflightPanel = ({ report, onContinue, onCancel }) => {
+  // Refs for buttons - needed for UXP web component event handling
+  const continueButtonRef = useRef(null);
+  const cancelButtonRef = useRef(null);
+
+  useEffect(() => {
+    const button = continueButtonRef.current;
+    if (button) {
+      button.addEventListener('click', onContinue);
+      return () => {
+        button.removeEventListener('click', onContinue);
+      };
+    }
+  }, [onContinue]);
+
+  useEffect(() => {
+    const button = cancelButtonRef.current;
+    if (button) {
+      button.addEventListener('click', onCancel);
+      return () => {
+        button.removeEventListener('click', onCancel);
+      };
+    }
+  }, [onCancel]);
+
+  if (!report) return null;
+
+  return (
+    <div className="upscale-preflight">
+      <div className="upscale-preflight-header">
+        <sp-label size="m">⚠️ Upscaling Check</sp-label>
+      </div>
+
+      <sp-body size="s">
+        {report.exceedsThresholdCount} raster layer{report.exceedsThresholdCount !== 1 ? 's' : ''} will be enlarged past {report.threshold}%
+        {' '}across {report.sizes.length} size{report.sizes.length !== 1 ? 's' : ''} and may come out soft.
+      </sp-body>
+
+      <div className="upscale-preflight-sizes">
+        {report.sizes.map((size) => (
+          <div key={size.name} className="upscale-preflight-size">
+            <sp-body size="xs" class="upscale-preflight-size-name">
+              <strong>{size.name}</strong> ({size.width}×{size.height}, {size.sourceType} source) - up to {Math.round(size.maxScale)}%
+            </sp-body>
+            {size.layers.map((layer) => (
+              <sp-body
+                key={layer.id}
+                size="xs"
+                class={layer.exceedsThreshold ? 'upscale-preflight-layer warning-text' : 'upscale-preflight-layer hint-text'}
+              >
+                • {layer.name}
+                {layer.name !== layer.topLevelName && ` (in ${layer.topLevelName})`}
+                {' '}→ {layer.scalePercent.toFixed(0)}%
+              </sp-body>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="upscale-preflight-actions">
+        <sp-button ref={continueButtonRef} variant="primary" size="s">
+          Continue Anyway
+        </sp-button>
+        <sp-button ref={cancelButtonRef} variant="secondary" size="s" quiet>
+          Cancel
+        </sp-button>
+      </div>
+    </div>
+  );
+};
+
+export default UpscalePreflightPanel;
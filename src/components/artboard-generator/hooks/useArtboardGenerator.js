@@ -1,13 +1,29 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { fetchSizes, fetchSizesByTaskId, clearSizesCache } from '../api/sizesApi';
-import { generateArtboards, DEFAULT_PRINT_SETTINGS, DEFAULT_LAYOUT_OPTIONS } from '../services/artboardGenerator';
-import { DEFAULT_SIZES, DEFAULT_SOURCE_CONFIG } from '../../../config';
+import {
+  generateArtboards,
+  resolveSourceType,
+  getSourceTypeDefinition,
+  getSizeKey,
+  DEFAULT_PRINT_SETTINGS,
+  DEFAULT_LAYOUT_OPTIONS,
+} from '../services/artboardGenerator';
+import { DEFAULT_SIZES, DEFAULT_SOURCE_CONFIG, DEFAULT_SAFE_AREAS, DEFAULT_TRANSPARENT_BACKGROUNDS, SOURCE_TYPES } from '../../../config';
 import { getCachedTaskSizes, getCacheAgeString, getCachedGeneratorConfig, setCachedGeneratorConfig, clearCachedGeneratorConfig } from '../../../utils/storage';
 import {
   createArtboardByDuplication,
   generateArtboardsBatch,
-  LAYER_NAMES
+  planArtboardsBatch,
+  tidyCanvas,
 } from '../services/batchArtboardService';
+import { runUpscalePreflight, DEFAULT_UPSCALE_THRESHOLD } from '../services/upscalePreflight';
+import { createRunId } from '../services/provenance';
+import { pushSourceChanges } from '../services/sourcePropagation';
+import { removeCanvasLabels } from '../services/canvasLabels';
+import { removePrinterMarks as removePrinterMarksFromArtboards } from '../services/printerMarks';
+import { runPrintPreflight, selectPreflightTarget } from '../services/printPreflight';
+import { generateIntoOutputDocuments, OUTPUT_TARGETS } from '../services/outputDocuments';
+import { sortArtboardLayers, SOURCE_LAYER_POSITIONS } from '../services/layerOrder';
 
 /**
  * Default generation options
@@ -15,19 +31,40 @@ import {
 const DEFAULT_OPTIONS = {
   apiEndpoint: '',
   ...DEFAULT_LAYOUT_OPTIONS,
+  safeAreas: DEFAULT_SAFE_AREAS,
+  transparentBackgrounds: DEFAULT_TRANSPARENT_BACKGROUNDS, // Sizes that get a transparent artboard background
+  sourceTypes: SOURCE_TYPES,
+  sourceOverrides: {}, // Size key → source type ID chosen manually per size
+  upscaleThreshold: DEFAULT_UPSCALE_THRESHOLD,
+  syncMode: false, // Update artboards from an earlier run instead of adding duplicates
+  canvasLabels: false, // Label each type group and row on the canvas
+  outputTarget: OUTPUT_TARGETS.CURRENT, // Generate into the active document, a new document or one per type
+  orderLayers: false, // Sort artboard layers by type and checklist after generating
+  sourceLayerPosition: SOURCE_LAYER_POSITIONS.TOP, // Where sorting puts the sources in the Layers panel
   useBatchMethod: true, // Use the new batch duplication method by default
 };
 
 /**
- * Get layer names from options or use defaults
- * @param {Object} options - Generation options
- * @returns {Array<string>} Layer names to transform
+ * Names of artboards generated for a task in earlier runs (used by sync mode to flag removed sizes)
+ * @param {string} taskId - Task ID
+ * @returns {Array<string>} Artboard names
  */
-const getLayerNamesFromOptions = (options) => [
-  options.overlayLayerName || LAYER_NAMES.OVERLAY,
-  options.textLayerName || LAYER_NAMES.TEXT,
-  options.backgroundLayerName || LAYER_NAMES.BACKGROUND,
-];
+const getGeneratedNames = (taskId) => (taskId ? getCachedGeneratorConfig(taskId)?.generatedArtboardNames || [] : []);
+
+/**
+ * Remember the names of artboards generated for a task
+ * @param {string} taskId - Task ID
+ * @param {Array<Object>} createdArtboards - Artboards created by a batch
+ */
+const rememberGeneratedNames = (taskId, createdArtboards) => {
+  if (!taskId || createdArtboards.length === 0) return;
+  const cached = getCachedGeneratorConfig(taskId) || {};
+  const names = new Set([...(cached.generatedArtboardNames || []), ...createdArtboards.map((a) => a.name)]);
+  setCachedGeneratorConfig(taskId, {
+    ...cached,
+    generatedArtboardNames: [...names],
+  });
+};
 
 /**
  * Hook for managing artboard generator state and operations
@@ -120,6 +157,23 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
   const [progress, setProgress] = useState({ current: 0, total: 0, name: '' });
   const [generationError, setGenerationError] = useState(null);
   const [generatedArtboards, setGeneratedArtboards] = useState([]);
+  const [preflighting, setPreflighting] = useState(false);
+  const [preflightReport, setPreflightReport] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [generationResult, setGenerationResult] = useState(null);
+  const [pushing, setPushing] = useState(false);
+  const [pushResult, setPushResult] = useState(null);
+  const [tidying, setTidying] = useState(false);
+  const [tidyResult, setTidyResult] = useState(null);
+  const [printPreflighting, setPrintPreflighting] = useState(false);
+  const [printPreflightReport, setPrintPreflightReport] = useState(null);
+
+  // Checked by the batch loop between sizes
+  const cancelRequestedRef = useRef(false);
+  // Run options held while the upscaling preflight waits for confirmation
+  const pendingRunRef = useRef({});
 
   // Load cached config and sizes when taskId changes
   useEffect(() => {
@@ -293,6 +347,27 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
     setSizesError(null);
   }, []);
 
+  // Source type definitions sizes are assigned by (user-editable in Settings)
+  const sourceTypes = options.sourceTypes || SOURCE_TYPES;
+  const sourceOverrides = options.sourceOverrides || {};
+
+  /**
+   * Force a size to use a particular source, or clear its override
+   * Stored in options, so it is persisted per task with the rest of the generator config
+   * @param {Object} size - Size configuration
+   * @param {string|null} sourceTypeId - Source type ID, or null to go back to the aspect ratio
+   */
+  const setSourceOverride = useCallback((size, sourceTypeId) => {
+    const nextOverrides = { ...sourceOverrides };
+    if (sourceTypeId) {
+      nextOverrides[getSizeKey(size)] = sourceTypeId;
+    } else {
+      delete nextOverrides[getSizeKey(size)];
+    }
+    console.log('[useArtboardGenerator] Source override for', size.name, '→', sourceTypeId || 'auto');
+    setOptions({ ...options, sourceOverrides: nextOverrides });
+  }, [options, sourceOverrides, setOptions]);
+
   /**
    * Validate configuration before generation with detailed, actionable errors
    */
@@ -300,8 +375,8 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
     const errors = [];
 
     // Check if at least one source is configured
-    const hasSource = ['landscape', 'portrait', 'square'].some(
-      (type) => sourceConfig[type]?.artboard
+    const hasSource = sourceTypes.some(
+      (type) => sourceConfig[type.id]?.artboard
     );
     if (!hasSource) {
       errors.push('⚠️ No source artboards configured. Select at least one source artboard to begin.');
@@ -310,63 +385,65 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
 
     // Check if any sizes can be generated with current config
     if (hasSource && sizes.length > 0) {
-      const orientationDetails = {
-        landscape: { count: 0, examples: [] },
-        portrait: { count: 0, examples: [] },
-        square: { count: 0, examples: [] },
-      };
+      const sourceTypeDetails = {};
+      const uncovered = [];
 
-      // Collect orientation needs with examples
+      // Collect source type needs with examples
       sizes.forEach(size => {
-        const ratio = size.width / size.height;
-        let orientation;
-        if (ratio < 0.85) orientation = 'portrait';
-        else if (ratio > 1.15) orientation = 'landscape';
-        else orientation = 'square';
-
-        orientationDetails[orientation].count++;
-        if (orientationDetails[orientation].examples.length < 3) {
-          orientationDetails[orientation].examples.push(size.name);
+        const sourceTypeId = resolveSourceType(size, sourceTypes, sourceOverrides);
+        if (!sourceTypeId) {
+          uncovered.push(size.name);
+          return;
+        }
+
+        const details = sourceTypeDetails[sourceTypeId] || (sourceTypeDetails[sourceTypeId] = { count: 0, examples: [] });
+        details.count++;
+        if (details.examples.length < 3) {
+          details.examples.push(size.name);
         }
       });
 
       // Check for missing sources with detailed info
-      Object.entries(orientationDetails).forEach(([orientation, details]) => {
-        if (details.count > 0 && !sourceConfig[orientation]?.artboard) {
-          const icon = orientation === 'landscape' ? '▭' : orientation === 'portrait' ? '▯' : '□';
+      Object.entries(sourceTypeDetails).forEach(([sourceTypeId, details]) => {
+        if (details.count > 0 && !sourceConfig[sourceTypeId]?.artboard) {
+          const sourceType = getSourceTypeDefinition(sourceTypeId, sourceTypes);
           const exampleText = details.examples.length > 0
             ? ` (e.g., ${details.examples.join(', ')}${details.count > details.examples.length ? '...' : ''})`
             : '';
           errors.push(
-            `${icon} Missing ${orientation} source needed for ${details.count} size${details.count !== 1 ? 's' : ''}${exampleText}`
+            `${sourceType?.icon || '◇'} Missing ${sourceType?.label || sourceTypeId} source needed for ${details.count} size${details.count !== 1 ? 's' : ''}${exampleText}`
           );
         }
       });
+
+      if (uncovered.length > 0) {
+        errors.push(
+          `◇ No source type covers ${uncovered.length} size${uncovered.length !== 1 ? 's' : ''} (e.g., ${uncovered.slice(0, 3).join(', ')}) - add or widen a source type in Settings`
+        );
+      }
     }
 
     return errors;
-  }, [sourceConfig, sizes]);
+  }, [sourceConfig, sizes, sourceTypes, sourceOverrides]);
 
   /**
    * Check if a specific size can be generated (has required source)
    */
   const canGenerateSize = useCallback((size) => {
-    const aspectRatio = size.width / size.height;
-    let sourceType;
-    if (aspectRatio < 0.85) {
-      sourceType = 'portrait';
-    } else if (aspectRatio > 1.15) {
-      sourceType = 'landscape';
-    } else {
-      sourceType = 'square';
-    }
-    return !!sourceConfig[sourceType]?.artboard;
-  }, [sourceConfig]);
+    const sourceType = resolveSourceType(size, sourceTypes, sourceOverrides);
+    return !!sourceType && !!sourceConfig[sourceType]?.artboard;
+  }, [sourceConfig, sourceTypes, sourceOverrides]);
 
   /**
    * Generate artboards for all sizes
+   * Batch generation runs the upscaling preflight first and stops for confirmation
+   * when any raster layer would be enlarged past the configured threshold
+   * @param {Object} params - Generate options
+   * @param {boolean} params.skipPreflight - Generate without running the preflight (after confirmation)
+   * @param {Array<Object>} params.onlySizes - Generate these sizes instead of all loaded sizes
+   * @param {boolean} params.resume - Continuing a cancelled batch (source-matching sizes aren't skipped again)
    */
-  const generate = useCallback(async () => {
+  const generate = useCallback(async ({ skipPreflight = false, onlySizes = null, resume = false } = {}) => {
     const validationErrors = validateConfig();
     if (validationErrors.length > 0) {
       setGenerationError(validationErrors.join('\n'));
@@ -374,13 +451,45 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
     }
 
     // Filter sizes to only those that can be generated
-    const generatableSizes = sizes.filter(canGenerateSize);
+    const generatableSizes = (onlySizes || sizes).filter(canGenerateSize);
     
     if (generatableSizes.length === 0) {
       setGenerationError('No sizes can be generated with current source configuration');
       return;
     }
 
+    // The preflight gets the batch's own options so it checks exactly the sizes the batch will make -
+    // output documents start without the sources' artboards, so nothing matches a source there
+    const toCurrentDocument = (options.outputTarget || OUTPUT_TARGETS.CURRENT) === OUTPUT_TARGETS.CURRENT;
+    const batchOptions = {
+      ...options,
+      printSettings,
+      skipSourceMatches: !resume && toCurrentDocument,
+    };
+
+    if (options.useBatchMethod && !skipPreflight) {
+      setPreflighting(true);
+      setGenerationError(null);
+      try {
+        const report = await runUpscalePreflight(generatableSizes, sourceConfig, batchOptions);
+        if (report.requiresConfirmation) {
+          pendingRunRef.current = { onlySizes, resume };
+          setPreflightReport(report);
+          return;
+        }
+      } catch (error) {
+        // The preflight is advisory - don't block generation if it can't read the document
+        console.warn('[generate] Upscale preflight failed:', error.message);
+      } finally {
+        setPreflighting(false);
+      }
+    }
+
+    setPreflightReport(null);
+    setPlan(null);
+    setGenerationResult(null);
+    cancelRequestedRef.current = false;
+    setCancelling(false);
     setGenerating(true);
     setGenerationError(null);
     setProgress({ current: 0, total: generatableSizes.length, name: '' });
@@ -389,18 +498,27 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
       let results;
       
       if (options.useBatchMethod) {
-        // Use the new batch duplication method
-        results = await generateArtboardsBatch(
+        // Use the new batch duplication method, into the active document or new output documents
+        const generateBatch = toCurrentDocument ? generateArtboardsBatch : generateIntoOutputDocuments;
+        const batchResult = await generateBatch(
           generatableSizes,
           sourceConfig,
           {
-            ...options,
-            printSettings,
+            ...batchOptions,
+            shouldCancel: () => cancelRequestedRef.current,
+            generatedNames: getGeneratedNames(taskId),
+            checklistSizes: sizes,
+            taskId,
+            // Resume and retry continue in the output documents the last run made
+            resumeOutputDocuments: resume ? generationResult?.outputDocuments : undefined,
           },
           (current, total, name) => {
             setProgress({ current, total, name });
           }
         );
+        results = batchResult.createdArtboards;
+        rememberGeneratedNames(taskId, results);
+        setGenerationResult(batchResult);
       } else {
         // Use the original method
         results = await generateArtboards(
@@ -421,23 +539,235 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
       setGenerationError(error.message);
     } finally {
       setGenerating(false);
+      setCancelling(false);
+    }
+  }, [sizes, sourceConfig, options, printSettings, validateConfig, canGenerateSize, taskId, generationResult]);
+
+  /**
+   * Ask a running batch to stop after the size it is working on
+   */
+  const cancelGeneration = useCallback(() => {
+    console.log('[cancelGeneration] Cancel requested');
+    cancelRequestedRef.current = true;
+    setCancelling(true);
+  }, []);
+
+  /**
+   * Generate the sizes a cancelled batch left behind
+   */
+  const resumeGeneration = useCallback(() => {
+    const remainingSizes = generationResult?.remainingSizes || [];
+    if (remainingSizes.length > 0) {
+      generate({ onlySizes: remainingSizes, resume: true });
+    }
+  }, [generationResult, generate]);
+
+  /**
+   * Re-run only the sizes that failed in the last batch
+   */
+  const retryFailed = useCallback(() => {
+    const failedSizes = (generationResult?.failedSizes || []).map(({ error, ...size }) => size);
+    if (failedSizes.length > 0) {
+      generate({ onlySizes: failedSizes, resume: true });
+    }
+  }, [generationResult, generate]);
+
+  /**
+   * Dismiss the results of the last batch
+   */
+  const clearGenerationResult = useCallback(() => {
+    setGenerationResult(null);
+  }, []);
+
+  /**
+   * Push edits made on the source artboards to every artboard generated from them
+   */
+  const pushFromSource = useCallback(async () => {
+    setPushing(true);
+    setGenerationError(null);
+    setPushResult(null);
+    setProgress({ current: 0, total: 0, name: '' });
+
+    try {
+      const result = await pushSourceChanges(sourceConfig, { ...options, printSettings }, (current, total, name) => {
+        setProgress({ current, total, name });
+      });
+      setPushResult(result);
+    } catch (error) {
+      setGenerationError(error.message);
+    } finally {
+      setPushing(false);
+    }
+  }, [sourceConfig, options, printSettings]);
+
+  /**
+   * Dismiss the results of the last push
+   */
+  const clearPushResult = useCallback(() => {
+    setPushResult(null);
+  }, []);
+
+  /**
+   * Re-layout every artboard in the document (sources stay pinned at the origin)
+   */
+  const tidyArtboards = useCallback(async () => {
+    setTidying(true);
+    setGenerationError(null);
+    setTidyResult(null);
+
+    try {
+      setTidyResult(await tidyCanvas(sourceConfig, options));
+    } catch (error) {
+      setGenerationError(error.message);
+    } finally {
+      setTidying(false);
+    }
+  }, [sourceConfig, options]);
+
+  /**
+   * Dismiss the result of the last tidy
+   */
+  const clearTidyResult = useCallback(() => {
+    setTidyResult(null);
+  }, []);
+
+  /**
+   * Check every print artboard before hand-off (read-only)
+   */
+  const checkPrint = useCallback(async () => {
+    setPrintPreflighting(true);
+    setGenerationError(null);
+    setPrintPreflightReport(null);
+
+    try {
+      setPrintPreflightReport(await runPrintPreflight({ ...options, printSettings, checklistSizes: sizes }));
+    } catch (error) {
+      setGenerationError(error.message);
+    } finally {
+      setPrintPreflighting(false);
+    }
+  }, [options, printSettings, sizes]);
+
+  /**
+   * Dismiss the print preflight report
+   */
+  const clearPrintPreflight = useCallback(() => {
+    setPrintPreflightReport(null);
+  }, []);
+
+  /**
+   * Select the layer or artboard a preflight check points at
+   */
+  const selectPrintIssue = useCallback(async (target) => {
+    try {
+      await selectPreflightTarget(target);
+    } catch (error) {
+      setGenerationError(`Could not select "${target.name}": ${error.message}`);
+    }
+  }, []);
+
+  /**
+   * Sort artboard layers in the Layers panel by type and checklist order
+   */
+  const sortLayers = useCallback(async () => {
+    setGenerationError(null);
+    try {
+      await sortArtboardLayers(sourceConfig, { ...options, checklistSizes: sizes });
+    } catch (error) {
+      setGenerationError(error.message);
+    }
+  }, [sourceConfig, options, sizes]);
+
+  /**
+   * Delete the canvas labels group (e.g. before export)
+   */
+  const removeLabels = useCallback(async () => {
+    setGenerationError(null);
+    try {
+      const removed = await removeCanvasLabels();
+      if (!removed) {
+        setGenerationError('No canvas labels found in this document');
+      }
+    } catch (error) {
+      setGenerationError(error.message);
+    }
+  }, []);
+
+  /**
+   * Delete the printer's marks group from every artboard (e.g. for a digital proof)
+   */
+  const removePrinterMarks = useCallback(async () => {
+    setGenerationError(null);
+    try {
+      const removed = await removePrinterMarksFromArtboards();
+      if (removed === 0) {
+        setGenerationError("No printer's marks found in this document");
+      }
+    } catch (error) {
+      setGenerationError(error.message);
     }
-  }, [sizes, sourceConfig, options, printSettings, validateConfig, canGenerateSize]);
+  }, []);
+
+  /**
+   * Plan the batch without touching the document (dry run)
+   */
+  const previewPlan = useCallback(async () => {
+    const generatableSizes = sizes.filter(canGenerateSize);
+    if (generatableSizes.length === 0) {
+      setGenerationError('No sizes can be generated with current source configuration');
+      return;
+    }
+
+    setPlanning(true);
+    setGenerationError(null);
+    try {
+      const result = await planArtboardsBatch(generatableSizes, sourceConfig, {
+        ...options,
+        printSettings,
+        generatedNames: getGeneratedNames(taskId),
+        checklistSizes: sizes,
+      });
+      setPlan(result);
+    } catch (error) {
+      setGenerationError(error.message);
+    } finally {
+      setPlanning(false);
+    }
+  }, [sizes, sourceConfig, options, printSettings, canGenerateSize, taskId]);
+
+  /**
+   * Dismiss the dry-run plan
+   */
+  const clearPlan = useCallback(() => {
+    setPlan(null);
+  }, []);
+
+  /**
+   * Continue generating after reviewing the upscaling preflight
+   */
+  const confirmPreflight = useCallback(() => {
+    setPreflightReport(null);
+    generate({ ...pendingRunRef.current, skipPreflight: true });
+  }, [generate]);
+
+  /**
+   * Dismiss the upscaling preflight without generating
+   */
+  const cancelPreflight = useCallback(() => {
+    setPreflightReport(null);
+  }, []);
 
   /**
    * Generate a single artboard for one size
    */
   const generateSingle = useCallback(async (size) => {
     if (!canGenerateSize(size)) {
-      const aspectRatio = size.width / size.height;
-      let orientation;
-      if (aspectRatio < 0.85) orientation = 'portrait ▯';
-      else if (aspectRatio > 1.15) orientation = 'landscape ▭';
-      else orientation = 'square □';
-
-      setGenerationError(
-        `Cannot generate "${size.name}" (${size.width}×${size.height}): Missing ${orientation} source artboard. ` +
-        `Please select a ${orientation.split(' ')[0]} source in the configuration panel.`
+      const sourceType = getSourceTypeDefinition(resolveSourceType(size, sourceTypes, sourceOverrides), sourceTypes);
+      setGenerationError(sourceType
+        ? `Cannot generate "${size.name}" (${size.width}×${size.height}): Missing ${sourceType.label} ${sourceType.icon} source artboard. ` +
+          `Please select a ${sourceType.label} source in the configuration panel.`
+        : `Cannot generate "${size.name}" (${size.width}×${size.height}): No source type covers its aspect ratio. ` +
+          'Add or widen a source type in Settings.'
       );
       return;
     }
@@ -451,22 +781,17 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
       
       if (options.useBatchMethod) {
         // Use the new batch duplication method for single artboard
-        const aspectRatio = size.width / size.height;
-        let sourceType;
-        if (aspectRatio < 0.85) {
-          sourceType = 'portrait';
-        } else if (aspectRatio > 1.15) {
-          sourceType = 'landscape';
-        } else {
-          sourceType = 'square';
-        }
-        
+        const sourceType = resolveSourceType(size, sourceTypes, sourceOverrides);
         const source = sourceConfig[sourceType];
         
         const result = await createArtboardByDuplication({
           sourceArtboardName: source.artboard,
           targetSize: size,
-          layerNames: getLayerNamesFromOptions(options),
+          roleLayers: source.layers,
+          safeAreas: options.safeAreas,
+          transparentBackgrounds: options.transparentBackgrounds,
+          provenance: { taskId, runId: createRunId(), sourceType },
+          printSettings,
         });
         
         results = [result];
@@ -491,7 +816,7 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
     } finally {
       setGenerating(false);
     }
-  }, [sourceConfig, options, printSettings, canGenerateSize]);
+  }, [sourceConfig, options, printSettings, canGenerateSize, taskId, sourceTypes, sourceOverrides]);
 
   /**
    * Reset all state to defaults
@@ -514,6 +839,9 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
     // Source configuration
     sourceConfig,
     setSourceConfig,
+    sourceTypes,
+    sourceOverrides,
+    setSourceOverride,
     
     // Options
     options,
@@ -543,6 +871,36 @@ export const useArtboardGenerator = ({ taskId } = {}) => {
     generationError,
     generatedArtboards,
     generate,
+    preflighting,
+    preflightReport,
+    confirmPreflight,
+    cancelPreflight,
+    planning,
+    plan,
+    previewPlan,
+    clearPlan,
+    cancelling,
+    cancelGeneration,
+    generationResult,
+    resumeGeneration,
+    retryFailed,
+    clearGenerationResult,
+    pushing,
+    pushResult,
+    pushFromSource,
+    clearPushResult,
+    tidying,
+    tidyResult,
+    tidyArtboards,
+    clearTidyResult,
+    printPreflighting,
+    printPreflightReport,
+    checkPrint,
+    clearPrintPreflight,
+    selectPrintIssue,
+    sortLayers,
+    removeLabels,
+    removePrinterMarks,
     generateSingle,
     canGenerateSize,
     validateConfig,
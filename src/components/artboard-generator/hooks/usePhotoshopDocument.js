@@ -10,6 +10,7 @@ export const usePhotoshopDocument = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [documentId, setDocumentId] = useState(null);
+  const [resolution, setResolution] = useState(null);
 
   /**
    * Check if a layer is an artboard using batchPlay
@@ -111,6 +112,7 @@ export const usePhotoshopDocument = () => {
         setArtboards([]);
         setLayers([]);
         setDocumentId(null);
+        setResolution(null);
         setLoading(false);
         return;
       }
@@ -121,11 +123,13 @@ export const usePhotoshopDocument = () => {
         setArtboards([]);
         setLayers([]);
         setDocumentId(null);
+        setResolution(null);
         setLoading(false);
         return;
       }
 
       setDocumentId(doc.id);
+      setResolution(doc.resolution || null);
 
       // Get all artboards
       const documentArtboards = [];
@@ -221,6 +225,7 @@ export const usePhotoshopDocument = () => {
     loading,
     error,
     documentId,
+    resolution,
     getLayersForArtboard,
     refresh,
   };
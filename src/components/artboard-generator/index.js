@@ -12,6 +12,13 @@ export { default as ConfigurationStatus } from './components/ConfigurationStatus
 export { default as SettingsPanel } from './components/SettingsPanel';
 export { default as SizeButton } from './components/SizeButton';
 export { default as QuickGeneratePanel } from './components/QuickGeneratePanel';
+export { default as UpscalePreflightPanel } from './components/UpscalePreflightPanel';
+export { default as GenerationPlanPanel } from './components/GenerationPlanPanel';
+export { default as GenerationProgress } from './components/GenerationProgress';
+export { default as GenerationResultsPanel } from './components/GenerationResultsPanel';
+export { default as ProvenanceInspector } from './components/ProvenanceInspector';
+export { default as SourcePushResultsPanel } from './components/SourcePushResultsPanel';
+export { default as PrintPreflightPanel } from './components/PrintPreflightPanel';
 
 // Hooks
 export { usePhotoshopDocument } from './hooks/usePhotoshopDocument';
@@ -33,6 +40,10 @@ export {
 export {
   createArtboardByDuplication,
   generateArtboardsBatch,
+  planArtboardsBatch,
+  tidyCanvas,
+  fitLayoutToCanvas,
+  CANVAS_LIMITS,
   buildBatchCommands,
   executeBatchCommands,
   getSourceArtboard,
@@ -41,6 +52,34 @@ export {
   LAYER_NAMES,
 } from './services/batchArtboardService';
 
+// Upscaling preflight
+export { runUpscalePreflight, DEFAULT_UPSCALE_THRESHOLD } from './services/upscalePreflight';
+
+// Source propagation
+export { pushSourceChanges } from './services/sourcePropagation';
+
+// Provenance metadata
+export {
+  readArtboardProvenance,
+  getSelectedArtboardProvenance,
+  PROVENANCE_NAMESPACE,
+} from './services/provenance';
+
+// Print preflight
+export { runPrintPreflight, PREFLIGHT_STATUS } from './services/printPreflight';
+
+// Output documents
+export { generateIntoOutputDocuments, OUTPUT_TARGETS } from './services/outputDocuments';
+
+// Layer order
+export { sortArtboardLayers, SOURCE_LAYER_POSITIONS } from './services/layerOrder';
+
+// Printer's marks
+export { removePrinterMarks, PRINTER_MARKS_GROUP_NAME } from './services/printerMarks';
+
+// Canvas labels
+export { removeCanvasLabels, LABELS_GROUP_NAME } from './services/canvasLabels';
+
 // API
 export { fetchSizes } from './api/sizesApi';
 
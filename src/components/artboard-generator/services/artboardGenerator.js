@@ -2,7 +2,7 @@
  * Core artboard generation service using Photoshop batchPlay
  */
 import { logActivity, ACTIVITY_TYPES } from '../../../lib';
-import { ASPECT_RATIO_THRESHOLDS } from '../../../config';
+import { SOURCE_TYPES } from '../../../config';
 
 // Photoshop APIs are loaded lazily to avoid errors during module initialization
 const getPhotoshop = () => require('photoshop');
@@ -31,6 +31,12 @@ export const DEFAULT_PRINT_SETTINGS = {
   cropMarkWeight: 1,
   cropMarkColor: { r: 0, g: 0, b: 0 },
   cropMarkOffset: 0.0625,
+  // Keep TEXT and corner layers this far inside the trim, and mark it with guides (0 = off)
+  safetyMargin: 0.125,
+  // Printer's marks beyond the crop marks (batch method)
+  registrationMarks: false,
+  colorBar: false,
+  slugInfo: false,
 };
 
 export const DEFAULT_LAYOUT_OPTIONS = {
@@ -40,12 +46,28 @@ export const DEFAULT_LAYOUT_OPTIONS = {
   startX: 2500,
   startY: 0,
   typeOrder: ['social', 'display', 'video', 'email', 'print', 'web', 'other'],
+  layoutMode: 'rows', // 'rows' (greedy rows) or 'packed' (bin-packed, smallest bounding box)
 };
 
 // ============================================================================
 // Unit Conversion
 // ============================================================================
 
+/**
+ * Resolution assumed when the document's can't be read, and the minimum expected for print
+ */
+export const DEFAULT_RESOLUTION = 300;
+
+/**
+ * Read the active document's resolution
+ * Read once per run and passed to every unit conversion
+ * @returns {number} Pixels per inch
+ */
+export const getDocumentResolution = () => {
+  const resolution = getApp().activeDocument?.resolution;
+  return resolution > 0 ? resolution : DEFAULT_RESOLUTION;
+};
+
 /**
  * Convert units to pixels
  * @param {number} value - The value to convert
@@ -53,7 +75,7 @@ export const DEFAULT_LAYOUT_OPTIONS = {
  * @param {number} resolution - Document PPI (default 300)
  * @returns {number} Value in pixels
  */
-export const unitsToPixels = (value, unit, resolution = 300) => {
+export const unitsToPixels = (value, unit, resolution = DEFAULT_RESOLUTION) => {
   switch (unit) {
     case 'inches':
       return value * resolution;
@@ -105,18 +127,90 @@ export const calculateRelativeScale = (source, target) => {
   return targetDiagonal / sourceDiagonal;
 };
 
+/**
+ * Check whether an aspect ratio falls in a source type's range
+ * @param {number} aspectRatio - Aspect ratio (width/height)
+ * @param {Object} sourceType - Source type definition { minRatio, maxRatio }
+ * @returns {boolean} True if the source type has a range and the ratio is inside it
+ */
+const isRatioInRange = (aspectRatio, sourceType) => {
+  const hasMin = typeof sourceType.minRatio === 'number';
+  const hasMax = typeof sourceType.maxRatio === 'number';
+  if (!hasMin && !hasMax) return false;
+  if (hasMin && aspectRatio < sourceType.minRatio) return false;
+  if (hasMax && aspectRatio > sourceType.maxRatio) return false;
+  return true;
+};
+
 /**
  * Determine which source to use based on aspect ratio
+ * Sources whose range contains the ratio are preferred; ties (and ratios outside every range)
+ * go to the closest targetRatio
  * @param {number} aspectRatio - Target aspect ratio (width/height)
- * @returns {string} Source type: landscape, portrait, or square
+ * @param {Array<Object>} sourceTypes - Source type definitions (defaults to SOURCE_TYPES)
+ * @returns {string|null} Source type ID, or null if no source type covers the ratio
  */
-export const determineSourceType = (aspectRatio) => {
-  if (aspectRatio < ASPECT_RATIO_THRESHOLDS.PORTRAIT_MAX) {
-    return 'portrait';
-  } else if (aspectRatio > ASPECT_RATIO_THRESHOLDS.SQUARE_MAX) {
-    return 'landscape';
+export const determineSourceType = (aspectRatio, sourceTypes = SOURCE_TYPES) => {
+  const inRange = sourceTypes.filter((sourceType) => isRatioInRange(aspectRatio, sourceType));
+  const candidates = inRange.length > 0
+    ? inRange
+    : sourceTypes.filter((sourceType) => typeof sourceType.targetRatio === 'number');
+
+  if (candidates.length === 0) return null;
+
+  const distance = (sourceType) => (typeof sourceType.targetRatio === 'number'
+    ? Math.abs(Math.log(aspectRatio / sourceType.targetRatio))
+    : Infinity);
+  return candidates.reduce((best, sourceType) => (distance(sourceType) < distance(best) ? sourceType : best)).id;
+};
+
+/**
+ * Find a source type definition by ID
+ * @param {string} sourceTypeId - Source type ID
+ * @param {Array<Object>} sourceTypes - Source type definitions (defaults to SOURCE_TYPES)
+ * @returns {Object|null} Source type definition
+ */
+export const getSourceTypeDefinition = (sourceTypeId, sourceTypes = SOURCE_TYPES) => (
+  sourceTypes.find((sourceType) => sourceType.id === sourceTypeId) || null
+);
+
+/**
+ * Key identifying a size entry for per-size settings such as source overrides
+ * Includes the dimensions so an entry that is resized in the checklist doesn't keep a stale override
+ * @param {Object} size - Size configuration { name, width, height }
+ * @returns {string} Size key
+ */
+export const getSizeKey = (size) => `${size.name}|${size.width}x${size.height}`;
+
+/**
+ * Resolve which source a size is generated from
+ * A manual override wins when it names a source type that still exists; otherwise the aspect ratio decides
+ * @param {Object} size - Size configuration { name, width, height }
+ * @param {Array<Object>} sourceTypes - Source type definitions (defaults to SOURCE_TYPES)
+ * @param {Object} sourceOverrides - Size key → source type ID (optional)
+ * @returns {string|null} Source type ID, or null if no source type covers the size
+ */
+export const resolveSourceType = (size, sourceTypes = SOURCE_TYPES, sourceOverrides = {}) => {
+  const override = sourceOverrides?.[getSizeKey(size)];
+  if (override && getSourceTypeDefinition(override, sourceTypes)) {
+    return override;
   }
-  return 'square';
+  return determineSourceType(size.width / size.height, sourceTypes);
+};
+
+/**
+ * Describe a source type's aspect-ratio range for display (e.g. "0.85–1.15", "> 1.15", "≈ 8.00")
+ * @param {Object} sourceType - Source type definition
+ * @returns {string} Range description
+ */
+export const formatAspectRange = (sourceType) => {
+  const hasMin = typeof sourceType.minRatio === 'number';
+  const hasMax = typeof sourceType.maxRatio === 'number';
+  if (hasMin && hasMax) return `${sourceType.minRatio.toFixed(2)}–${sourceType.maxRatio.toFixed(2)}`;
+  if (hasMin) return `≥ ${sourceType.minRatio.toFixed(2)}`;
+  if (hasMax) return `≤ ${sourceType.maxRatio.toFixed(2)}`;
+  if (typeof sourceType.targetRatio === 'number') return `≈ ${sourceType.targetRatio.toFixed(2)}`;
+  return 'any';
 };
 
 // ============================================================================
@@ -134,15 +228,95 @@ export const getRelativePosition = (position, artboardSize) => ({
   yPercent: position.y / artboardSize.height,
 });
 
+/**
+ * Check whether a size matches a name or type rule
+ * @param {Object} sizeConfig - Size configuration { name, type }
+ * @param {Object} rule - Rule { matchBy: 'name' | 'type', match } - names match a case-insensitive substring, types exactly
+ * @returns {boolean} True if the rule applies to the size
+ */
+export const matchesSizeRule = (sizeConfig, rule) => {
+  const match = (rule.match || '').toLowerCase().trim();
+  if (!match) return false;
+  return rule.matchBy === 'type'
+    ? (sizeConfig.type || '').toLowerCase() === match
+    : (sizeConfig.name || '').toLowerCase().includes(match);
+};
+
+/**
+ * Resolve the safe-area insets that apply to a size
+ * @param {Object} sizeConfig - Size configuration { name, type, width, height }
+ * @param {Array<Object>} safeAreas - Safe-area rules (see DEFAULT_SAFE_AREAS)
+ * @returns {Object|null} Insets in pixels { top, right, bottom, left } or null if no rule matches
+ */
+export const resolveSafeAreaInsets = (sizeConfig, safeAreas = []) => {
+  const rule = (safeAreas || []).find((r) => matchesSizeRule(sizeConfig, r));
+
+  if (!rule) return null;
+
+  const toPixels = (value, dimension) => (
+    rule.unit === 'percent' ? ((value || 0) / 100) * dimension : (value || 0)
+  );
+
+  return {
+    top: toPixels(rule.top, sizeConfig.height),
+    right: toPixels(rule.right, sizeConfig.width),
+    bottom: toPixels(rule.bottom, sizeConfig.height),
+    left: toPixels(rule.left, sizeConfig.width),
+  };
+};
+
+/**
+ * Convert the print safety margin to pixels
+ * @param {Object} printSettings - Print settings { safetyMargin, bleedUnit } - missing values use DEFAULT_PRINT_SETTINGS
+ * @param {number} resolution - Document PPI (default 300)
+ * @returns {number} Margin in pixels per side (0 when switched off)
+ */
+export const getSafetyMarginPx = (printSettings, resolution = DEFAULT_RESOLUTION) => {
+  const settings = { ...DEFAULT_PRINT_SETTINGS, ...(printSettings || {}) };
+  if (!(settings.safetyMargin > 0)) return 0;
+  return unitsToPixels(settings.safetyMargin, settings.bleedUnit || 'inches', resolution);
+};
+
+/**
+ * Resolve the insets TEXT is placed within on a size
+ * Print sizes keep at least the safety margin from every trim edge; a wider safe-area rule still wins on its side
+ * @param {Object} sizeConfig - Size configuration { name, type, width, height, requiresBleed }
+ * @param {Array<Object>} safeAreas - Safe-area rules (see DEFAULT_SAFE_AREAS)
+ * @param {number} safetyMarginPx - Print safety margin in pixels (see getSafetyMarginPx)
+ * @returns {Object|null} Insets in pixels { top, right, bottom, left } or null if nothing applies
+ */
+export const resolvePlacementInsets = (sizeConfig, safeAreas = [], safetyMarginPx = 0) => {
+  const insets = resolveSafeAreaInsets(sizeConfig, safeAreas);
+  if (!sizeConfig.requiresBleed || !(safetyMarginPx > 0)) return insets;
+
+  const base = insets || { top: 0, right: 0, bottom: 0, left: 0 };
+  return {
+    top: Math.max(base.top, safetyMarginPx),
+    right: Math.max(base.right, safetyMarginPx),
+    bottom: Math.max(base.bottom, safetyMarginPx),
+    left: Math.max(base.left, safetyMarginPx),
+  };
+};
+
 /**
  * Calculate position for anchor-based placement
  * @param {string} anchor - Anchor point (center, top-left, etc.)
  * @param {Object} layerSize - Layer dimensions { width, height }
  * @param {Object} targetSize - Target artboard dimensions { width, height }
  * @param {Object} relativePosition - Percentage position for corner elements
+ * @param {Object} insets - Safe-area insets { top, right, bottom, left } to place within (optional)
  * @returns {Object} Final position { x, y }
  */
-export const calculatePosition = (anchor, layerSize, targetSize, relativePosition = null) => {
+export const calculatePosition = (anchor, layerSize, targetSize, relativePosition = null, insets = null) => {
+  if (insets) {
+    // Place within the inset rectangle, then shift back into artboard coordinates
+    const inner = calculatePosition(anchor, layerSize, {
+      width: targetSize.width - insets.left - insets.right,
+      height: targetSize.height - insets.top - insets.bottom,
+    }, relativePosition);
+    return { x: insets.left + inner.x, y: insets.top + inner.y };
+  }
+
   switch (anchor) {
     case 'center':
       return {
@@ -334,7 +508,7 @@ export const findNextArtboardPosition = async (width, height, gap = DEFAULT_LAYO
 /**
  * Calculate grid positions for artboards
  * @param {Array} sizes - Array of size configurations
- * @param {Object} options - Layout options
+ * @param {Object} options - Layout options (resolution - document PPI for bleed, default 300)
  * @returns {Array} Sizes with calculated positions
  */
 export const calculateGridPositions = (sizes, options = {}) => {
@@ -358,7 +532,7 @@ export const calculateGridPositions = (sizes, options = {}) => {
       let actualHeight = size.height;
       
       if (size.requiresBleed && size.bleed) {
-        const bleedPx = unitsToPixels(size.bleed, size.bleedUnit || 'inches');
+        const bleedPx = unitsToPixels(size.bleed, size.bleedUnit || 'inches', opts.resolution);
         actualWidth += bleedPx * 2;
         actualHeight += bleedPx * 2;
       }
@@ -572,7 +746,7 @@ export const createLayerGroup = async (name) => {
  * @param {number} layerId - Layer ID
  * @returns {Promise<number>} Layer index
  */
-const getLayerIndex = async (layerId) => {
+export const getLayerIndex = async (layerId) => {
   const batchPlay = getBatchPlay();
   const result = await batchPlay([
     {
@@ -901,12 +1075,13 @@ export const drawCropMarkLine = async (start, end, weight, color) => {
  * Create crop marks for a print artboard
  * @param {Object} trimBounds - Trim area bounds { x, y, width, height }
  * @param {Object} settings - Print settings
+ * @param {number} resolution - Document PPI (default 300)
  * @returns {Promise<void>}
  */
-export const createCropMarks = async (trimBounds, settings = DEFAULT_PRINT_SETTINGS) => {
-  const markLength = unitsToPixels(settings.cropMarkLength, settings.bleedUnit);
-  const markOffset = unitsToPixels(settings.cropMarkOffset, settings.bleedUnit);
-  const bleedPx = unitsToPixels(settings.bleed, settings.bleedUnit);
+export const createCropMarks = async (trimBounds, settings = DEFAULT_PRINT_SETTINGS, resolution = DEFAULT_RESOLUTION) => {
+  const markLength = unitsToPixels(settings.cropMarkLength, settings.bleedUnit, resolution);
+  const markOffset = unitsToPixels(settings.cropMarkOffset, settings.bleedUnit, resolution);
+  const bleedPx = unitsToPixels(settings.bleed, settings.bleedUnit, resolution);
   
   const marks = [
     // Top-left corner
@@ -947,9 +1122,11 @@ export const processLayerRole = async ({
   targetArtboardBounds,
   role,
   trimBounds = null, // For print artboards
+  safeArea = null, // Safe-area insets for contain-fit roles
 }) => {
   const config = getLayerRoleConfig(role);
   const targetBounds = trimBounds || targetArtboardBounds;
+  const insets = config.scaleMode === 'contain' ? safeArea : null;
   
   // Calculate scale based on mode
   let scale;
@@ -963,7 +1140,10 @@ export const processLayerRole = async ({
     case 'contain':
       scale = calculateContainScale(
         { width: sourceLayer.bounds.width, height: sourceLayer.bounds.height },
-        { width: targetBounds.width, height: targetBounds.height }
+        {
+          width: targetBounds.width - (insets ? insets.left + insets.right : 0),
+          height: targetBounds.height - (insets ? insets.top + insets.bottom : 0),
+        }
       );
       break;
     case 'relative':
@@ -1000,7 +1180,8 @@ export const processLayerRole = async ({
     config.anchor,
     scaledLayerSize,
     { width: targetBounds.width, height: targetBounds.height },
-    relativePosition
+    relativePosition,
+    insets
   );
   
   // Adjust position for artboard offset
@@ -1024,6 +1205,9 @@ export const createArtboardWithRoles = async ({
   position,
   sourceConfig,
   printSettings = DEFAULT_PRINT_SETTINGS,
+  sourceTypes = SOURCE_TYPES,
+  sourceOverrides = {},
+  resolution = DEFAULT_RESOLUTION,
 }) => {
   console.log('='.repeat(60));
   console.log('[createArtboardWithRoles] Starting artboard creation');
@@ -1036,15 +1220,16 @@ export const createArtboardWithRoles = async ({
   
   // Determine which source to use
   const aspectRatio = sizeConfig.width / sizeConfig.height;
-  const sourceType = determineSourceType(aspectRatio);
+  const sourceType = resolveSourceType(sizeConfig, sourceTypes, sourceOverrides);
   const source = sourceConfig[sourceType];
   
   console.log(`[createArtboardWithRoles] Aspect ratio: ${aspectRatio}, source type: ${sourceType}`);
   console.log(`[createArtboardWithRoles] Using source:`, source);
   
   if (!source || !source.artboard) {
-    console.error(`[createArtboardWithRoles] No ${sourceType} source configured`);
-    throw new Error(`No ${sourceType} source configured`);
+    const reason = sourceType ? `No ${sourceType} source configured` : 'No source type covers this aspect ratio';
+    console.error(`[createArtboardWithRoles] ${reason}`);
+    throw new Error(reason);
   }
   
   // Calculate actual artboard size (with bleed for print)
@@ -1053,7 +1238,7 @@ export const createArtboardWithRoles = async ({
   let trimBounds = null;
   
   if (sizeConfig.requiresBleed && sizeConfig.bleed) {
-    const bleedPx = unitsToPixels(sizeConfig.bleed, sizeConfig.bleedUnit || 'inches');
+    const bleedPx = unitsToPixels(sizeConfig.bleed, sizeConfig.bleedUnit || 'inches', resolution);
     artboardWidth += bleedPx * 2;
     artboardHeight += bleedPx * 2;
     
@@ -1161,7 +1346,7 @@ export const createArtboardWithRoles = async ({
   // Create crop marks for print artboards
   if (sizeConfig.requiresBleed && trimBounds) {
     console.log('[createArtboardWithRoles] Creating crop marks for print artboard');
-    await createCropMarks(trimBounds, printSettings);
+    await createCropMarks(trimBounds, printSettings, resolution);
   }
   
   console.log(`[createArtboardWithRoles] ✓ Artboard "${sizeConfig.name}" created successfully`);
@@ -1202,7 +1387,8 @@ export const generateArtboards = async (sizes, sourceConfig, options = {}, onPro
   return await core.executeAsModal(
     async (executionContext) => {
       const doc = app.activeDocument;
-      console.log(`[generateArtboards] Active document: "${doc.name}"`);
+      const resolution = getDocumentResolution();
+      console.log(`[generateArtboards] Active document: "${doc.name}" (${resolution} PPI)`);
       
       // Suspend history for single undo
       const suspensionID = await executionContext.hostControl.suspendHistory({
@@ -1228,7 +1414,7 @@ export const generateArtboards = async (sizes, sourceConfig, options = {}, onPro
           let actualHeight = sizeConfig.height;
           
           if (sizeConfig.requiresBleed && sizeConfig.bleed) {
-            const bleedPx = unitsToPixels(sizeConfig.bleed, sizeConfig.bleedUnit || 'inches');
+            const bleedPx = unitsToPixels(sizeConfig.bleed, sizeConfig.bleedUnit || 'inches', resolution);
             actualWidth += bleedPx * 2;
             actualHeight += bleedPx * 2;
           }
@@ -1247,6 +1433,9 @@ export const generateArtboards = async (sizes, sourceConfig, options = {}, onPro
             position,
             sourceConfig,
             printSettings,
+            sourceTypes: options.sourceTypes,
+            sourceOverrides: options.sourceOverrides,
+            resolution,
           });
           
           createdArtboards.push(artboard);
@@ -1277,6 +1466,7 @@ export const generateArtboards = async (sizes, sourceConfig, options = {}, onPro
             ...layoutOptions,
             startX,
             startY,
+            resolution,
           });
           
           for (let i = 0; i < positionedSizes.length; i++) {
@@ -1291,6 +1481,9 @@ export const generateArtboards = async (sizes, sourceConfig, options = {}, onPro
               position: sizeConfig.position,
               sourceConfig,
               printSettings,
+              sourceTypes: options.sourceTypes,
+              sourceOverrides: options.sourceOverrides,
+              resolution,
             });
             
             createdArtboards.push(artboard);
@@ -1314,7 +1507,13 @@ export default {
   calculateGridPositions,
   groupByType,
   determineSourceType,
+  getSourceTypeDefinition,
+  getSizeKey,
+  resolveSourceType,
+  formatAspectRange,
   unitsToPixels,
+  getDocumentResolution,
+  DEFAULT_RESOLUTION,
   getExistingArtboardBounds,
   findNextArtboardPosition,
   duplicateArtboardContents,
@@ -6,6 +6,32 @@
  * duplicate before transforming. Selecting by name alone would affect the source layers.
  */
 
+import {
+  calculatePosition,
+  DEFAULT_RESOLUTION,
+  resolveSourceType,
+  getDocumentResolution,
+  getExistingArtboardBounds,
+  getLayerRoleConfig,
+  getSafetyMarginPx,
+  getSizeKey,
+  groupByType,
+  LAYER_ROLES_ENUM,
+  matchesSizeRule,
+  resolvePlacementInsets,
+} from './artboardGenerator';
+import { buildProvenance, createRunId, readArtboardProvenance, writeArtboardProvenance } from './provenance';
+import { buildCanvasLabels, CANVAS_LABEL_SPACE, clearCanvasLabels, createCanvasLabels } from './canvasLabels';
+import { reorderArtboardLayers } from './layerOrder';
+import {
+  buildPrinterMarks,
+  buildSlugText,
+  generateRegistrationCircle,
+  hasPrinterMarks,
+  PRINTER_MARKS_GROUP_NAME,
+  toColorDescriptor,
+} from './printerMarks';
+
 // Photoshop APIs are loaded lazily to avoid errors during module initialization
 const getPhotoshop = () => require('photoshop');
 const getApp = () => getPhotoshop().app;
@@ -22,6 +48,25 @@ export const LAYER_NAMES = {
   BACKGROUND: 'BKG',
 };
 
+/**
+ * Layer roles that are pinned to a corner instead of scaled around the center
+ */
+export const CORNER_ROLES = [
+  LAYER_ROLES_ENUM.CORNER_TOP_LEFT,
+  LAYER_ROLES_ENUM.CORNER_TOP_RIGHT,
+  LAYER_ROLES_ENUM.CORNER_BOTTOM_LEFT,
+  LAYER_ROLES_ENUM.CORNER_BOTTOM_RIGHT,
+];
+
+/**
+ * Photoshop's maximum canvas size in pixels per side
+ * PSD files stop at 30,000 px; Large Document Format (PSB) allows 300,000 px
+ */
+export const CANVAS_LIMITS = {
+  psd: 30000,
+  psb: 300000,
+};
+
 export const DEFAULT_ARTBOARD_BACKGROUND = {
   _obj: 'RGBColor',
   blue: 255.0,
@@ -29,6 +74,24 @@ export const DEFAULT_ARTBOARD_BACKGROUND = {
   red: 255.0,
 };
 
+/**
+ * Artboard background types (artboardBackgroundType in editArtboardEvent)
+ */
+export const ARTBOARD_BACKGROUND_TYPES = {
+  WHITE: 1,
+  BLACK: 2,
+  TRANSPARENT: 3,
+  OTHER: 4, // Custom color
+};
+
+/**
+ * Background used when the source's background can't be read
+ */
+const DEFAULT_BACKGROUND = {
+  type: ARTBOARD_BACKGROUND_TYPES.WHITE,
+  color: DEFAULT_ARTBOARD_BACKGROUND,
+};
+
 // ============================================================================
 // Unit Conversion
 // ============================================================================
@@ -40,7 +103,7 @@ export const DEFAULT_ARTBOARD_BACKGROUND = {
  * @param {number} resolution - Document PPI (default 300)
  * @returns {number} Value in pixels
  */
-export const unitsToPixels = (value, unit, resolution = 300) => {
+export const unitsToPixels = (value, unit, resolution = DEFAULT_RESOLUTION) => {
   switch (unit) {
     case 'inches':
       return value * resolution;
@@ -52,25 +115,46 @@ export const unitsToPixels = (value, unit, resolution = 300) => {
   }
 };
 
+/**
+ * Resolve the bleed a size is built with
+ * A size's own bleed wins; a print size without one uses the Print Settings panel bleed.
+ * The unit always comes from the same place as the value.
+ * @param {Object} sizeConfig - Size configuration { requiresBleed, bleed, bleedUnit }
+ * @param {Object} printSettings - Print settings { bleed, bleedUnit } (optional)
+ * @returns {Object} { bleed, bleedUnit } - bleed is 0 when the size doesn't require bleed
+ */
+export const resolveSizeBleed = (sizeConfig, printSettings = null) => {
+  if (!sizeConfig.requiresBleed) {
+    return { bleed: 0, bleedUnit: printSettings?.bleedUnit || 'inches' };
+  }
+  if (sizeConfig.bleed) {
+    return { bleed: sizeConfig.bleed, bleedUnit: sizeConfig.bleedUnit || 'inches' };
+  }
+  return { bleed: printSettings?.bleed || 0, bleedUnit: printSettings?.bleedUnit || 'inches' };
+};
+
 /**
  * Calculate artboard size with bleed if required
  * @param {Object} sizeConfig - Size configuration { width, height, requiresBleed, bleed, bleedUnit }
- * @returns {Object} { width, height, bleedPx } - Adjusted dimensions and bleed in pixels
+ * @param {number} resolution - Document PPI (default 300)
+ * @param {Object} printSettings - Print settings whose bleed is used when the size has none (optional)
+ * @returns {Object} { width, height, bleedPx, bleedUnit } - Adjusted dimensions, bleed in pixels and the unit the bleed was given in
  */
-export const calculateSizeWithBleed = (sizeConfig) => {
+export const calculateSizeWithBleed = (sizeConfig, resolution = DEFAULT_RESOLUTION, printSettings = null) => {
   let width = sizeConfig.width;
   let height = sizeConfig.height;
   let bleedPx = 0;
+  const { bleed, bleedUnit } = resolveSizeBleed(sizeConfig, printSettings);
 
-  if (sizeConfig.requiresBleed && sizeConfig.bleed) {
-    bleedPx = unitsToPixels(sizeConfig.bleed, sizeConfig.bleedUnit || 'inches');
+  if (bleed) {
+    bleedPx = unitsToPixels(bleed, bleedUnit, resolution);
     width += bleedPx * 2;  // Bleed on left and right
     height += bleedPx * 2; // Bleed on top and bottom
-    console.log(`[calculateSizeWithBleed] Adding bleed: ${sizeConfig.bleed}${sizeConfig.bleedUnit} = ${bleedPx}px per side`);
+    console.log(`[calculateSizeWithBleed] Adding bleed: ${bleed}${bleedUnit} at ${resolution} PPI = ${bleedPx}px per side`);
     console.log(`[calculateSizeWithBleed] Original: ${sizeConfig.width}x${sizeConfig.height} → With bleed: ${width}x${height}`);
   }
 
-  return { width, height, bleedPx };
+  return { width, height, bleedPx, bleedUnit };
 };
 
 // ============================================================================
@@ -85,6 +169,33 @@ export const DEFAULT_CROP_MARK_SETTINGS = {
   weight: 1,         // Stroke weight in pixels
   offset: 0.0625,    // Offset from trim edge in inches
   color: { r: 0, g: 0, b: 0 }, // Black
+  unit: 'inches',    // Unit of length and offset
+};
+
+/**
+ * Name of the group each artboard's crop marks are collected in
+ */
+export const CROP_MARKS_GROUP_NAME = 'Crop Marks';
+
+/**
+ * Map Print Settings panel values onto crop mark settings
+ * Length and offset are measured in the bleed unit; missing values fall back to the defaults
+ * @param {Object} printSettings - Print settings { bleedUnit, cropMarkLength, cropMarkWeight, cropMarkOffset, cropMarkColor } (optional)
+ * @param {string} bleedUnit - Unit of the artboard's bleed (see calculateSizeWithBleed), so marks and bleed agree (optional, defaults to the panel's)
+ * @returns {Object} Crop mark settings { length, weight, offset, color, unit }
+ */
+export const getCropMarkSettings = (printSettings = null, bleedUnit = null) => {
+  if (!printSettings) {
+    return bleedUnit ? { ...DEFAULT_CROP_MARK_SETTINGS, unit: bleedUnit } : DEFAULT_CROP_MARK_SETTINGS;
+  }
+
+  return {
+    length: printSettings.cropMarkLength ?? DEFAULT_CROP_MARK_SETTINGS.length,
+    weight: printSettings.cropMarkWeight ?? DEFAULT_CROP_MARK_SETTINGS.weight,
+    offset: printSettings.cropMarkOffset ?? DEFAULT_CROP_MARK_SETTINGS.offset,
+    color: printSettings.cropMarkColor || DEFAULT_CROP_MARK_SETTINGS.color,
+    unit: bleedUnit || printSettings.bleedUnit || DEFAULT_CROP_MARK_SETTINGS.unit,
+  };
 };
 
 /**
@@ -118,11 +229,29 @@ export const generateGuideLayoutCommand = (bleedPx) => ({
   _options: { dialogOptions: 'dontDisplay' },
 });
 
+/**
+ * Generate command to add a single guide (safety margin guides sit inside the trim guides)
+ * @param {string} orientation - 'vertical' or 'horizontal'
+ * @param {number} positionPx - Guide position in document pixels
+ * @returns {Object} BatchPlay command
+ */
+export const generateGuideCommand = (orientation, positionPx) => ({
+  _obj: 'make',
+  new: {
+    _obj: 'guide',
+    position: { _unit: 'pixelsUnit', _value: positionPx },
+    orientation: { _enum: 'orientation', _value: orientation },
+    kind: { _enum: 'kind', _value: 'document' },
+  },
+  _target: [{ _ref: 'guide' }],
+  _options: { dialogOptions: 'dontDisplay' },
+});
+
 /**
  * Generate command to create a rectangle shape (for crop marks)
- * Uses thin rectangles to simulate lines
+ * Uses thin rectangles to simulate lines; also draws the color bar patches
  * @param {Object} bounds - Rectangle bounds { left, top, right, bottom }
- * @param {Object} color - Color { r, g, b }
+ * @param {Object} color - Color { r, g, b } or process color { c, m, y, k }
  * @returns {Object} BatchPlay command
  */
 export const generateCropMarkRectangle = (bounds, color = { r: 0, g: 0, b: 0 }) => ({
@@ -150,12 +279,7 @@ export const generateCropMarkRectangle = (bounds, color = { r: 0, g: 0, b: 0 })
     },
     type: {
       _obj: 'solidColorLayer',
-      color: {
-        _obj: 'RGBColor',
-        red: color.r,
-        grain: color.g,  // Photoshop uses 'grain' for green
-        blue: color.b,
-      },
+      color: toColorDescriptor(color),
     },
   },
   _options: { dialogOptions: 'dontDisplay' },
@@ -191,19 +315,45 @@ export const addBleedGuides = async (bleedPx, artboardId) => {
 };
 
 /**
- * Create crop marks for a print artboard using thin rectangles
+ * Add safety margin guides inside the trim of a print artboard
+ * Added one by one after addBleedGuides - another guide layout would replace the trim guides
  * @param {Object} artboardBounds - Artboard bounds { left, top, right, bottom }
  * @param {number} bleedPx - Bleed amount in pixels
- * @param {Object} settings - Crop mark settings
+ * @param {number} marginPx - Safety margin in pixels from the trim
  * @returns {Promise<void>}
  */
-export const createCropMarks = async (artboardBounds, bleedPx, settings = DEFAULT_CROP_MARK_SETTINGS) => {
+export const addSafetyMarginGuides = async (artboardBounds, bleedPx, marginPx) => {
+  const inset = bleedPx + marginPx;
+  console.log('[addSafetyMarginGuides] Adding safety guides', marginPx, 'px inside the trim');
+  const batchPlay = getBatchPlay();
+
+  await batchPlay([
+    generateGuideCommand('vertical', artboardBounds.left + inset),
+    generateGuideCommand('vertical', artboardBounds.right - inset),
+    generateGuideCommand('horizontal', artboardBounds.top + inset),
+    generateGuideCommand('horizontal', artboardBounds.bottom - inset),
+  ], { synchronousExecution: true });
+
+  console.log('[addSafetyMarginGuides] ✓ Added safety guides at', inset, 'px from edges');
+};
+
+/**
+ * Create crop marks for a print artboard using thin rectangles
+ * The eight marks are collected in a locked "Crop Marks" group inside the artboard
+ * @param {Object} artboardBounds - Artboard bounds { left, top, right, bottom }
+ * @param {number} bleedPx - Bleed amount in pixels
+ * @param {Object} settings - Crop mark settings (see getCropMarkSettings)
+ * @param {number} resolution - Document PPI (default 300)
+ * @returns {Promise<Object|null>} The crop marks group layer (null if the marks couldn't be grouped)
+ */
+export const createCropMarks = async (artboardBounds, bleedPx, settings = DEFAULT_CROP_MARK_SETTINGS, resolution = DEFAULT_RESOLUTION) => {
   console.log('[createCropMarks] Creating crop marks');
   const batchPlay = getBatchPlay();
   
   // Convert settings to pixels
-  const markLength = unitsToPixels(settings.length, 'inches');
-  const markOffset = unitsToPixels(settings.offset, 'inches');
+  const unit = settings.unit || 'inches';
+  const markLength = unitsToPixels(settings.length, unit, resolution);
+  const markOffset = unitsToPixels(settings.offset, unit, resolution);
   const markWeight = settings.weight;
   
   // Calculate trim boundaries (where content ends, bleed begins)
@@ -239,20 +389,161 @@ export const createCropMarks = async (artboardBounds, bleedPx, settings = DEFAUL
     { left: trimRight - markWeight/2, top: trimBottom + markOffset, right: trimRight + markWeight/2, bottom: trimBottom + markOffset + markLength },
   ];
   
-  // Create each crop mark
+  // Create each crop mark, remembering its layer ID (a new shape layer becomes the active layer)
+  const markIds = [];
   for (let i = 0; i < marks.length; i++) {
     const mark = marks[i];
     console.log(`[createCropMarks] Creating mark ${i + 1}/8...`);
     await batchPlay([
       generateCropMarkRectangle(mark, settings.color),
     ], { synchronousExecution: true });
+    markIds.push(getApp().activeDocument.activeLayers[0]?.id);
   }
   
   // Select all crop mark layers and group them
   console.log('[createCropMarks] Grouping crop marks...');
-  // Note: Grouping would require selecting multiple layers - skipping for simplicity
+  const group = await groupMarkLayers(markIds.filter(Boolean), CROP_MARKS_GROUP_NAME);
   
-  console.log('[createCropMarks] ✓ Created 8 crop marks');
+  console.log(`[createCropMarks] ✓ Created 8 crop marks${group ? ` in "${CROP_MARKS_GROUP_NAME}" group (id: ${group.id})` : ''}`);
+  return group;
+};
+
+/**
+ * Group mark layers into a locked, named group
+ * The group is made where the marks are, so it stays inside their artboard
+ * @param {Array<number>} layerIds - Mark layer IDs
+ * @param {string} name - Group name
+ * @returns {Promise<Object|null>} The group layer (null if there were no layers)
+ */
+const groupMarkLayers = async (layerIds, name) => {
+  if (layerIds.length === 0) {
+    console.warn(`[groupMarkLayers] ⚠ No layers to group into "${name}"`);
+    return null;
+  }
+
+  const batchPlay = getBatchPlay();
+  await batchPlay([
+    generateSelectLayerCommand(name, layerIds[0]),
+    ...layerIds.slice(1).map((id) => ({
+      _obj: 'select',
+      _target: [{ _ref: 'layer', _id: id }],
+      makeVisible: false,
+      selectionModifier: {
+        _enum: 'selectionModifierType',
+        _value: 'addToSelection',
+      },
+      _options: { dialogOptions: 'dontDisplay' },
+    })),
+    {
+      _obj: 'make',
+      _target: [{ _ref: 'layerSection' }],
+      from: { _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' },
+      name,
+      _options: { dialogOptions: 'dontDisplay' },
+    },
+  ], { synchronousExecution: true });
+
+  // The new group is the active layer - lock it so the marks can't be nudged by accident
+  const group = getApp().activeDocument.activeLayers[0];
+  group.allLocked = true;
+  console.log(`[groupMarkLayers] ✓ Grouped ${layerIds.length} layers into locked "${group.name}"`);
+  return group;
+};
+
+/**
+ * Create crop marks plus the printer's marks switched on in the print settings -
+ * registration targets, a CMYK color bar and a slug line, all outside the trim
+ * Everything goes into one locked "Printer's Marks" group inside the artboard, with the
+ * crop marks keeping their own "Crop Marks" group within it
+ * @param {Object} artboardBounds - Artboard bounds { left, top, right, bottom }
+ * @param {number} bleedPx - Bleed amount in pixels
+ * @param {Object} printSettings - Print settings, including registrationMarks, colorBar and slugInfo
+ * @param {Object} slugInfo - Slug line details { fileName, sizeConfig, taskId }
+ * @param {number} resolution - Document PPI (default 300)
+ * @param {string} bleedUnit - Unit of the artboard's bleed, which the mark sizes are read in (optional)
+ * @returns {Promise<Object>} { group, unfit } - the printer's marks group layer (null if nothing could be grouped)
+ *   and the marks left out because the bleed has no room for them
+ */
+export const createPrinterMarks = async (artboardBounds, bleedPx, printSettings, slugInfo, resolution = DEFAULT_RESOLUTION, bleedUnit = null) => {
+  console.log("[createPrinterMarks] Creating printer's marks");
+  const batchPlay = getBatchPlay();
+  const doc = getApp().activeDocument;
+  const settings = getCropMarkSettings(printSettings, bleedUnit);
+
+  // The crop marks group is unlocked while it's moved into the printer's marks group
+  const cropMarks = await createCropMarks(artboardBounds, bleedPx, settings, resolution);
+  if (cropMarks) cropMarks.allLocked = false;
+
+  const trim = {
+    left: artboardBounds.left + bleedPx,
+    top: artboardBounds.top + bleedPx,
+    right: artboardBounds.right - bleedPx,
+    bottom: artboardBounds.bottom - bleedPx,
+  };
+  const unit = settings.unit || 'inches';
+  const metrics = {
+    length: unitsToPixels(settings.length, unit, resolution),
+    offset: unitsToPixels(settings.offset, unit, resolution),
+    weight: settings.weight,
+  };
+  const slugText = buildSlugText({ ...slugInfo, resolution });
+  const { registration, colorBar, slug, unfit } = buildPrinterMarks(trim, metrics, printSettings, artboardBounds, slugText);
+  const layerIds = cropMarks ? [cropMarks.id] : [];
+  if (unfit.length > 0) {
+    console.warn(`[createPrinterMarks] ⚠ No room in the ${bleedPx}px bleed for the ${unfit.join(', ')} - left out`);
+  }
+
+  // Registration targets - a circle with a crosshair through it
+  for (const target of registration) {
+    const half = target.arm;
+    await batchPlay([
+      generateRegistrationCircle(target, settings.color, metrics.weight),
+    ], { synchronousExecution: true });
+    layerIds.push(doc.activeLayers[0]?.id);
+    await batchPlay([
+      generateCropMarkRectangle({ left: target.cx - half, top: target.cy - metrics.weight / 2, right: target.cx + half, bottom: target.cy + metrics.weight / 2 }, settings.color),
+    ], { synchronousExecution: true });
+    layerIds.push(doc.activeLayers[0]?.id);
+    await batchPlay([
+      generateCropMarkRectangle({ left: target.cx - metrics.weight / 2, top: target.cy - half, right: target.cx + metrics.weight / 2, bottom: target.cy + half }, settings.color),
+    ], { synchronousExecution: true });
+    layerIds.push(doc.activeLayers[0]?.id);
+  }
+  if (registration.length > 0) {
+    console.log(`[createPrinterMarks] ✓ ${registration.length} registration targets`);
+  }
+
+  // Color bar patches in process colors
+  for (const patch of colorBar) {
+    await batchPlay([
+      generateCropMarkRectangle(patch.bounds, patch.color),
+    ], { synchronousExecution: true });
+    layerIds.push(doc.activeLayers[0]?.id);
+  }
+  if (colorBar.length > 0) {
+    console.log(`[createPrinterMarks] ✓ Color bar with ${colorBar.length} patches`);
+  }
+
+  // Slug line - font size is in points, so convert from pixels at the document resolution
+  if (slug) {
+    const textColor = new (getApp().SolidColor)();
+    textColor.rgb.red = settings.color.r;
+    textColor.rgb.green = settings.color.g;
+    textColor.rgb.blue = settings.color.b;
+    const textLayer = await doc.createTextLayer({
+      name: 'Slug',
+      contents: slugText,
+      fontSize: (slug.size * 72) / resolution,
+      position: { x: slug.x, y: slug.y },
+      textColor,
+    });
+    layerIds.push(textLayer.id);
+    console.log(`[createPrinterMarks] ✓ Slug line "${slugText}"`);
+  }
+
+  const group = await groupMarkLayers(layerIds.filter(Boolean), PRINTER_MARKS_GROUP_NAME);
+  if (cropMarks) cropMarks.allLocked = true;
+  return { group, unfit };
 };
 
 // ============================================================================
@@ -279,9 +570,17 @@ const collectLayerIds = (layer) => {
  * @param {Object} sourceSize - Source artboard dimensions { width, height }
  * @param {Object} targetSize - Target artboard dimensions { width, height }
  * @param {string} scaleMode - Scale mode: 'cover', 'contain', or 'relative'
+ * @param {Object} insets - Safe-area insets { top, right, bottom, left } that 'contain' fits within (optional)
  * @returns {number} Scale percentage (e.g., 85.79 for 85.79%)
  */
-export const calculateScalePercent = (sourceSize, targetSize, scaleMode = 'cover') => {
+export const calculateScalePercent = (sourceSize, targetSize, scaleMode = 'cover', insets = null) => {
+  if (insets && scaleMode === 'contain') {
+    targetSize = {
+      width: targetSize.width - insets.left - insets.right,
+      height: targetSize.height - insets.top - insets.bottom,
+    };
+  }
+
   const widthScale = targetSize.width / sourceSize.width;
   const heightScale = targetSize.height / sourceSize.height;
   
@@ -335,156 +634,278 @@ export const getLayerConfig = (layerName) => {
   return { scaleMode: 'cover', shouldAlign: true };
 };
 
+/**
+ * Calculate the scale percentage transformAllLayers applies to a top-level layer
+ * Contain layers fit the trim area (minus safe-area insets); everything else uses the full artboard
+ * @param {string} layerName - Name of the top-level layer
+ * @param {Object} sourceSize - Source artboard dimensions { width, height }
+ * @param {Object} targetSize - Target artboard dimensions including bleed { width, height }
+ * @param {number} bleedPx - Bleed in pixels per side
+ * @param {Object} safeArea - Safe-area insets { top, right, bottom, left } (optional)
+ * @returns {number} Scale percentage
+ */
+export const calculateLayerScalePercent = (layerName, sourceSize, targetSize, bleedPx = 0, safeArea = null) => {
+  const { scaleMode } = getLayerConfig(layerName);
+  if (scaleMode === 'contain') {
+    const trimSize = { width: targetSize.width - bleedPx * 2, height: targetSize.height - bleedPx * 2 };
+    return calculateScalePercent(sourceSize, trimSize, scaleMode, safeArea);
+  }
+  return calculateScalePercent(sourceSize, targetSize, scaleMode);
+};
+
+/**
+ * Find a layer by exact name anywhere in a layer tree
+ * @param {Object} container - Artboard or group layer object
+ * @param {string} layerName - Exact layer name
+ * @returns {Object|null} Found layer or null
+ */
+const findLayerByExactName = (container, layerName) => {
+  if (!container?.layers) return null;
+  for (const layer of container.layers) {
+    if (layer.name === layerName) return layer;
+    const nested = findLayerByExactName(layer, layerName);
+    if (nested) return nested;
+  }
+  return null;
+};
+
+/**
+ * Resolve corner-pinned layers in an artboard from the source's role assignments
+ * Bounds are snapshotted so they reflect the source layout before any transform runs
+ * @param {Object} artboard - The artboard layer object
+ * @param {Object} roleLayers - Role → layer name map from the source config
+ * @returns {Array<Object>} Corner layers [{ role, anchor, id, name, bounds }]
+ */
+const collectCornerLayers = (artboard, roleLayers = {}) => {
+  const corners = [];
+  for (const role of CORNER_ROLES) {
+    const layerName = roleLayers?.[role];
+    if (!layerName) continue;
+
+    const layer = findLayerByExactName(artboard, layerName);
+    if (!layer || !layer.bounds) {
+      console.log(`[collectCornerLayers] ${role} layer "${layerName}" not found in artboard`);
+      continue;
+    }
+
+    const { left, top, right, bottom } = layer.bounds;
+    corners.push({
+      role,
+      anchor: getLayerRoleConfig(role).anchor,
+      id: layer.id,
+      name: layer.name,
+      bounds: { left, top, right, bottom },
+    });
+  }
+  return corners;
+};
+
+/**
+ * Calculate where a corner-pinned layer should land on the target artboard
+ * Uses the relative (diagonal) scale and keeps the layer's % margin from its anchored edges
+ * @param {Object} bounds - Layer bounds on the source layout { left, top, right, bottom }
+ * @param {string} anchor - Anchor: top-left, top-right, bottom-left, bottom-right
+ * @param {Object} sourceFrame - Source frame { left, top, width, height }
+ * @param {Object} targetFrame - Target frame (trim area for print) { left, top, width, height }
+ * @param {number} margin - Minimum distance in pixels from the frame edges - the print safety margin (optional)
+ * @returns {Object} Target rect { left, top, width, height, scale }
+ */
+export const calculateCornerPlacement = (bounds, anchor, sourceFrame, targetFrame, margin = 0) => {
+  const scale = calculateScalePercent(sourceFrame, targetFrame, 'relative') / 100;
+  const layerWidth = bounds.right - bounds.left;
+  const layerHeight = bounds.bottom - bounds.top;
+
+  // Margins are measured from the edges the layer is pinned to
+  const marginX = anchor.endsWith('left')
+    ? bounds.left - sourceFrame.left
+    : sourceFrame.left + sourceFrame.width - bounds.right;
+  const marginY = anchor.startsWith('top')
+    ? bounds.top - sourceFrame.top
+    : sourceFrame.top + sourceFrame.height - bounds.bottom;
+
+  const scaledSize = { width: layerWidth * scale, height: layerHeight * scale };
+  const position = calculatePosition(anchor, scaledSize, targetFrame, {
+    xPercent: marginX / sourceFrame.width,
+    yPercent: marginY / sourceFrame.height,
+  });
+
+  // Pull the layer inside the margin; a layer too big to fit stays flush with its anchored edge
+  const keepInside = (start, size, frameStart, frameSize, pinnedToEnd) => {
+    const min = frameStart + margin;
+    const max = frameStart + frameSize - margin - size;
+    if (max < min) return pinnedToEnd ? max : min;
+    return Math.min(Math.max(start, min), max);
+  };
+
+  return {
+    left: keepInside(targetFrame.left + position.x, scaledSize.width, targetFrame.left, targetFrame.width, anchor.endsWith('right')),
+    top: keepInside(targetFrame.top + position.y, scaledSize.height, targetFrame.top, targetFrame.height, anchor.startsWith('bottom')),
+    width: scaledSize.width,
+    height: scaledSize.height,
+    scale,
+  };
+};
+
+/**
+ * Scale and move corner-pinned layers to their anchored position on the target
+ * Runs after the role transforms, so it works from each layer's current bounds
+ * (a corner nested in a transformed group has already been scaled once)
+ * @param {Object} artboard - The artboard layer object (live reference)
+ * @param {Array<Object>} cornerLayers - Snapshot from collectCornerLayers
+ * @param {Object} sourceFrame - Source frame { left, top, width, height }
+ * @param {Object} targetFrame - Target frame (trim area for print) { left, top, width, height }
+ * @param {Object} batchPlay - The batchPlay function
+ * @param {number} margin - Print safety margin in pixels to keep from the trim (optional)
+ * @returns {Promise<void>}
+ */
+const pinCornerLayers = async (artboard, cornerLayers, sourceFrame, targetFrame, batchPlay, margin = 0) => {
+  for (const corner of cornerLayers) {
+    const layer = findLayerByExactName(artboard, corner.name);
+    const current = layer?.bounds;
+    if (!current || current.right <= current.left || current.bottom <= current.top) {
+      console.log(`[pinCornerLayers] Skipping ${corner.role} "${corner.name}" - no bounds`);
+      continue;
+    }
+
+    const placement = calculateCornerPlacement(corner.bounds, corner.anchor, sourceFrame, targetFrame, margin);
+    const currentWidth = current.right - current.left;
+    const scalePercent = (placement.width / currentWidth) * 100;
+    const offset = {
+      horizontal: placement.left + placement.width / 2 - (current.left + current.right) / 2,
+      vertical: placement.top + placement.height / 2 - (current.top + current.bottom) / 2,
+    };
+
+    console.log(`[pinCornerLayers] ${corner.role} "${corner.name}" → ${corner.anchor} at (${placement.left.toFixed(1)}, ${placement.top.toFixed(1)}), ${scalePercent.toFixed(2)}%`);
+
+    try {
+      await batchPlay([
+        generateSelectLayerCommand(corner.name, corner.id),
+        generateTransformCommand(scalePercent, scalePercent, offset),
+      ], { synchronousExecution: true });
+    } catch (e) {
+      console.warn(`[pinCornerLayers] ⚠ Could not pin "${corner.name}":`, e.message);
+    }
+  }
+};
+
+/**
+ * Calculate the frames layers are placed into on a target artboard
+ * @param {Object} origin - Top-left of the target artboard { x, y }
+ * @param {Object} targetSize - Target artboard dimensions including bleed { width, height }
+ * @param {number} bleedPx - Bleed in pixels per side
+ * @param {Object} safeArea - Safe-area insets { top, right, bottom, left } from the trim edges (optional)
+ * @returns {Object} { targetFrame, trimFrame, safeFrame } each { left, top, width, height }
+ */
+export const calculateTargetFrames = (origin, targetSize, bleedPx = 0, safeArea = null) => {
+  const targetFrame = {
+    left: origin.x,
+    top: origin.y,
+    width: targetSize.width,
+    height: targetSize.height,
+  };
+  const trimFrame = {
+    left: targetFrame.left + bleedPx,
+    top: targetFrame.top + bleedPx,
+    width: targetFrame.width - bleedPx * 2,
+    height: targetFrame.height - bleedPx * 2,
+  };
+  const safeFrame = safeArea
+    ? {
+      left: trimFrame.left + safeArea.left,
+      top: trimFrame.top + safeArea.top,
+      width: trimFrame.width - safeArea.left - safeArea.right,
+      height: trimFrame.height - safeArea.top - safeArea.bottom,
+    }
+    : trimFrame;
+
+  return { targetFrame, trimFrame, safeFrame };
+};
+
 /**
  * Transform all top-level layers in an artboard to fit the new size
- * This handles any layer structure, not just specifically named layers
+ * Each layer is scaled on its own terms using the scale mode from getLayerConfig
+ * (TEXT = contain, BKG/Overlay = cover) and keeps its proportional offset from center.
+ * Contain layers fit the trim area, shrunk by the size's safe-area insets when set
  * @param {Object} artboard - The artboard layer object
  * @param {number} artboardId - The artboard ID
  * @param {Object} sourceSize - Source artboard dimensions { width, height }
  * @param {Object} targetSize - Target artboard dimensions { width, height }
  * @param {Object} batchPlay - The batchPlay function
+ * @param {Object} artboardOrigin - Top-left of the resized artboard { x, y }
+ * @param {Object} options - Extra placement options
+ * @param {Object} options.roleLayers - Role → layer name map from the source config (for corner pinning)
+ * @param {number} options.bleedPx - Bleed in pixels; corners are pinned to the trim edges
+ * @param {Object} options.safeArea - Safe-area insets { top, right, bottom, left } from the trim edges
+ * @param {number} options.safetyMarginPx - Print safety margin in pixels; corners are kept this far inside the trim
  * @returns {Promise<void>}
  */
-const transformAllLayers = async (artboard, artboardId, sourceSize, targetSize, batchPlay) => {
+const transformAllLayers = async (artboard, artboardId, sourceSize, targetSize, batchPlay, artboardOrigin, options = {}) => {
   if (!artboard || !artboard.layers || artboard.layers.length === 0) {
     console.log('[transformAllLayers] No layers to transform');
     return;
   }
 
-  console.log(`[transformAllLayers] Transforming ${artboard.layers.length} top-level layers`);
+  console.log(`[transformAllLayers] Transforming ${artboard.layers.length} top-level layers in artboard ${artboardId}`);
   console.log(`[transformAllLayers] Source: ${sourceSize.width}x${sourceSize.height} → Target: ${targetSize.width}x${targetSize.height}`);
 
-  // Calculate the scale factor based on artboard size change
-  // Use 'cover' mode to ensure content fills the artboard
-  const widthScale = targetSize.width / sourceSize.width;
-  const heightScale = targetSize.height / sourceSize.height;
-  const coverScale = Math.max(widthScale, heightScale);
-  const scalePercent = coverScale * 100;
-
-  console.log(`[transformAllLayers] Scale factor: ${coverScale.toFixed(4)} (${scalePercent.toFixed(2)}%)`);
-
-  // Select ALL top-level layers at once for batch transformation
-  const allLayerIds = artboard.layers.map(l => l.id);
-  console.log(`[transformAllLayers] Layer IDs to transform:`, allLayerIds);
-
-  if (allLayerIds.length === 0) {
-    return;
-  }
-
-  // Step 1: Select the artboard first (as alignment reference)
-  await batchPlay([
-    {
-      _obj: 'select',
-      _target: [{ _ref: 'layer', _id: artboardId }],
-      makeVisible: false,
-      _options: { dialogOptions: 'dontDisplay' },
-    },
-  ], { synchronousExecution: true });
+  // The artboard was resized in place (top-left kept) then moved, so layer content still
+  // sits where it did relative to the artboard origin - only the frame size changed
+  const sourceFrame = {
+    left: artboardOrigin.x,
+    top: artboardOrigin.y,
+    width: sourceSize.width,
+    height: sourceSize.height,
+  };
+  const bleedPx = options.bleedPx || 0;
+  const safeArea = options.safeArea || null;
+  const { targetFrame, trimFrame, safeFrame } = calculateTargetFrames(artboardOrigin, targetSize, bleedPx, safeArea);
 
-  // Step 2: Add all layers to selection
-  for (const layerId of allLayerIds) {
-    await batchPlay([
-      {
-        _obj: 'select',
-        _target: [{ _ref: 'layer', _id: layerId }],
-        selectionModifier: { _enum: 'selectionModifierType', _value: 'addToSelection' },
-        makeVisible: false,
-        _options: { dialogOptions: 'dontDisplay' },
-      },
-    ], { synchronousExecution: true });
+  if (safeArea) {
+    console.log(`[transformAllLayers] Safe area: ${safeFrame.width.toFixed(0)}x${safeFrame.height.toFixed(0)} at (${(safeFrame.left - targetFrame.left).toFixed(0)}, ${(safeFrame.top - targetFrame.top).toFixed(0)})`);
   }
 
-  // Step 3: Align all selected layers to artboard center
-  console.log('[transformAllLayers] Aligning all layers to artboard center...');
-  await batchPlay([
-    {
-      _obj: 'align',
-      _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
-      alignToCanvas: false,
-      using: { _enum: 'alignDistributeSelector', _value: 'ADSCentersH' },
-    },
-    {
-      _obj: 'align',
-      _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
-      alignToCanvas: false,
-      using: { _enum: 'alignDistributeSelector', _value: 'ADSCentersV' },
-    },
-  ], { synchronousExecution: true });
+  // Corner-pinned layers are handled separately once the role layers are in place
+  const cornerLayers = collectCornerLayers(artboard, options.roleLayers);
+  const cornerIds = new Set(cornerLayers.map((c) => c.id));
 
-  // Step 4: Select only the layers (not artboard) for scaling
-  await batchPlay([
-    {
-      _obj: 'select',
-      _target: [{ _ref: 'layer', _id: allLayerIds[0] }],
-      makeVisible: false,
-      _options: { dialogOptions: 'dontDisplay' },
-    },
-  ], { synchronousExecution: true });
+  for (const layer of artboard.layers) {
+    if (cornerIds.has(layer.id)) {
+      continue;
+    }
 
-  for (let i = 1; i < allLayerIds.length; i++) {
-    await batchPlay([
-      {
-        _obj: 'select',
-        _target: [{ _ref: 'layer', _id: allLayerIds[i] }],
-        selectionModifier: { _enum: 'selectionModifierType', _value: 'addToSelection' },
-        makeVisible: false,
-        _options: { dialogOptions: 'dontDisplay' },
-      },
-    ], { synchronousExecution: true });
-  }
+    const config = getLayerConfig(layer.name);
+    const layerFrame = config.scaleMode === 'contain' ? safeFrame : targetFrame;
+    const scalePercent = calculateLayerScalePercent(layer.name, sourceSize, targetSize, bleedPx, safeArea);
+    const bounds = layer.bounds;
+    const hasBounds = bounds && bounds.right > bounds.left && bounds.bottom > bounds.top;
+
+    if (!hasBounds) {
+      // Adjustment layers and empty groups have no pixels to transform
+      console.log(`[transformAllLayers] Skipping "${layer.name}" (id: ${layer.id}) - no bounds`);
+      continue;
+    }
 
-  // Step 5: Scale all layers together
-  console.log(`[transformAllLayers] Scaling all layers by ${scalePercent.toFixed(2)}%...`);
-  await batchPlay([
-    {
-      _obj: 'transform',
-      _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
-      freeTransformCenterState: { _enum: 'quadCenterState', _value: 'QCSAverage' },
-      width: { _unit: 'percentUnit', _value: scalePercent },
-      height: { _unit: 'percentUnit', _value: scalePercent },
-      linked: true,
-      interfaceIconFrameDimmed: { _enum: 'interpolationType', _value: 'bicubic' },
-    },
-  ], { synchronousExecution: true });
+    const offset = config.shouldAlign
+      ? calculateProportionalOffset(bounds, sourceFrame, layerFrame, scalePercent / 100)
+      : { horizontal: 0, vertical: 0 };
 
-  // Step 6: Re-center after scaling (scaling can shift position)
-  await batchPlay([
-    {
-      _obj: 'select',
-      _target: [{ _ref: 'layer', _id: artboardId }],
-      makeVisible: false,
-      _options: { dialogOptions: 'dontDisplay' },
-    },
-  ], { synchronousExecution: true });
+    console.log(`[transformAllLayers] "${layer.name}" → ${config.scaleMode} ${scalePercent.toFixed(2)}%, offset (${offset.horizontal.toFixed(1)}, ${offset.vertical.toFixed(1)})`);
 
-  for (const layerId of allLayerIds) {
-    await batchPlay([
-      {
-        _obj: 'select',
-        _target: [{ _ref: 'layer', _id: layerId }],
-        selectionModifier: { _enum: 'selectionModifierType', _value: 'addToSelection' },
-        makeVisible: false,
-        _options: { dialogOptions: 'dontDisplay' },
-      },
-    ], { synchronousExecution: true });
+    try {
+      await batchPlay([
+        generateSelectLayerCommand(layer.name, layer.id),
+        generateTransformCommand(scalePercent, scalePercent, offset),
+      ], { synchronousExecution: true });
+    } catch (e) {
+      console.warn(`[transformAllLayers] ⚠ Could not transform "${layer.name}":`, e.message);
+    }
   }
 
-  await batchPlay([
-    {
-      _obj: 'align',
-      _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
-      alignToCanvas: false,
-      using: { _enum: 'alignDistributeSelector', _value: 'ADSCentersH' },
-    },
-    {
-      _obj: 'align',
-      _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
-      alignToCanvas: false,
-      using: { _enum: 'alignDistributeSelector', _value: 'ADSCentersV' },
-    },
-  ], { synchronousExecution: true });
+  if (cornerLayers.length > 0) {
+    await pinCornerLayers(artboard, cornerLayers, sourceFrame, trimFrame, batchPlay, options.safetyMarginPx || 0);
+  }
 
-  console.log('[transformAllLayers] ✓ All layers transformed and centered');
+  console.log('[transformAllLayers] ✓ All layers transformed');
 
   // Step 7: Clean up layer names (remove " copy" suffixes)
   for (const layer of artboard.layers) {
@@ -530,14 +951,31 @@ export const generateDuplicateCommand = () => ({
   _options: { dialogOptions: 'dontDisplay' },
 });
 
+/**
+ * Work out the background of a derived artboard
+ * A matching transparent-background rule wins (PNG deliverables); otherwise the
+ * derivative keeps its source's background type and color
+ * @param {Object} sizeConfig - Size configuration { name, type }
+ * @param {Object} sourceBackground - Source background { type, color } from getSourceArtboard (optional)
+ * @param {Array<Object>} transparentBackgrounds - Name/type rules forcing transparency (see DEFAULT_TRANSPARENT_BACKGROUNDS)
+ * @returns {Object} Background { type, color }
+ */
+export const resolveArtboardBackground = (sizeConfig, sourceBackground = null, transparentBackgrounds = []) => {
+  const background = sourceBackground || DEFAULT_BACKGROUND;
+  if ((transparentBackgrounds || []).some((rule) => matchesSizeRule(sizeConfig, rule))) {
+    return { ...background, type: ARTBOARD_BACKGROUND_TYPES.TRANSPARENT };
+  }
+  return background;
+};
+
 /**
  * Generate edit artboard command to resize AND reposition
  * @param {Object} bounds - New artboard bounds { left, top, right, bottom }
  * @param {string} presetName - Artboard preset name (optional)
- * @param {Object} backgroundColor - Background color (optional)
+ * @param {Object} background - Artboard background { type, color } (optional, defaults to white)
  * @returns {Object} BatchPlay command
  */
-export const generateEditArtboardCommand = (bounds, presetName = 'Custom', backgroundColor = DEFAULT_ARTBOARD_BACKGROUND) => ({
+export const generateEditArtboardCommand = (bounds, presetName = 'Custom', background = DEFAULT_BACKGROUND) => ({
   _obj: 'editArtboardEvent',
   _target: [
     {
@@ -548,7 +986,7 @@ export const generateEditArtboardCommand = (bounds, presetName = 'Custom', backg
   ],
   artboard: {
     _obj: 'artboard',
-    artboardBackgroundType: 1,
+    artboardBackgroundType: background.type,
     artboardPresetName: presetName,
     artboardRect: {
       _obj: 'classFloatRect',
@@ -557,7 +995,7 @@ export const generateEditArtboardCommand = (bounds, presetName = 'Custom', backg
       right: bounds.right,
       bottom: bounds.bottom,
     },
-    color: backgroundColor,
+    color: background.color,
     guideIDs: [],
   },
   // changeSizes: 1 = resize operation
@@ -603,6 +1041,17 @@ export const generateSelectLayerCommand = (layerName, layerId) => {
   };
 };
 
+/**
+ * Generate delete command for a layer (or artboard) by ID
+ * @param {number} layerId - Layer ID to delete
+ * @returns {Object} BatchPlay command
+ */
+export const generateDeleteLayerCommand = (layerId) => ({
+  _obj: 'delete',
+  _target: [{ _ref: 'layer', _id: layerId }],
+  _options: { dialogOptions: 'dontDisplay' },
+});
+
 /**
  * Generate rename layer command
  * @param {string} newName - New name for the layer
@@ -790,6 +1239,14 @@ export const getSourceArtboard = async (artboardName) => {
   
   const rect = result[0]?.artboard?.artboardRect;
   console.log(`[getSourceArtboard] Artboard rect from batchPlay:`, rect);
+
+  // Background type and color, handed on to derivatives
+  const artboardDesc = result[0]?.artboard;
+  const background = {
+    type: artboardDesc?.artboardBackgroundType ?? DEFAULT_BACKGROUND.type,
+    color: artboardDesc?.color || DEFAULT_BACKGROUND.color,
+  };
+  console.log(`[getSourceArtboard] Background type:`, background.type);
   
   if (!rect) {
     console.error(`[getSourceArtboard] ✗ "${artboardName}" is not an artboard`);
@@ -830,6 +1287,7 @@ export const getSourceArtboard = async (artboardName) => {
   return {
     layer: artboardLayer,
     bounds,
+    background,
     layerIds,
     childLayers,
   };
@@ -843,9 +1301,10 @@ export const getSourceArtboard = async (artboardName) => {
  * @param {Object} params.targetSize - Target size { width, height }
  * @param {Array<Object>} params.layersToTransform - Layers that need transformation
  * @param {Object} params.position - Position for new artboard { x, y } (optional)
+ * @param {Object} params.background - Artboard background { type, color } (optional, see resolveArtboardBackground)
  * @returns {Array<Object>} Array of batchPlay commands
  */
-export const buildBatchCommands = ({ sourceLayerIds, sourceBounds, targetSize, layersToTransform, position }) => {
+export const buildBatchCommands = ({ sourceLayerIds, sourceBounds, targetSize, layersToTransform, position, background }) => {
   const commands = [];
   
   // Calculate new artboard bounds
@@ -866,7 +1325,7 @@ export const buildBatchCommands = ({ sourceLayerIds, sourceBounds, targetSize, l
     top: newTop,
     right: newRight,
     bottom: newBottom,
-  }));
+  }, 'Custom', background));
   
   // Step 3: Transform each layer (select, align, scale)
   const sourceSize = {
@@ -1080,21 +1539,30 @@ const getNewlyDuplicatedArtboard = async (originalName) => {
  * @param {Object} params - Parameters
  * @param {string} params.sourceArtboardName - Name of source artboard to duplicate
  * @param {Object} params.targetSize - Target size { width, height, name }
- * @param {Array<string>} params.layerNames - Names of layers to transform (optional)
  * @param {Object} params.position - Position for new artboard { x, y } (optional)
+ * @param {Object} params.roleLayers - Role → layer name map from the source config (optional)
+ * @param {Array<Object>} params.safeAreas - Safe-area rules for TEXT placement (optional)
+ * @param {Array<Object>} params.transparentBackgrounds - Name/type rules for a transparent artboard background (optional)
+ * @param {Object} params.provenance - Provenance context { taskId, runId, sourceType, sourceArtboardIds } to record on the artboard (optional)
+ * @param {number} params.resolution - Document PPI for bleed and crop marks (optional, read from the document)
+ * @param {Object} params.printSettings - Print Settings panel values for the crop marks (optional)
  * @returns {Promise<Object>} Created artboard info
  */
 export const createArtboardByDuplication = async ({
   sourceArtboardName,
   targetSize,
-  layerNames = [LAYER_NAMES.OVERLAY, LAYER_NAMES.TEXT, LAYER_NAMES.BACKGROUND],
   position = null,
+  roleLayers = {},
+  safeAreas = [],
+  transparentBackgrounds = [],
+  provenance = null,
+  resolution = null,
+  printSettings = null,
 }) => {
   console.log('='.repeat(60));
   console.log('[createArtboardByDuplication] Starting...');
   console.log('[createArtboardByDuplication] Source:', sourceArtboardName);
   console.log('[createArtboardByDuplication] Target size:', targetSize);
-  console.log('[createArtboardByDuplication] Layers to transform:', layerNames);
   
   const core = getCore();
   const app = getApp();
@@ -1113,8 +1581,13 @@ export const createArtboardByDuplication = async ({
         const result = await createArtboardByDuplicationInternal({
           sourceArtboardName,
           targetSize,
-          layerNames,
           position,
+          roleLayers,
+          safeAreas,
+          transparentBackgrounds,
+          provenance,
+          resolution: resolution || getDocumentResolution(),
+          printSettings,
         });
         
         console.log('[createArtboardByDuplication] ✓ Artboard created successfully');
@@ -1137,27 +1610,38 @@ export const createArtboardByDuplication = async ({
 const createArtboardByDuplicationInternal = async ({
   sourceArtboardName,
   targetSize,
-  layerNames,
   position,
+  roleLayers = {},
+  safeAreas = [],
+  transparentBackgrounds = [],
+  provenance = null,
+  resolution = DEFAULT_RESOLUTION,
+  printSettings = null,
 }) => {
   console.log('─'.repeat(60));
   console.log('[createArtboardByDuplicationInternal] === STARTING ===');
   console.log('[createArtboardByDuplicationInternal] Source artboard:', sourceArtboardName);
   console.log('[createArtboardByDuplicationInternal] Target size:', JSON.stringify(targetSize));
-  console.log('[createArtboardByDuplicationInternal] Layer names to transform:', layerNames);
   console.log('[createArtboardByDuplicationInternal] Position:', position);
   
   const batchPlay = getBatchPlay();
   const app = getApp();
   
   // Calculate size with bleed if required
-  const { width: actualWidth, height: actualHeight, bleedPx } = calculateSizeWithBleed(targetSize);
+  const { width: actualWidth, height: actualHeight, bleedPx, bleedUnit } = calculateSizeWithBleed(targetSize, resolution, printSettings);
   console.log('[createArtboardByDuplicationInternal] Bleed calculation:');
   console.log('  - Original size:', targetSize.width, 'x', targetSize.height);
   console.log('  - Requires bleed:', targetSize.requiresBleed);
-  console.log('  - Bleed value:', targetSize.bleed, targetSize.bleedUnit);
+  console.log('  - Bleed value:', targetSize.bleed ?? printSettings?.bleed, bleedUnit);
   console.log('  - Bleed pixels:', bleedPx);
   console.log('  - Final size:', actualWidth, 'x', actualHeight);
+
+  // Print sizes keep TEXT and corner layers inside the safety margin
+  const safetyMarginPx = targetSize.requiresBleed && bleedPx > 0 ? getSafetyMarginPx(printSettings, resolution) : 0;
+  const safeArea = resolvePlacementInsets(targetSize, safeAreas, safetyMarginPx);
+  if (safeArea) {
+    console.log('[createArtboardByDuplicationInternal] Safe-area insets:', JSON.stringify(safeArea));
+  }
   
   // PHASE 1: Get source artboard info and duplicate it
   console.log('\n[createArtboardByDuplicationInternal] === PHASE 1: Get Source Artboard ===');
@@ -1236,6 +1720,10 @@ const createArtboardByDuplicationInternal = async ({
     },
   ], { synchronousExecution: true });
 
+  // The derivative keeps the source's background unless a rule makes it transparent
+  const background = resolveArtboardBackground(targetSize, source.background, transparentBackgrounds);
+  console.log('[createArtboardByDuplicationInternal] Background type:', background.type);
+
   // STEP 1: Resize the artboard at its current position first
   // editArtboardEvent resizes from center, so we resize first then move
   const resizedLeft = currentBounds.left;
@@ -1254,7 +1742,7 @@ const createArtboardByDuplicationInternal = async ({
       _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
       artboard: {
         _obj: 'artboard',
-        artboardBackgroundType: 1,
+        artboardBackgroundType: background.type,
         artboardPresetName: 'Custom',
         artboardRect: {
           _obj: 'classFloatRect',
@@ -1263,7 +1751,7 @@ const createArtboardByDuplicationInternal = async ({
           right: resizedRight,
           bottom: resizedBottom,
         },
-        color: DEFAULT_ARTBOARD_BACKGROUND,
+        color: background.color,
         guideIDs: [],
       },
       _options: { dialogOptions: 'dontDisplay' },
@@ -1329,7 +1817,12 @@ const createArtboardByDuplicationInternal = async ({
     }
 
     // Transform ALL layers in the artboard (not just named ones)
-    await transformAllLayers(refreshedArtboard, newArtboard.id, sourceSize, targetSizeObj, batchPlay);
+    await transformAllLayers(refreshedArtboard, newArtboard.id, sourceSize, targetSizeObj, batchPlay, { x: newLeft, y: newTop }, {
+      roleLayers,
+      bleedPx,
+      safeArea,
+      safetyMarginPx,
+    });
   }
   
   // PHASE 5: Hide TEXT layer for "Background Only" artboards
@@ -1424,6 +1917,7 @@ const createArtboardByDuplicationInternal = async ({
   }
 
   // PHASE 6: Add guides and crop marks if bleed is required
+  let unfitMarks = [];
   if (targetSize.requiresBleed && bleedPx > 0) {
     console.log('\n[createArtboardByDuplicationInternal] === PHASE 6: Add Bleed Guides & Crop Marks ===');
     
@@ -1440,19 +1934,55 @@ const createArtboardByDuplicationInternal = async ({
     } catch (e) {
       console.warn('[createArtboardByDuplicationInternal] ⚠ Could not add guides:', e.message);
     }
+
+    if (safetyMarginPx > 0) {
+      try {
+        await addSafetyMarginGuides(artboardBounds, bleedPx, safetyMarginPx);
+      } catch (e) {
+        console.warn('[createArtboardByDuplicationInternal] ⚠ Could not add safety guides:', e.message);
+      }
+    }
     
-    // Add crop marks using rectangle shapes
+    // Add crop marks using rectangle shapes - with the other printer's marks when any are on
     try {
-      await createCropMarks(artboardBounds, bleedPx);
+      if (hasPrinterMarks(printSettings)) {
+        ({ unfit: unfitMarks } = await createPrinterMarks(artboardBounds, bleedPx, printSettings, {
+          fileName: app.activeDocument.name,
+          sizeConfig: { ...targetSize, ...resolveSizeBleed(targetSize, printSettings) },
+          taskId: provenance?.taskId,
+        }, resolution, bleedUnit));
+      } else {
+        await createCropMarks(artboardBounds, bleedPx, getCropMarkSettings(printSettings, bleedUnit), resolution);
+      }
     } catch (e) {
       console.warn('[createArtboardByDuplicationInternal] ⚠ Could not add crop marks:', e.message);
     }
   }
 
+  // PHASE 7: Record provenance - a missing record shouldn't cost the artboard
+  if (provenance) {
+    console.log('\n[createArtboardByDuplicationInternal] === PHASE 7: Record Provenance ===');
+    try {
+      // A source copied into an output document is recorded as the original it was copied from
+      const sourceId = provenance.sourceArtboardIds?.[source.layer.id] ?? source.layer.id;
+      await writeArtboardProvenance(newArtboard.id, buildProvenance({
+        source: { id: sourceId, name: source.layer.name },
+        sourceType: provenance.sourceType,
+        sizeConfig: targetSize,
+        taskId: provenance.taskId,
+        runId: provenance.runId,
+      }));
+      console.log('[createArtboardByDuplicationInternal] ✓ Provenance written');
+    } catch (e) {
+      console.warn('[createArtboardByDuplicationInternal] ⚠ Could not write provenance:', e.message);
+    }
+  }
+
   console.log('\n[createArtboardByDuplicationInternal] === COMPLETE ===');
   console.log('─'.repeat(60));
   
   return {
+    id: newArtboard.id,
     name: targetSize.name,
     width: actualWidth,
     height: actualHeight,
@@ -1460,6 +1990,7 @@ const createArtboardByDuplicationInternal = async ({
     originalHeight: targetSize.height,
     bleedPx,
     requiresBleed: targetSize.requiresBleed || false,
+    unfitMarks,
     position: { x: newLeft, y: newTop },
   };
 };
@@ -1482,14 +2013,26 @@ const sizeMatchesSource = (sizeConfig, sourceBounds) => {
  * Uses strict row-based layout to prevent overlaps:
  * 1. Artboards in same row start at same Y position
  * 2. New row starts below the TALLEST artboard in current row
- * 3. Row breaks triggered by: width exceeded OR significant height difference
+ * 3. Row breaks triggered by: width exceeded, `columns` reached OR significant height difference
+ * 4. Each new type group starts on its own row, `groupGap` below everything above it
+ * 5. Other rows start `rowGap` below everything above them (the gap, unless labels need more)
  */
 class LayoutTracker {
-  constructor(startPosition, gap, maxRowWidth = 10000) {
+  constructor(startPosition, gap, maxRowWidth = 10000, { columns = null, groupGap = gap, rowGap = gap } = {}) {
     this.startX = startPosition.x;
     this.startY = startPosition.y;
     this.gap = gap;
     this.maxRowWidth = maxRowWidth;
+    this.columns = columns;
+    this.groupGap = groupGap;
+    this.rowGap = rowGap;
+
+    // Type group of the artboards in the current row
+    this.currentGroup = null;
+    this.currentRowCount = 0;
+
+    // Rows started by this batch { group, x, y, count } (used for canvas labels)
+    this.rows = [];
 
     // Track all placed artboards
     this.placedArtboards = [];
@@ -1505,13 +2048,15 @@ class LayoutTracker {
 
   /**
    * Start a new row below all currently placed artboards
+   * @param {number} spacing - Space above the new row (defaults to rowGap)
    */
-  startNewRow() {
-    const newRowY = this.globalMaxBottom + this.gap;
+  startNewRow(spacing = this.rowGap) {
+    const newRowY = this.globalMaxBottom + spacing;
     console.log(`[LayoutTracker] Starting new row at y=${newRowY} (globalMaxBottom=${this.globalMaxBottom})`);
     this.currentX = this.startX;
     this.currentRowY = newRowY;
     this.currentRowMaxHeight = 0;
+    this.currentRowCount = 0;
   }
 
   /**
@@ -1549,14 +2094,25 @@ class LayoutTracker {
    * Find next valid position for an artboard
    * @param {number} width - Artboard width
    * @param {number} height - Artboard height
+   * @param {string} group - Type group of the artboard (optional)
    * @returns {Object} Position { x, y }
    */
-  getNextPosition(width, height) {
-    console.log(`[LayoutTracker] Finding position for artboard ${width}x${height}`);
+  getNextPosition(width, height, group = null) {
+    console.log(`[LayoutTracker] Finding position for artboard ${width}x${height}${group ? ` (${group})` : ''}`);
     console.log(`[LayoutTracker] Current state: x=${this.currentX}, rowY=${this.currentRowY}, rowMaxHeight=${this.currentRowMaxHeight}, globalMaxBottom=${this.globalMaxBottom}`);
 
-    // Check if we need to wrap to next row due to width
+    // A new type group starts its own row, separated by the group gap
+    if (group && this.currentGroup && group !== this.currentGroup) {
+      console.log(`[LayoutTracker] Starting new group "${group}" (after "${this.currentGroup}")`);
+      this.startNewRow(this.groupGap);
+    }
+    if (group) {
+      this.currentGroup = group;
+    }
+
+    // Check if we need to wrap to next row due to width or column count
     const wouldExceedWidth = this.currentX > this.startX && this.currentX + width > this.startX + this.maxRowWidth;
+    const rowFull = !!this.columns && this.currentRowCount >= this.columns;
 
     // Check if height difference is significant (would cause visual issues)
     // Either new is much taller than row, or row has something much taller than new
@@ -1567,6 +2123,9 @@ class LayoutTracker {
     if (wouldExceedWidth) {
       console.log(`[LayoutTracker] Wrapping to new row (exceeded maxRowWidth: ${this.currentX + width} > ${this.startX + this.maxRowWidth})`);
       this.startNewRow();
+    } else if (rowFull) {
+      console.log(`[LayoutTracker] Wrapping to new row (${this.columns} columns filled)`);
+      this.startNewRow();
     } else if (significantHeightDiff && this.currentX > this.startX) {
       // If significant height difference AND we already have items in this row
       console.log(`[LayoutTracker] Starting new row due to height difference (new: ${height}px vs row max: ${this.currentRowMaxHeight}px, diff: ${heightDiff}px)`);
@@ -1588,6 +2147,17 @@ class LayoutTracker {
     return position;
   }
 
+  /**
+   * Reserve space taken by an artboard that already exists in the document
+   * Unlike registerPlacement, this doesn't advance the current row
+   * @param {Object} rect - Occupied area { x, y, width, height }
+   */
+  reserve(rect) {
+    this.placedArtboards.push(rect);
+    this.globalMaxBottom = Math.max(this.globalMaxBottom, rect.y + rect.height);
+    console.log(`[LayoutTracker] Reserved existing artboard at (${rect.x}, ${rect.y}) size ${rect.width}x${rect.height}`);
+  }
+
   /**
    * Register a placed artboard
    * @param {Object} artboard - Artboard info { position: { x, y }, width, height }
@@ -1602,11 +2172,18 @@ class LayoutTracker {
 
     this.placedArtboards.push(rect);
 
+    // The first artboard in a row starts a new entry in the row list
+    if (this.currentRowCount === 0) {
+      this.rows.push({ group: this.currentGroup, x: rect.x, y: rect.y, count: 0 });
+    }
+    this.rows[this.rows.length - 1].count++;
+
     // Update current X position for next artboard (place to the right)
     this.currentX = rect.x + rect.width + this.gap;
 
-    // Track the max height in this row
+    // Track the max height and count in this row
     this.currentRowMaxHeight = Math.max(this.currentRowMaxHeight, rect.height);
+    this.currentRowCount++;
 
     // Track the global maximum bottom edge (across ALL placed artboards)
     const thisBottom = rect.y + rect.height;
@@ -1618,13 +2195,726 @@ class LayoutTracker {
   }
 }
 
+/**
+ * Compare two packing scores lexicographically
+ * @param {Array<number>} a - First score
+ * @param {Array<number>} b - Second score
+ * @returns {number} Negative if a is better (smaller), positive if b is, 0 if equal
+ */
+const compareScores = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+};
+
+/**
+ * Packing layout tracker for dynamic artboard positioning
+ * Same interface as LayoutTracker, but fills gaps instead of working in rows:
+ * each artboard goes at the candidate point (beside or below something already placed)
+ * that keeps the bounding box of this batch smallest, never closer than `gap` to another artboard.
+ * Works best when sizes are fed largest first (see orderSizesForLayout).
+ */
+class PackedLayoutTracker {
+  constructor(startPosition, gap, maxRowWidth = 10000) {
+    this.startX = startPosition.x;
+    this.startY = startPosition.y;
+    this.gap = gap;
+    this.maxRowWidth = maxRowWidth;
+
+    // Everything to keep clear of (existing artboards and this batch)
+    this.placedArtboards = [];
+
+    // Packing has no rows, so there is nothing to label
+    this.rows = [];
+
+    // Bounding box of the artboards placed by this batch
+    this.bounds = { right: startPosition.x, bottom: startPosition.y };
+  }
+
+  /**
+   * Check if an artboard would come within `gap` of ANY existing artboard
+   * @param {number} x - Proposed X position
+   * @param {number} y - Proposed Y position
+   * @param {number} width - Artboard width
+   * @param {number} height - Artboard height
+   * @returns {boolean} True if too close or overlapping
+   */
+  wouldCollide(x, y, width, height) {
+    return this.placedArtboards.some((placed) => (
+      x < placed.x + placed.width + this.gap && x + width + this.gap > placed.x &&
+      y < placed.y + placed.height + this.gap && y + height + this.gap > placed.y
+    ));
+  }
+
+  /**
+   * Candidate top-left corners: the start point, plus right of and below every placed artboard
+   * @returns {Array<Object>} Candidate positions { x, y }
+   */
+  getCandidates() {
+    const candidates = [{ x: this.startX, y: this.startY }];
+    for (const placed of this.placedArtboards) {
+      const right = placed.x + placed.width + this.gap;
+      const below = placed.y + placed.height + this.gap;
+      candidates.push(
+        { x: right, y: placed.y },
+        { x: placed.x, y: below },
+        { x: right, y: this.startY },
+        { x: this.startX, y: below }
+      );
+    }
+    return candidates;
+  }
+
+  /**
+   * Find the position that grows the batch's bounding box least
+   * Ties go to the squarer box, then the topmost and leftmost position
+   * Type groups are not kept apart - packing trades grouping for a smaller canvas
+   * @param {number} width - Artboard width
+   * @param {number} height - Artboard height
+   * @returns {Object} Position { x, y }
+   */
+  getNextPosition(width, height) {
+    console.log(`[PackedLayoutTracker] Finding position for artboard ${width}x${height}`);
+
+    const maxRight = this.startX + this.maxRowWidth;
+    let best = null;
+
+    for (const candidate of this.getCandidates()) {
+      if (candidate.x < this.startX || candidate.y < this.startY) continue;
+      // Keep within the row width, unless the artboard is wider than that on its own
+      if (candidate.x > this.startX && candidate.x + width > maxRight) continue;
+      if (this.wouldCollide(candidate.x, candidate.y, width, height)) continue;
+
+      const boxWidth = Math.max(this.bounds.right, candidate.x + width) - this.startX;
+      const boxHeight = Math.max(this.bounds.bottom, candidate.y + height) - this.startY;
+      const score = [boxWidth * boxHeight, Math.max(boxWidth, boxHeight), candidate.y, candidate.x];
+
+      if (!best || compareScores(score, best.score) < 0) {
+        best = { position: candidate, score };
+      }
+    }
+
+    // Below everything is always free
+    const position = best
+      ? { x: best.position.x, y: best.position.y }
+      : { x: this.startX, y: Math.max(this.startY, ...this.placedArtboards.map((p) => p.y + p.height)) + this.gap };
+
+    console.log(`[PackedLayoutTracker] Calculated position: (${position.x}, ${position.y})`);
+    return position;
+  }
+
+  /**
+   * Reserve space taken by an artboard that already exists in the document
+   * @param {Object} rect - Occupied area { x, y, width, height }
+   */
+  reserve(rect) {
+    this.placedArtboards.push(rect);
+    console.log(`[PackedLayoutTracker] Reserved existing artboard at (${rect.x}, ${rect.y}) size ${rect.width}x${rect.height}`);
+  }
+
+  /**
+   * Register a placed artboard
+   * @param {Object} artboard - Artboard info { position: { x, y }, width, height }
+   */
+  registerPlacement(artboard) {
+    const rect = {
+      x: artboard.position.x,
+      y: artboard.position.y,
+      width: artboard.width,
+      height: artboard.height,
+    };
+
+    this.placedArtboards.push(rect);
+    this.bounds.right = Math.max(this.bounds.right, rect.x + rect.width);
+    this.bounds.bottom = Math.max(this.bounds.bottom, rect.y + rect.height);
+
+    console.log(`[PackedLayoutTracker] Registered artboard at (${rect.x}, ${rect.y}) size ${rect.width}x${rect.height}`);
+    console.log(`[PackedLayoutTracker] Batch bounds: ${this.bounds.right - this.startX}x${this.bounds.bottom - this.startY}`);
+  }
+}
+
+/**
+ * Create the layout tracker for the selected layout mode
+ * @param {Object} startPosition - Top-left of the batch { x, y }
+ * @param {number} gap - Pixels between artboards
+ * @param {Object} options - Layout options { layoutMode, maxRowWidth, columns, groupGap, canvasLabels }
+ * @returns {LayoutTracker|PackedLayoutTracker} Layout tracker
+ */
+const createLayoutTracker = (startPosition, gap, options = {}) => {
+  const maxRowWidth = options.maxRowWidth || 10000;
+  if (options.layoutMode === 'packed') {
+    return new PackedLayoutTracker(startPosition, gap, maxRowWidth);
+  }
+
+  // Canvas labels sit in the space above each row, so rows keep room for them
+  const groupGap = options.groupGap ?? gap;
+  return new LayoutTracker(startPosition, gap, maxRowWidth, {
+    columns: options.columns || null,
+    groupGap: options.canvasLabels ? Math.max(groupGap, CANVAS_LABEL_SPACE.group) : groupGap,
+    rowGap: options.canvasLabels ? Math.max(gap, CANVAS_LABEL_SPACE.row) : gap,
+  });
+};
+
+/**
+ * Type group a size is laid out in
+ * @param {Object} sizeConfig - Size configuration
+ * @returns {string} Type group
+ */
+const getLayoutGroup = (sizeConfig) => sizeConfig.type || 'other';
+
+/**
+ * Order planned sizes for the layout mode
+ * Row layout groups sizes by type in typeOrder (types not listed come last), landscape first
+ * within each group, like calculateGridPositions. Packing places the largest artboards first
+ * (tallest, then widest).
+ * @param {Array<Object>} sizesToGenerate - Planned sizes (from planBatchSizes)
+ * @param {Object} options - Layout options { layoutMode, typeOrder }
+ * @returns {Array<Object>} Sizes in placement order
+ */
+const orderSizesForLayout = (sizesToGenerate, options = {}) => {
+  if (options.layoutMode === 'packed') {
+    return [...sizesToGenerate].sort((a, b) => (b.actualHeight - a.actualHeight) || (b.actualWidth - a.actualWidth));
+  }
+  return Object.values(groupByType(sizesToGenerate, options.typeOrder)).flat();
+};
+
+/**
+ * Read the bounds of every configured source artboard
+ * Sources that cannot be read are left out (and logged) rather than failing the batch
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @returns {Promise<Object>} Source type → bounds { left, top, right, bottom, width, height }
+ */
+export const getSourceBoundsCache = async (sourceConfig) => {
+  const sourceBoundsCache = {};
+
+  for (const [sourceType, source] of Object.entries(sourceConfig)) {
+    if (source?.artboard) {
+      try {
+        const sourceInfo = await getSourceArtboard(source.artboard);
+        sourceBoundsCache[sourceType] = sourceInfo.bounds;
+        console.log(`[getSourceBoundsCache] Source ${sourceType} bounds:`, sourceInfo.bounds.width, 'x', sourceInfo.bounds.height);
+      } catch (e) {
+        console.warn(`[getSourceBoundsCache] Could not get bounds for ${sourceType} source:`, e.message);
+      }
+    }
+  }
+
+  return sourceBoundsCache;
+};
+
+/**
+ * Decide which sizes a batch will generate, and from which source
+ * Skips one size per source whose dimensions match that source exactly
+ * @param {Array<Object>} sizes - Array of size configurations
+ * @param {Object} sourceBoundsCache - Source type → bounds (from getSourceBoundsCache)
+ * @param {Object} options - Planning options
+ * @param {boolean} options.skipSourceMatches - Skip sizes matching a source (false when resuming a batch)
+ * @param {Array<Object>} options.sourceTypes - Source type definitions (defaults to SOURCE_TYPES)
+ * @param {Object} options.sourceOverrides - Size key → source type ID set manually per size (optional)
+ * @param {number} options.resolution - Document PPI for bleed (default 300)
+ * @param {Object} options.printSettings - Print settings whose bleed print sizes without their own use (optional)
+ * @returns {Object} { sizesToGenerate, skippedSizes } - sizesToGenerate entries carry sourceType, actualWidth, actualHeight, bleedPx,
+ *   and print sizes the bleed they were planned with
+ */
+export const planBatchSizes = (sizes, sourceBoundsCache, { skipSourceMatches = true, sourceTypes, sourceOverrides, resolution = DEFAULT_RESOLUTION, printSettings = null } = {}) => {
+  const sizesToGenerate = [];
+  const skippedSizes = [];
+  const sourceSkipCounts = {}; // Track how many times each source's dimensions have been skipped
+
+  for (const sizeConfig of sizes) {
+    // Determine which source would be used
+    const sourceType = resolveSourceType(sizeConfig, sourceTypes, sourceOverrides);
+    const sourceBounds = sourceBoundsCache[sourceType];
+
+    // Check if this size matches the source dimensions
+    if (skipSourceMatches && sourceBounds && sizeMatchesSource(sizeConfig, sourceBounds)) {
+      // Only skip ONE size per source
+      if (!sourceSkipCounts[sourceType]) {
+        console.log(`[planBatchSizes] Skipping "${sizeConfig.name}" - matches ${sourceType} source dimensions (${sizeConfig.width}x${sizeConfig.height})`);
+        skippedSizes.push({ ...sizeConfig, reason: `Matches ${sourceType} source` });
+        sourceSkipCounts[sourceType] = 1;
+        continue;
+      } else {
+        console.log(`[planBatchSizes] NOT skipping "${sizeConfig.name}" - already skipped one ${sourceType} match`);
+      }
+    }
+
+    // Calculate actual size (with bleed if required)
+    const { width: actualWidth, height: actualHeight, bleedPx } = calculateSizeWithBleed(sizeConfig, resolution, printSettings);
+
+    // Record the panel bleed on the size, so provenance keeps what the artboard was built with
+    sizesToGenerate.push({
+      ...sizeConfig,
+      ...(sizeConfig.requiresBleed ? resolveSizeBleed(sizeConfig, printSettings) : {}),
+      sourceType,
+      actualWidth,
+      actualHeight,
+      bleedPx,
+    });
+  }
+
+  return { sizesToGenerate, skippedSizes };
+};
+
+/**
+ * Explain why a planned size has no source to generate from
+ * @param {string|null} sourceType - Source type the size was assigned to
+ * @returns {string} Reason
+ */
+const describeMissingSource = (sourceType) => (
+  sourceType ? `No ${sourceType} source configured` : 'No source type covers this aspect ratio'
+);
+
+/**
+ * Strip the fields planBatchSizes adds, giving back the original size configuration
+ * @param {Object} plannedSize - Entry from planBatchSizes().sizesToGenerate
+ * @returns {Object} Size configuration
+ */
+const toSizeConfig = ({ sourceType, actualWidth, actualHeight, bleedPx, ...sizeConfig }) => sizeConfig;
+
+/**
+ * Delete top-level layers added since a snapshot of the document's layer IDs
+ * Used to clear away a half-built artboard when a size fails mid-way
+ * @param {Set<number>} layerIdsBefore - Top-level layer IDs before the size started
+ * @returns {Promise<void>}
+ */
+const removeLayersAddedSince = async (layerIdsBefore) => {
+  const batchPlay = getBatchPlay();
+  const doc = getApp().activeDocument;
+  const added = doc.layers.filter((l) => !layerIdsBefore.has(l.id));
+
+  for (const layer of added) {
+    console.log(`[removeLayersAddedSince] Removing partial artboard "${layer.name}" (id: ${layer.id})`);
+    try {
+      await batchPlay([
+        generateDeleteLayerCommand(layer.id),
+      ], { synchronousExecution: true });
+    } catch (e) {
+      console.warn(`[removeLayersAddedSince] ⚠ Could not remove "${layer.name}":`, e.message);
+    }
+  }
+};
+
+/**
+ * Index artboards from an earlier run by the size they were generated for, for sync mode
+ * The size comes from the artboard's provenance; artboards without provenance fall back to
+ * their own name and dimensions. Source artboards are never treated as derived
+ * @param {Array<Object>} existingArtboards - From getExistingArtboardBounds
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @returns {Promise<Map<string, Array<Object>>>} Size key (see getSizeKey) → matching artboards (in document order), each flagged hasProvenance
+ */
+const indexDerivedArtboards = async (existingArtboards, sourceConfig) => {
+  const sourceNames = new Set(Object.values(sourceConfig).map((s) => s?.artboard).filter(Boolean));
+  const bySize = new Map();
+
+  for (const artboard of existingArtboards) {
+    if (sourceNames.has(artboard.name)) continue;
+    const provenance = await readArtboardProvenance(artboard.id);
+    const key = getSizeKey(provenance?.sizeConfig || artboard);
+    if (!bySize.has(key)) bySize.set(key, []);
+    bySize.get(key).push({ ...artboard, hasProvenance: !!provenance?.sizeConfig });
+  }
+
+  return bySize;
+};
+
+/**
+ * Take the artboard an earlier run generated for a size out of the sync index
+ * Artboards without provenance carry their bleed-inclusive dimensions, so both keys are tried
+ * @param {Map<string, Array<Object>>} derivedBySize - From indexDerivedArtboards (consumed)
+ * @param {Object} sizeConfig - Planned size { name, width, height, actualWidth, actualHeight }
+ * @returns {Object|null} The artboard to rebuild, or null
+ */
+const takeDerivedArtboard = (derivedBySize, sizeConfig) => {
+  const keys = [
+    getSizeKey(sizeConfig),
+    getSizeKey({ name: sizeConfig.name, width: sizeConfig.actualWidth, height: sizeConfig.actualHeight }),
+  ];
+  const key = keys.find((k) => derivedBySize.get(k)?.length > 0);
+  return key ? derivedBySize.get(key).shift() : null;
+};
+
+/**
+ * Decide where sync mode rebuilds an artboard
+ * It keeps the old top-left unless the new bounds would run into another artboard (the old
+ * artboard itself doesn't count - it's deleted once the rebuild is in place); then the
+ * layout tracker finds it a new slot
+ * @param {LayoutTracker|PackedLayoutTracker} layoutTracker - Tracker with the document's artboards reserved by id
+ * @param {Object} previous - Artboard being rebuilt { id, left, top }
+ * @param {Object} sizeConfig - Planned size { type, actualWidth, actualHeight }
+ * @returns {Object} { position: { x, y }, inPlace }
+ */
+const getRebuildPlacement = (layoutTracker, previous, sizeConfig) => {
+  const rect = { x: previous.left, y: previous.top, width: sizeConfig.actualWidth, height: sizeConfig.actualHeight };
+  const collision = layoutTracker.placedArtboards.find((placed) => placed.id !== previous.id && rectsOverlap(rect, placed));
+
+  if (!collision) {
+    return { position: { x: rect.x, y: rect.y }, inPlace: true };
+  }
+
+  console.log(`[getRebuildPlacement] "${sizeConfig.name}" at ${sizeConfig.actualWidth}x${sizeConfig.actualHeight} would overlap an artboard at (${collision.x}, ${collision.y}) - moving to a new slot`);
+  return {
+    position: layoutTracker.getNextPosition(sizeConfig.actualWidth, sizeConfig.actualHeight, getLayoutGroup(sizeConfig)),
+    inPlace: false,
+  };
+};
+
+/**
+ * Copy a sync index so a dry layout can consume it without touching the real one
+ * @param {Map<string, Array<Object>>} derivedBySize - From indexDerivedArtboards
+ * @returns {Map<string, Array<Object>>} Copy
+ */
+const cloneDerivedIndex = (derivedBySize) => new Map([...derivedBySize].map(([key, artboards]) => [key, [...artboards]]));
+
+/**
+ * Find artboards from an earlier run whose size is no longer in the checklist
+ * Artboards with provenance are matched on their size key, so a size whose dimensions changed
+ * leaves its old artboard orphaned; the rest are matched on the names generated before
+ * @param {Map<string, Array<Object>>} derivedBySize - From indexDerivedArtboards
+ * @param {Array<string>} generatedNames - Names this plugin generated before (stored per task)
+ * @param {Array<Object>} sizes - Current size configurations
+ * @returns {Array<Object>} Orphaned artboards [{ id, name }]
+ */
+const findOrphanedArtboards = (derivedBySize, generatedNames = [], sizes = []) => {
+  const currentNames = new Set(sizes.map((s) => s.name));
+  const currentKeys = new Set(sizes.map(getSizeKey));
+  const generated = new Set(generatedNames);
+  const orphans = [];
+
+  for (const [key, artboards] of derivedBySize) {
+    for (const artboard of artboards) {
+      const orphaned = artboard.hasProvenance
+        ? !currentKeys.has(key)
+        : generated.has(artboard.name) && !currentNames.has(artboard.name);
+      if (orphaned) {
+        orphans.push({ id: artboard.id, name: artboard.name });
+      }
+    }
+  }
+
+  return orphans;
+};
+
+/**
+ * Find where a batch starts placing artboards: at startX, or to the right of all source
+ * artboards if they reach past it, aligned with the highest source
+ * @param {Object} sourceBoundsCache - Source type → bounds (from getSourceBoundsCache)
+ * @param {number} gap - Gap between artboards in pixels
+ * @param {number} startX - Preferred X position of the first column (optional)
+ * @returns {Object} Start position { x, y }
+ */
+export const getBatchStartPosition = (sourceBoundsCache, gap, startX = 0) => {
+  let maxRight = 0;
+  let minTop = Infinity;
+
+  for (const bounds of Object.values(sourceBoundsCache)) {
+    maxRight = Math.max(maxRight, bounds.right);
+    minTop = Math.min(minTop, bounds.top);
+  }
+
+  return {
+    x: Math.max(maxRight + gap, startX || 0),
+    y: minTop === Infinity ? 0 : minTop,
+  };
+};
+
+/**
+ * Check whether two rectangles { x, y, width, height } intersect
+ * @param {Object} a - First rectangle
+ * @param {Object} b - Second rectangle
+ * @returns {boolean} True if they overlap
+ */
+const rectsOverlap = (a, b) => (
+  a.x < b.x + b.width && a.x + a.width > b.x &&
+  a.y < b.y + b.height && a.y + a.height > b.y
+);
+
+/**
+ * Largest canvas side the active document can have
+ * @returns {number} Limit in pixels (PSB documents get the Large Document Format limit)
+ */
+const getCanvasLimit = () => {
+  const path = getApp().activeDocument?.path || '';
+  return path.toLowerCase().endsWith('.psb') ? CANVAS_LIMITS.psb : CANVAS_LIMITS.psd;
+};
+
+/**
+ * Bounding box of a set of rectangles { x, y, width, height }
+ * @param {Array<Object>} rects - Rectangles
+ * @returns {Object} Extents { left, top, right, bottom, width, height }
+ */
+const getExtents = (rects) => {
+  const left = Math.min(...rects.map((r) => r.x));
+  const top = Math.min(...rects.map((r) => r.y));
+  const right = Math.max(...rects.map((r) => r.x + r.width));
+  const bottom = Math.max(...rects.map((r) => r.y + r.height));
+  return { left, top, right, bottom, width: right - left, height: bottom - top };
+};
+
+/**
+ * Lay out planned sizes on a scratch tracker and measure the canvas the result needs
+ * Sizes that sync mode rebuilds in their existing slot take no new space
+ * @param {Array<Object>} sizesToGenerate - Planned sizes in placement order
+ * @param {Object} startPosition - Top-left of the batch { x, y }
+ * @param {number} gap - Pixels between artboards
+ * @param {Object} options - Layout options
+ * @param {Array<Object>} existingArtboards - From getExistingArtboardBounds
+ * @param {Map} derivedBySize - Artboards sync mode rebuilds, by size key
+ * @returns {Object} Extents of existing plus new artboards { left, top, right, bottom, width, height }
+ */
+const measureLayout = (sizesToGenerate, startPosition, gap, options, existingArtboards, derivedBySize) => {
+  const layoutTracker = createLayoutTracker(startPosition, gap, options);
+  const rects = existingArtboards.map((a) => ({ id: a.id, x: a.left, y: a.top, width: a.width, height: a.height }));
+  rects.forEach((rect) => layoutTracker.reserve(rect));
+
+  const rebuilds = cloneDerivedIndex(derivedBySize);
+  for (const sizeConfig of sizesToGenerate) {
+    const previous = takeDerivedArtboard(rebuilds, sizeConfig);
+    const placement = previous
+      ? getRebuildPlacement(layoutTracker, previous, sizeConfig)
+      : { position: layoutTracker.getNextPosition(sizeConfig.actualWidth, sizeConfig.actualHeight, getLayoutGroup(sizeConfig)), inPlace: false };
+    const rect = { ...placement.position, width: sizeConfig.actualWidth, height: sizeConfig.actualHeight };
+    if (placement.inPlace) {
+      layoutTracker.reserve(rect);
+    } else {
+      layoutTracker.registerPlacement({ position: placement.position, width: rect.width, height: rect.height });
+    }
+    rects.push(rect);
+  }
+
+  return getExtents(rects.length > 0 ? rects : [{ ...startPosition, width: 0, height: 0 }]);
+};
+
+/**
+ * Make sure a layout fits inside Photoshop's maximum canvas before anything is placed
+ * When it doesn't fit with the current options, rows are re-flowed as wide as the limit
+ * allows (ignoring columns); if even that doesn't fit, the batch is refused
+ * @param {Array<Object>} sizesToGenerate - Planned sizes in placement order
+ * @param {Object} startPosition - Top-left of the batch { x, y }
+ * @param {number} gap - Pixels between artboards
+ * @param {Object} options - Layout options
+ * @param {Array<Object>} existingArtboards - From getExistingArtboardBounds
+ * @param {Map} derivedBySize - Artboards sync mode rebuilds, by size key (optional)
+ * @returns {Object} { options, reflowed, limit } - options to lay the batch out with
+ * @throws {Error} If a size or the re-flowed layout is bigger than the canvas limit
+ */
+export const fitLayoutToCanvas = (sizesToGenerate, startPosition, gap, options, existingArtboards, derivedBySize = new Map()) => {
+  const limit = getCanvasLimit();
+  const format = limit === CANVAS_LIMITS.psb ? 'PSB' : 'PSD';
+
+  const oversized = sizesToGenerate.find((s) => s.actualWidth > limit || s.actualHeight > limit);
+  if (oversized) {
+    throw new Error(`"${oversized.name}" is ${oversized.actualWidth}×${oversized.actualHeight}px - larger than Photoshop's ${limit}px canvas limit for ${format} files`);
+  }
+
+  const extents = measureLayout(sizesToGenerate, startPosition, gap, options, existingArtboards, derivedBySize);
+  if (extents.width <= limit && extents.height <= limit) {
+    return { options, reflowed: false, limit };
+  }
+
+  // Rows as wide as the canvas allows give the shortest layout
+  const minLeft = Math.min(startPosition.x, ...existingArtboards.map((a) => a.left));
+  const reflowedOptions = {
+    ...options,
+    columns: null,
+    maxRowWidth: minLeft + limit - startPosition.x,
+  };
+  console.log(`[fitLayoutToCanvas] Layout needs ${extents.width}×${extents.height}px (limit ${limit}px) - re-flowing with maxRowWidth ${reflowedOptions.maxRowWidth}`);
+
+  const reflowedExtents = reflowedOptions.maxRowWidth > 0
+    ? measureLayout(sizesToGenerate, startPosition, gap, reflowedOptions, existingArtboards, derivedBySize)
+    : extents;
+  if (reflowedExtents.width > limit || reflowedExtents.height > limit) {
+    throw new Error(`These artboards need a ${reflowedExtents.width}×${reflowedExtents.height}px canvas, past Photoshop's ${limit}px limit for ${format} files. Generate fewer sizes at a time, reduce the gap${format === 'PSD' ? ', or save the document as PSB (Large Document Format)' : ''}.`);
+  }
+
+  console.log(`[fitLayoutToCanvas] ✓ Re-flowed layout fits: ${reflowedExtents.width}×${reflowedExtents.height}px`);
+  return { options: reflowedOptions, reflowed: true, limit };
+};
+
+/**
+ * Plan a batch without touching the document (dry run)
+ * Makes the same decisions generateArtboardsBatch would - source selection, skips,
+ * bleed-adjusted sizes, layout positions and per-layer scales - and reports them
+ * @param {Array<Object>} sizes - Array of size configurations
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @param {Object} options - Layout and generation options
+ * @returns {Promise<Object>} Plan { sources, artboards, skipped, unassigned, existing, overlaps, orphaned, reflowed, canvasLimit, resolution }
+ * @throws {Error} If the layout can't fit Photoshop's canvas limit
+ */
+export const planArtboardsBatch = async (sizes, sourceConfig, options = {}) => {
+  console.log('[planArtboardsBatch] Planning', sizes.length, 'sizes');
+
+  const gap = options.gap || 100;
+  const resolution = getDocumentResolution();
+  const safetyMarginPx = getSafetyMarginPx(options.printSettings, resolution);
+
+  const sourceBoundsCache = await getSourceBoundsCache(sourceConfig);
+  const { sizesToGenerate, skippedSizes } = planBatchSizes(sizes, sourceBoundsCache, {
+    skipSourceMatches: options.skipSourceMatches !== false,
+    sourceTypes: options.sourceTypes,
+    sourceOverrides: options.sourceOverrides,
+    resolution,
+    printSettings: options.printSettings,
+  });
+
+  // Top-level layers and corner-pinned layers for each source
+  const sources = [];
+  const sourceLayers = {};
+  for (const [sourceType, bounds] of Object.entries(sourceBoundsCache)) {
+    const source = sourceConfig[sourceType];
+    sources.push({ type: sourceType, artboard: source.artboard, bounds });
+
+    try {
+      const sourceInfo = await getSourceArtboard(source.artboard);
+      const cornerLayers = CORNER_ROLES
+        .filter((role) => source.layers?.[role] && findLayerByExactName(sourceInfo.layer, source.layers[role]))
+        .map((role) => ({ role, name: source.layers[role] }));
+      const cornerNames = new Set(cornerLayers.map((c) => c.name));
+
+      sourceLayers[sourceType] = {
+        topLevel: sourceInfo.childLayers.filter((l) => !cornerNames.has(l.name)),
+        corners: cornerLayers,
+      };
+    } catch (e) {
+      console.warn(`[planArtboardsBatch] Could not read ${sourceType} source layers:`, e.message);
+      sourceLayers[sourceType] = { topLevel: [], corners: [] };
+    }
+  }
+
+  const existing = await getExistingArtboardBounds();
+  const occupied = existing.map((a) => ({ id: a.id, name: a.name, x: a.left, y: a.top, width: a.width, height: a.height }));
+
+  const startPosition = getBatchStartPosition(sourceBoundsCache, gap, options.startX);
+  const derivedBySize = options.syncMode ? await indexDerivedArtboards(existing, sourceConfig) : new Map();
+  const orphaned = options.syncMode ? findOrphanedArtboards(derivedBySize, options.generatedNames, options.checklistSizes || sizes) : [];
+  const orderedSizes = orderSizesForLayout(sizesToGenerate, options);
+  const layout = fitLayoutToCanvas(orderedSizes, startPosition, gap, options, existing, derivedBySize);
+
+  const layoutTracker = createLayoutTracker(startPosition, gap, layout.options);
+  occupied.forEach((rect) => layoutTracker.reserve(rect));
+  const artboards = [];
+  const unassigned = [];
+  const overlaps = [];
+
+  for (const sizeConfig of orderedSizes) {
+    const source = sourceConfig[sizeConfig.sourceType];
+    const sourceBounds = sourceBoundsCache[sizeConfig.sourceType];
+    if (!source?.artboard || !sourceBounds) {
+      unassigned.push({ ...sizeConfig, reason: describeMissingSource(sizeConfig.sourceType) });
+      continue;
+    }
+
+    // Sync mode rebuilds an artboard from an earlier run in its own slot while it still fits there
+    const previous = takeDerivedArtboard(derivedBySize, sizeConfig);
+    const rebuild = previous ? getRebuildPlacement(layoutTracker, previous, sizeConfig) : null;
+    let position;
+    if (rebuild?.inPlace) {
+      position = rebuild.position;
+      layoutTracker.reserve({ ...position, width: sizeConfig.actualWidth, height: sizeConfig.actualHeight });
+    } else if (rebuild) {
+      position = rebuild.position;
+      layoutTracker.registerPlacement({ position, width: sizeConfig.actualWidth, height: sizeConfig.actualHeight });
+    } else {
+      position = layoutTracker.getNextPosition(sizeConfig.actualWidth, sizeConfig.actualHeight, getLayoutGroup(sizeConfig));
+      layoutTracker.registerPlacement({ position, width: sizeConfig.actualWidth, height: sizeConfig.actualHeight });
+    }
+
+    const targetSize = { width: sizeConfig.actualWidth, height: sizeConfig.actualHeight };
+    const trimSize = { width: sizeConfig.width, height: sizeConfig.height };
+    const safeArea = resolvePlacementInsets(sizeConfig, options.safeAreas, sizeConfig.bleedPx > 0 ? safetyMarginPx : 0);
+    const { topLevel, corners } = sourceLayers[sizeConfig.sourceType];
+
+    const layers = [
+      ...topLevel.map((layer) => ({
+        name: layer.name,
+        scaleMode: getLayerConfig(layer.name).scaleMode,
+        scalePercent: calculateLayerScalePercent(layer.name, sourceBounds, targetSize, sizeConfig.bleedPx, safeArea),
+      })),
+      ...corners.map((corner) => ({
+        name: corner.name,
+        role: corner.role,
+        scaleMode: 'relative',
+        scalePercent: calculateScalePercent(sourceBounds, trimSize, 'relative'),
+      })),
+    ];
+
+    const rect = { name: sizeConfig.name, x: position.x, y: position.y, width: sizeConfig.actualWidth, height: sizeConfig.actualHeight };
+    for (const other of occupied) {
+      if (previous && other.id === previous.id) continue;
+      if (rectsOverlap(rect, other)) {
+        overlaps.push({ name: rect.name, with: other.name });
+      }
+    }
+    occupied.push(rect);
+
+    artboards.push({
+      name: sizeConfig.name,
+      type: sizeConfig.type,
+      width: sizeConfig.width,
+      height: sizeConfig.height,
+      actualWidth: sizeConfig.actualWidth,
+      actualHeight: sizeConfig.actualHeight,
+      bleedPx: sizeConfig.bleedPx,
+      sourceType: sizeConfig.sourceType,
+      sourceArtboard: source.artboard,
+      position,
+      replaces: previous ? previous.name : null,
+      safeArea,
+      layers,
+    });
+  }
+
+  console.log(`[planArtboardsBatch] ✓ Plan: ${artboards.length} artboards, ${skippedSizes.length} skipped, ${unassigned.length} without source, ${overlaps.length} overlaps`);
+
+  return {
+    sources,
+    artboards,
+    skipped: skippedSizes,
+    unassigned,
+    existing,
+    overlaps,
+    orphaned,
+    reflowed: layout.reflowed,
+    canvasLimit: layout.limit,
+    resolution,
+  };
+};
+
 /**
  * Generate multiple artboards using the batch duplication method
+ * The loop checks for cancellation between sizes - either the panel's Cancel button
+ * (options.shouldCancel) or Photoshop's own modal cancel (executionContext.isCancelled).
+ * Artboards created before the cancel are kept and history is closed out as one step.
+ * A size that throws is recorded in failedSizes (its partial artboard removed) and the
+ * batch moves on to the next size.
+ * In sync mode (options.syncMode) an artboard from an earlier run with the size's name is
+ * rebuilt from the source in its original slot and the old one deleted, instead of adding a duplicate.
  * @param {Array<Object>} sizes - Array of size configurations
  * @param {Object} sourceConfig - Source artboard configuration
  * @param {Object} options - Layout and generation options
+ * @param {Function} options.shouldCancel - Returns true when the user has asked to stop (optional)
+ * @param {boolean} options.skipSourceMatches - Skip sizes matching a source (default true; false when resuming)
+ * @param {boolean} options.syncMode - Update artboards from an earlier run in place (optional)
+ * @param {Array<string>} options.generatedNames - Names generated by earlier runs, to flag removed sizes (optional)
+ * @param {Array<Object>} options.checklistSizes - The full checklist when generating a subset (optional)
+ * @param {Array<Object>} options.sourceTypes - Source type definitions that sizes are assigned by (optional)
+ * @param {Object} options.sourceOverrides - Size key → source type ID, overriding the aspect-ratio choice (optional)
+ * @param {string} options.layoutMode - 'rows' (default) or 'packed' to bin-pack new artboards (optional)
+ * @param {number} options.columns - Artboards per row in the row layout (optional)
+ * @param {number} options.groupGap - Space between type groups in the row layout (optional)
+ * @param {Array<string>} options.typeOrder - Order of type groups in the row layout (optional)
+ * @param {number} options.startX - X position of the first column (optional)
+ * @param {boolean} options.canvasLabels - Add locked group/row labels above the new rows (optional)
+ * @param {boolean} options.orderLayers - Sort artboard layers by type and checklist afterwards (optional)
+ * @param {string} options.sourceLayerPosition - Where sorting puts the sources: 'top', 'bottom' or 'unchanged' (optional)
+ * @param {Object} options.printSettings - Print Settings panel values for the crop marks (optional)
+ * @param {string} options.taskId - Task ID recorded in each artboard's provenance (optional)
+ * @param {Object} options.sourceArtboardIds - Source copy ID → original source artboard ID, recorded in provenance instead of the copy (optional)
  * @param {Function} onProgress - Progress callback
- * @returns {Promise<Array>} Array of created artboard info
+ * @returns {Promise<Object>} { createdArtboards, skippedSizes, failedSizes, remainingSizes, orphanedArtboards, labelsCreated, reflowed, resolution, cancelled }
+ * @throws {Error} If the layout can't fit Photoshop's canvas limit (nothing is placed)
  */
 export const generateArtboardsBatch = async (sizes, sourceConfig, options = {}, onProgress = null) => {
   console.log('*'.repeat(60));
@@ -1634,24 +2924,31 @@ export const generateArtboardsBatch = async (sizes, sourceConfig, options = {},
   const core = getCore();
   const app = getApp();
   const gap = options.gap || 100;
-  const maxRowWidth = options.maxRowWidth || 10000;
-
-  // Get layer names from options or use defaults
-  const layerNames = [
-    options.overlayLayerName || LAYER_NAMES.OVERLAY,
-    options.textLayerName || LAYER_NAMES.TEXT,
-    options.backgroundLayerName || LAYER_NAMES.BACKGROUND,
-  ];
 
-  console.log('[generateArtboardsBatch] Layer names to transform:', layerNames);
-
-  const createdArtboards = [];
-  const skippedSizes = [];
+  // Every artboard from this run shares one run ID in its provenance
+  const runId = createRunId();
+
+  const results = {
+    createdArtboards: [],
+    skippedSizes: [],
+    failedSizes: [],
+    remainingSizes: [],
+    orphanedArtboards: [],
+    labelsCreated: 0,
+    reflowed: false,
+    resolution: null,
+    cancelled: false,
+  };
 
   return await core.executeAsModal(
     async (executionContext) => {
       const doc = app.activeDocument;
 
+      // Every bleed and crop mark conversion in this run uses the document's resolution
+      const resolution = getDocumentResolution();
+      results.resolution = resolution;
+      console.log(`[generateArtboardsBatch] Document resolution: ${resolution} PPI`);
+
       // Suspend history for single undo
       const suspensionID = await executionContext.hostControl.suspendHistory({
         documentID: doc.id,
@@ -1659,148 +2956,313 @@ export const generateArtboardsBatch = async (sizes, sourceConfig, options = {},
       });
 
       try {
-        // First pass: Get all source artboard bounds and track which sizes to skip
-        const sourceBoundsCache = {};
-        const sourceSkipCounts = {}; // Track how many times each source's dimensions have been skipped
-
-        for (const sourceType of ['landscape', 'portrait', 'square']) {
-          const source = sourceConfig[sourceType];
-          if (source?.artboard) {
-            try {
-              const sourceInfo = await getSourceArtboard(source.artboard);
-              sourceBoundsCache[sourceType] = sourceInfo.bounds;
-              sourceSkipCounts[sourceType] = 0;
-              console.log(`[generateArtboardsBatch] Source ${sourceType} bounds:`, sourceInfo.bounds.width, 'x', sourceInfo.bounds.height);
-            } catch (e) {
-              console.warn(`[generateArtboardsBatch] Could not get bounds for ${sourceType} source:`, e.message);
-            }
-          }
-        }
-
-        // Filter sizes: skip ones that match source dimensions (only skip one per source)
-        const sizesToGenerate = [];
-
-        for (const sizeConfig of sizes) {
-          // Determine which source would be used
-          const aspectRatio = sizeConfig.width / sizeConfig.height;
-          let sourceType;
-          if (aspectRatio < 0.85) {
-            sourceType = 'portrait';
-          } else if (aspectRatio > 1.15) {
-            sourceType = 'landscape';
-          } else {
-            sourceType = 'square';
-          }
-
-          const sourceBounds = sourceBoundsCache[sourceType];
-
-          // Check if this size matches the source dimensions
-          if (sourceBounds && sizeMatchesSource(sizeConfig, sourceBounds)) {
-            // Only skip ONE size per source
-            if (sourceSkipCounts[sourceType] === 0) {
-              console.log(`[generateArtboardsBatch] Skipping "${sizeConfig.name}" - matches ${sourceType} source dimensions (${sizeConfig.width}x${sizeConfig.height})`);
-              skippedSizes.push({ ...sizeConfig, reason: `Matches ${sourceType} source` });
-              sourceSkipCounts[sourceType]++;
-              continue;
-            } else {
-              console.log(`[generateArtboardsBatch] NOT skipping "${sizeConfig.name}" - already skipped one ${sourceType} match`);
-            }
-          }
-
-          // Calculate actual size (with bleed if required)
-          let actualWidth = sizeConfig.width;
-          let actualHeight = sizeConfig.height;
-
-          if (sizeConfig.requiresBleed && sizeConfig.bleed) {
-            const bleedPx = unitsToPixels(sizeConfig.bleed, sizeConfig.bleedUnit || 'inches');
-            actualWidth += bleedPx * 2;
-            actualHeight += bleedPx * 2;
-          }
-
-          sizesToGenerate.push({
-            ...sizeConfig,
-            sourceType,
-            actualWidth,
-            actualHeight,
-          });
-        }
+        // First pass: Get all source artboard bounds and work out which sizes to skip
+        const sourceBoundsCache = await getSourceBoundsCache(sourceConfig);
+        const plan = planBatchSizes(sizes, sourceBoundsCache, {
+          skipSourceMatches: options.skipSourceMatches !== false,
+          sourceTypes: options.sourceTypes,
+          sourceOverrides: options.sourceOverrides,
+          resolution,
+          printSettings: options.printSettings,
+        });
+        const sizesToGenerate = orderSizesForLayout(plan.sizesToGenerate, options);
+        results.skippedSizes.push(...plan.skippedSizes);
 
-        console.log(`[generateArtboardsBatch] Sizes to generate: ${sizesToGenerate.length} (skipped: ${skippedSizes.length})`);
+        console.log(`[generateArtboardsBatch] Sizes to generate: ${sizesToGenerate.length} (skipped: ${results.skippedSizes.length})`);
 
         if (sizesToGenerate.length === 0) {
           console.log('[generateArtboardsBatch] No sizes to generate after filtering');
-          return createdArtboards;
+          return results;
         }
 
-        // Find starting position (to the right of all source artboards)
-        let maxRight = 0;
-        let minTop = Infinity;
+        // Find starting position (startX, kept to the right of all source artboards)
+        const startPosition = getBatchStartPosition(sourceBoundsCache, gap, options.startX);
 
-        for (const sourceType of ['landscape', 'portrait', 'square']) {
-          const bounds = sourceBoundsCache[sourceType];
-          if (bounds) {
-            maxRight = Math.max(maxRight, bounds.right);
-            minTop = Math.min(minTop, bounds.top);
-          }
+        console.log(`[generateArtboardsBatch] Starting position: ${startPosition.x}, ${startPosition.y}`);
+
+        // Sync mode: artboards from an earlier run are recognised by the size they were generated for
+        const existingArtboards = await getExistingArtboardBounds();
+        const derivedBySize = options.syncMode ? await indexDerivedArtboards(existingArtboards, sourceConfig) : new Map();
+        if (options.syncMode) {
+          results.orphanedArtboards = findOrphanedArtboards(derivedBySize, options.generatedNames, options.checklistSizes || sizes);
+          console.log(`[generateArtboardsBatch] Sync mode: ${derivedBySize.size} existing derived sizes, ${results.orphanedArtboards.length} orphaned`);
         }
 
-        const startPosition = {
-          x: maxRight + gap,
-          y: minTop === Infinity ? 0 : minTop,
-        };
+        // Check the finished layout fits Photoshop's canvas before placing anything
+        const layout = fitLayoutToCanvas(sizesToGenerate, startPosition, gap, options, existingArtboards, derivedBySize);
+        results.reflowed = layout.reflowed;
 
-        console.log(`[generateArtboardsBatch] Starting position: ${startPosition.x}, ${startPosition.y}`);
-
-        // Create layout tracker for dynamic positioning
-        const layoutTracker = new LayoutTracker(startPosition, gap, maxRowWidth);
+        // Create layout tracker for dynamic positioning, keeping clear of artboards already in the document
+        const layoutTracker = createLayoutTracker(startPosition, gap, layout.options);
+        existingArtboards.forEach((a) => layoutTracker.reserve({ id: a.id, x: a.left, y: a.top, width: a.width, height: a.height }));
 
         // Generate artboards with dynamic positioning
         for (let i = 0; i < sizesToGenerate.length; i++) {
           const sizeConfig = sizesToGenerate[i];
 
+          if (executionContext.isCancelled || options.shouldCancel?.()) {
+            console.log(`[generateArtboardsBatch] Cancelled before "${sizeConfig.name}" - ${sizesToGenerate.length - i} sizes left`);
+            results.cancelled = true;
+            results.remainingSizes = sizesToGenerate.slice(i).map(toSizeConfig);
+            break;
+          }
+
           if (onProgress) {
             onProgress(i + 1, sizesToGenerate.length, sizeConfig.name);
           }
 
           const source = sourceConfig[sizeConfig.sourceType];
           if (!source || !source.artboard) {
-            console.warn(`[generateArtboardsBatch] No ${sizeConfig.sourceType} source configured, skipping ${sizeConfig.name}`);
+            const reason = describeMissingSource(sizeConfig.sourceType);
+            console.warn(`[generateArtboardsBatch] ${reason}, skipping ${sizeConfig.name}`);
+            results.skippedSizes.push({ ...toSizeConfig(sizeConfig), reason });
             continue;
           }
 
-          // Get next position from layout tracker (accounts for all previously placed artboards)
-          const position = layoutTracker.getNextPosition(sizeConfig.actualWidth, sizeConfig.actualHeight);
-          console.log(`[generateArtboardsBatch] Placing "${sizeConfig.name}" (${sizeConfig.actualWidth}x${sizeConfig.actualHeight}) at (${position.x}, ${position.y})`);
+          // Sync mode rebuilds an earlier artboard in its own slot while the new size fits there;
+          // otherwise the layout tracker finds the next free position (accounts for all previously placed artboards)
+          const previous = takeDerivedArtboard(derivedBySize, sizeConfig);
+          const rebuild = previous ? getRebuildPlacement(layoutTracker, previous, sizeConfig) : null;
+          const position = rebuild
+            ? rebuild.position
+            : layoutTracker.getNextPosition(sizeConfig.actualWidth, sizeConfig.actualHeight, getLayoutGroup(sizeConfig));
+          console.log(`[generateArtboardsBatch] ${previous ? 'Rebuilding' : 'Placing'} "${sizeConfig.name}" (${sizeConfig.actualWidth}x${sizeConfig.actualHeight}) at (${position.x}, ${position.y})`);
 
           // Create the artboard using internal function (already in modal context)
-          const result = await createArtboardByDuplicationInternal({
-            sourceArtboardName: source.artboard,
-            targetSize: sizeConfig,
-            layerNames,
-            position,
-          });
+          // A failure only loses this size - record it and carry on with the rest
+          const layerIdsBefore = new Set(app.activeDocument.layers.map((l) => l.id));
+          try {
+            const result = await createArtboardByDuplicationInternal({
+              sourceArtboardName: source.artboard,
+              targetSize: sizeConfig,
+              position,
+              roleLayers: source.layers,
+              safeAreas: options.safeAreas,
+              transparentBackgrounds: options.transparentBackgrounds,
+              provenance: { taskId: options.taskId, runId, sourceType: sizeConfig.sourceType, sourceArtboardIds: options.sourceArtboardIds },
+              resolution,
+              printSettings: options.printSettings,
+            });
+
+            if (previous) {
+              // The rebuilt artboard is in place - remove the one it replaces
+              await getBatchPlay()([
+                generateDeleteLayerCommand(previous.id),
+              ], { synchronousExecution: true });
+              if (rebuild.inPlace) {
+                layoutTracker.reserve({ ...result.position, width: result.width, height: result.height });
+              } else {
+                layoutTracker.registerPlacement(result);
+              }
+              result.replaced = true;
+            } else {
+              // Register the placed artboard so next one avoids it
+              layoutTracker.registerPlacement(result);
+            }
 
-          // Register the placed artboard so next one avoids it
-          layoutTracker.registerPlacement(result);
+            results.createdArtboards.push(result);
+          } catch (error) {
+            console.error(`[generateArtboardsBatch] ✗ Failed to create "${sizeConfig.name}":`, error.message);
+            results.failedSizes.push({ ...toSizeConfig(sizeConfig), error: error.message });
+            await removeLayersAddedSince(layerIdsBefore);
+          }
+        }
+
+        // Label each type group and row on the canvas - labels are optional extras
+        if (options.canvasLabels) {
+          try {
+            results.labelsCreated = await createCanvasLabels(buildCanvasLabels(layoutTracker.rows), resolution);
+          } catch (e) {
+            console.warn('[generateArtboardsBatch] ⚠ Could not add canvas labels:', e.message);
+          }
+        }
 
-          createdArtboards.push(result);
+        // Put the Layers panel in type and checklist order - a failure leaves the artboards as they are
+        if (options.orderLayers) {
+          try {
+            await reorderArtboardLayers(sourceConfig, options);
+          } catch (e) {
+            console.warn('[generateArtboardsBatch] ⚠ Could not reorder artboard layers:', e.message);
+          }
         }
       } finally {
         await executionContext.hostControl.resumeHistory(suspensionID);
       }
 
-      console.log(`[generateArtboardsBatch] ✓ Created ${createdArtboards.length} artboards (skipped ${skippedSizes.length})`);
+      console.log(`[generateArtboardsBatch] ✓ Created ${results.createdArtboards.length} artboards (skipped ${results.skippedSizes.length}, failed ${results.failedSizes.length}${results.cancelled ? `, cancelled with ${results.remainingSizes.length} left` : ''})`);
       console.log('*'.repeat(60));
 
-      return createdArtboards;
+      return results;
     },
     { commandName: 'Generate Artboards (Batch)' }
   );
 };
 
+/**
+ * Move an artboard (with its contents) by an offset
+ * Must be called within executeAsModal
+ * @param {number} artboardId - Artboard layer ID
+ * @param {number} deltaX - Horizontal offset in pixels
+ * @param {number} deltaY - Vertical offset in pixels
+ * @returns {Promise<void>}
+ */
+const moveArtboardBy = async (artboardId, deltaX, deltaY) => {
+  await getBatchPlay()([
+    generateSelectLayerCommand('artboard', artboardId),
+    {
+      _obj: 'move',
+      _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
+      to: {
+        _obj: 'offset',
+        horizontal: { _unit: 'pixelsUnit', _value: deltaX },
+        vertical: { _unit: 'pixelsUnit', _value: deltaY },
+      },
+      _options: { dialogOptions: 'dontDisplay' },
+    },
+  ], { synchronousExecution: true });
+};
+
+/**
+ * Order artboards for tidying by type group (in typeOrder), then by shape within each group:
+ * widest aspect ratio first, larger before smaller at the same ratio, then by name so tidying
+ * twice gives the same layout
+ * @param {Array<Object>} entries - Artboard entries { name, type, width, height }
+ * @param {Array<string>} typeOrder - Type group order (optional)
+ * @returns {Array<Object>} Entries in placement order
+ */
+const orderArtboardsByShape = (entries, typeOrder) => Object.values(groupByType(entries, typeOrder))
+  .map((group) => [...group].sort((a, b) => (
+    (b.width / b.height - a.width / a.height) ||
+    (b.width * b.height - a.width * a.height) ||
+    a.name.localeCompare(b.name)
+  )))
+  .flat();
+
+/**
+ * Re-layout every artboard in the document with the batch layout engine
+ * Source artboards are pinned in a row at the origin; every other artboard is grouped by
+ * the size type in its provenance (artboards without provenance go to "other"), sorted by
+ * aspect ratio within each type (see orderArtboardsByShape, in both layout modes) and laid out
+ * to the right of the sources. Runs as a single history step.
+ * Stale canvas labels are removed, and rebuilt for the new rows when canvasLabels is on.
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @param {Object} options - Layout options { gap, layoutMode, maxRowWidth, columns, groupGap, typeOrder, startX, canvasLabels }
+ * @returns {Promise<Object>} Result { total, moved, sources, labelsCreated, reflowed }
+ * @throws {Error} If the layout can't fit Photoshop's canvas limit (nothing is moved)
+ */
+export const tidyCanvas = async (sourceConfig, options = {}) => {
+  console.log('[tidyCanvas] Tidying canvas');
+
+  const core = getCore();
+  const app = getApp();
+  const gap = options.gap || 100;
+
+  const result = {
+    total: 0,
+    moved: 0,
+    sources: 0,
+    labelsCreated: 0,
+    reflowed: false,
+  };
+
+  return await core.executeAsModal(
+    async (executionContext) => {
+      const doc = app.activeDocument;
+
+      // Suspend history for single undo
+      const suspensionID = await executionContext.hostControl.suspendHistory({
+        documentID: doc.id,
+        name: 'Tidy Canvas',
+      });
+
+      try {
+        const existingArtboards = await getExistingArtboardBounds();
+        result.total = existingArtboards.length;
+
+        const sourceNames = Object.values(sourceConfig)
+          .map((source) => source?.artboard)
+          .filter(Boolean);
+        const sources = sourceNames
+          .map((name) => existingArtboards.find((artboard) => artboard.name === name))
+          .filter(Boolean);
+        const others = existingArtboards.filter((artboard) => !sources.includes(artboard));
+        result.sources = sources.length;
+
+        // Sources are pinned side by side at the origin
+        const pinnedBounds = {};
+        const targets = [];
+        let sourceX = 0;
+        for (const source of sources) {
+          targets.push({ artboard: source, position: { x: sourceX, y: 0 } });
+          pinnedBounds[source.name] = { left: sourceX, top: 0, right: sourceX + source.width, bottom: source.height };
+          sourceX += source.width + gap;
+        }
+
+        // Everything else takes the size type recorded when it was generated
+        const entries = [];
+        for (const artboard of others) {
+          const provenance = await readArtboardProvenance(artboard.id);
+          entries.push({
+            artboard,
+            name: artboard.name,
+            type: provenance?.sizeConfig?.type || 'other',
+            width: artboard.width,
+            height: artboard.height,
+            actualWidth: artboard.width,
+            actualHeight: artboard.height,
+          });
+        }
+
+        const startPosition = getBatchStartPosition(pinnedBounds, gap, options.startX);
+        const orderedEntries = orderArtboardsByShape(entries, options.typeOrder);
+        const pinned = targets.map(({ artboard, position }) => ({ left: position.x, top: position.y, width: artboard.width, height: artboard.height }));
+        const layout = fitLayoutToCanvas(orderedEntries, startPosition, gap, options, pinned);
+        result.reflowed = layout.reflowed;
+
+        const layoutTracker = createLayoutTracker(startPosition, gap, layout.options);
+        for (const entry of orderedEntries) {
+          const position = layoutTracker.getNextPosition(entry.width, entry.height, getLayoutGroup(entry));
+          layoutTracker.registerPlacement({ position, width: entry.width, height: entry.height });
+          targets.push({ artboard: entry.artboard, position });
+        }
+
+        for (const { artboard, position } of targets) {
+          const deltaX = position.x - artboard.left;
+          const deltaY = position.y - artboard.top;
+          if (deltaX === 0 && deltaY === 0) continue;
+
+          console.log(`[tidyCanvas] Moving "${artboard.name}" to (${position.x}, ${position.y})`);
+          await moveArtboardBy(artboard.id, deltaX, deltaY);
+          result.moved++;
+        }
+
+        // Labels from an earlier layout no longer line up with the rows
+        const hadLabels = clearCanvasLabels();
+        if (options.canvasLabels) {
+          try {
+            result.labelsCreated = await createCanvasLabels(buildCanvasLabels(layoutTracker.rows));
+          } catch (e) {
+            console.warn('[tidyCanvas] ⚠ Could not add canvas labels:', e.message);
+          }
+        } else if (hadLabels) {
+          console.log('[tidyCanvas] Removed stale canvas labels');
+        }
+      } finally {
+        await executionContext.hostControl.resumeHistory(suspensionID);
+      }
+
+      console.log(`[tidyCanvas] ✓ Moved ${result.moved} of ${result.total} artboards`);
+      return result;
+    },
+    { commandName: 'Tidy Canvas' }
+  );
+};
+
 export default {
   createArtboardByDuplication,
   generateArtboardsBatch,
+  planArtboardsBatch,
+  tidyCanvas,
   buildBatchCommands,
   executeBatchCommands,
   getSourceArtboard,
@@ -0,0 +1,204 @@
+/**
+ * Canvas Labels
+ * Locked text layers on the canvas (outside the artboards) that name each type group and
+ * artboard row of a batch, so a PSD with dozens of generated artboards is easy to navigate.
+ * All labels live in one top-level "Labels" group that can be removed before export.
+ */
+
+import { getDocumentResolution } from './artboardGenerator';
+
+// Lazy Photoshop API access
+const getPhotoshop = () => require('photoshop');
+const getApp = () => getPhotoshop().app;
+const getCore = () => getPhotoshop().core;
+const getConstants = () => getPhotoshop().constants;
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Name of the top-level group holding every canvas label
+ */
+export const LABELS_GROUP_NAME = 'Labels';
+
+/**
+ * Label text sizes and spacing in pixels
+ */
+const GROUP_LABEL_SIZE = 48;
+const ROW_LABEL_SIZE = 24;
+const LABEL_SPACING = 16;
+
+/**
+ * Space the labels take above a row, in pixels - the layout keeps at least this much between
+ * rows when labels are on, so a label never runs into the row above it
+ */
+export const CANVAS_LABEL_SPACE = {
+  row: ROW_LABEL_SIZE + LABEL_SPACING * 2,
+  group: GROUP_LABEL_SIZE + ROW_LABEL_SIZE + LABEL_SPACING * 3,
+};
+
+const LABEL_COLOR = { r: 128, g: 128, b: 128 };
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Count the artboards in a group's run of consecutive rows
+ * @param {Array<Object>} rows - Rows from the layout tracker
+ * @param {number} start - Index of the group's first row
+ * @returns {number} Artboards in the group
+ */
+const countGroupArtboards = (rows, start) => {
+  let count = 0;
+  for (let i = start; i < rows.length && rows[i].group === rows[start].group; i++) {
+    count += rows[i].count;
+  }
+  return count;
+};
+
+/**
+ * Create the label text color
+ * @returns {Object} SolidColor
+ */
+const createLabelColor = () => {
+  const color = new (getApp().SolidColor)();
+  color.rgb.red = LABEL_COLOR.r;
+  color.rgb.green = LABEL_COLOR.g;
+  color.rgb.blue = LABEL_COLOR.b;
+  return color;
+};
+
+/**
+ * Work out the labels for a batch's rows
+ * Each row gets a small label just above it; the first row of each type group also gets
+ * a larger group label above that
+ * @param {Array<Object>} rows - Rows from the layout tracker { group, x, y, count }
+ * @returns {Array<Object>} Labels { kind: 'group' | 'row', text, x, y, size } - y is the text baseline
+ */
+export const buildCanvasLabels = (rows) => {
+  const labels = [];
+  const rowNumbers = {};
+
+  rows.forEach((row, index) => {
+    const group = capitalize(row.group || 'other');
+    const isFirstInGroup = index === 0 || rows[index - 1].group !== row.group;
+    rowNumbers[group] = (rowNumbers[group] || 0) + 1;
+
+    const rowBaseline = row.y - LABEL_SPACING;
+    if (isFirstInGroup) {
+      labels.push({
+        kind: 'group',
+        text: `${group} (${countGroupArtboards(rows, index)})`,
+        x: row.x,
+        y: rowBaseline - ROW_LABEL_SIZE - LABEL_SPACING,
+        size: GROUP_LABEL_SIZE,
+      });
+    }
+
+    labels.push({
+      kind: 'row',
+      text: `${group} · Row ${rowNumbers[group]}`,
+      x: row.x,
+      y: rowBaseline,
+      size: ROW_LABEL_SIZE,
+    });
+  });
+
+  return labels;
+};
+
+/**
+ * Find the top-level labels group
+ * @returns {Object|null} Group layer
+ */
+const findLabelsGroup = () => (
+  getApp().activeDocument.layers.find((layer) => layer.name === LABELS_GROUP_NAME && layer.kind === 'group') || null
+);
+
+// ============================================================================
+// Create / Remove
+// ============================================================================
+
+/**
+ * Create label text layers in the top-level labels group (created on first use)
+ * Must be called within executeAsModal
+ * @param {Array<Object>} labels - Labels from buildCanvasLabels
+ * @param {number} resolution - Document PPI, to turn the pixel label sizes into font points (optional, read from the document)
+ * @returns {Promise<number>} Number of labels created
+ */
+export const createCanvasLabels = async (labels, resolution = getDocumentResolution()) => {
+  if (labels.length === 0) return 0;
+
+  const doc = getApp().activeDocument;
+  const { ElementPlacement } = getConstants();
+  console.log(`[createCanvasLabels] Creating ${labels.length} labels`);
+
+  // Keep the group at the top of the layer stack, outside every artboard
+  let group = findLabelsGroup();
+  if (group) {
+    group.allLocked = false;
+  } else {
+    group = await doc.createLayerGroup({ name: LABELS_GROUP_NAME });
+    if (group.parent) {
+      group.move(doc.layers[0], ElementPlacement.PLACEBEFORE);
+    }
+  }
+
+  for (const label of labels) {
+    const textLayer = await doc.createTextLayer({
+      name: label.text,
+      contents: label.text,
+      // Font size is in points - convert so the label is as tall as CANVAS_LABEL_SPACE allows for
+      fontSize: (label.size * 72) / resolution,
+      position: { x: label.x, y: label.y },
+      textColor: createLabelColor(),
+    });
+    textLayer.move(group, ElementPlacement.PLACEINSIDE);
+    textLayer.allLocked = true;
+    console.log(`[createCanvasLabels] ✓ ${label.kind} label "${label.text}" at (${label.x}, ${label.y})`);
+  }
+
+  group.allLocked = true;
+  return labels.length;
+};
+
+/**
+ * Delete the labels group and everything in it
+ * Must be called within executeAsModal
+ * @returns {boolean} True if labels were found and removed
+ */
+export const clearCanvasLabels = () => {
+  const group = findLabelsGroup();
+  if (!group) {
+    console.log('[clearCanvasLabels] No labels group in document');
+    return false;
+  }
+
+  group.allLocked = false;
+  group.layers.forEach((layer) => {
+    layer.allLocked = false;
+  });
+  group.delete();
+  console.log('[clearCanvasLabels] ✓ Labels removed');
+  return true;
+};
+
+/**
+ * Delete the labels group as its own undoable step
+ * @returns {Promise<boolean>} True if labels were found and removed
+ */
+export const removeCanvasLabels = async () => {
+  return await getCore().executeAsModal(async () => clearCanvasLabels(), { commandName: 'Remove Canvas Labels' });
+};
+
+export default {
+  buildCanvasLabels,
+  createCanvasLabels,
+  clearCanvasLabels,
+  removeCanvasLabels,
+  LABELS_GROUP_NAME,
+};
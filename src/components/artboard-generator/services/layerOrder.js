@@ -0,0 +1,151 @@
+/**
+ * Layer Order
+ * Reorders artboard layers in the Layers panel to follow the type order and the checklist,
+ * instead of the order duplication left them in. Sources can be kept at the top or bottom.
+ */
+
+import { getExistingArtboardBounds, groupByType } from './artboardGenerator';
+import { readArtboardProvenance } from './provenance';
+
+// Photoshop APIs are loaded lazily to avoid errors during module initialization
+const getPhotoshop = () => require('photoshop');
+const getApp = () => getPhotoshop().app;
+const getCore = () => getPhotoshop().core;
+const getConstants = () => getPhotoshop().constants;
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Where source artboards go when layers are sorted
+ */
+export const SOURCE_LAYER_POSITIONS = {
+  TOP: 'top',
+  BOTTOM: 'bottom',
+  UNCHANGED: 'unchanged', // Sources keep their place; only derivatives are sorted
+};
+
+// ============================================================================
+// Ordering
+// ============================================================================
+
+/**
+ * Sort artboards into Layers panel order (top first)
+ * Artboards are grouped by type in typeOrder; within a type they follow the checklist,
+ * and artboards not in the checklist come after, landscape first
+ * @param {Array<Object>} artboards - Artboards { name, type, width, height }
+ * @param {Object} options - { typeOrder, checklistSizes }
+ * @returns {Array<Object>} Artboards in order
+ */
+export const orderArtboardsForLayers = (artboards, { typeOrder, checklistSizes = [] } = {}) => {
+  const checklistIndex = new Map();
+  checklistSizes.forEach((size, index) => {
+    if (!checklistIndex.has(size.name)) checklistIndex.set(size.name, index);
+  });
+  const indexOf = (artboard) => (checklistIndex.has(artboard.name) ? checklistIndex.get(artboard.name) : Infinity);
+
+  // groupByType sorts each group landscape first; the stable sort keeps that for unlisted artboards
+  return Object.values(groupByType(artboards, typeOrder))
+    .map((group) => [...group].sort((a, b) => {
+      const indexA = indexOf(a);
+      const indexB = indexOf(b);
+      return indexA === indexB ? 0 : (indexA < indexB ? -1 : 1);
+    }))
+    .flat();
+};
+
+// ============================================================================
+// Reorder
+// ============================================================================
+
+/**
+ * Reorder the document's artboard layers
+ * Must be called within executeAsModal
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @param {Object} options - { typeOrder, checklistSizes, sourceLayerPosition }
+ * @returns {Promise<number>} Number of artboards in the sorted order
+ */
+export const reorderArtboardLayers = async (sourceConfig, options = {}) => {
+  const doc = getApp().activeDocument;
+  const { ElementPlacement } = getConstants();
+  const sourcePosition = options.sourceLayerPosition || SOURCE_LAYER_POSITIONS.TOP;
+
+  const existingArtboards = await getExistingArtboardBounds();
+  const sourceNames = Object.values(sourceConfig)
+    .map((source) => source?.artboard)
+    .filter(Boolean);
+  const sources = sourceNames
+    .map((name) => existingArtboards.find((artboard) => artboard.name === name))
+    .filter(Boolean);
+  const checklistTypes = new Map((options.checklistSizes || []).map((size) => [size.name, size.type]));
+
+  // Type from provenance, falling back to the checklist entry with the same name
+  const derived = [];
+  for (const artboard of existingArtboards.filter((a) => !sources.includes(a))) {
+    const provenance = await readArtboardProvenance(artboard.id);
+    derived.push({
+      ...artboard,
+      type: provenance?.sizeConfig?.type || checklistTypes.get(artboard.name) || 'other',
+    });
+  }
+
+  const orderedDerived = orderArtboardsForLayers(derived, options);
+  let ordered = orderedDerived;
+  if (sourcePosition === SOURCE_LAYER_POSITIONS.TOP) {
+    ordered = [...sources, ...orderedDerived];
+  } else if (sourcePosition === SOURCE_LAYER_POSITIONS.BOTTOM) {
+    ordered = [...orderedDerived, ...sources];
+  }
+
+  const layers = ordered
+    .map((artboard) => doc.layers.find((layer) => layer.id === artboard.id))
+    .filter(Boolean);
+  if (layers.length < 2) return layers.length;
+
+  // The first artboard takes the slot of the topmost one being sorted, the rest follow below it
+  const ids = new Set(layers.map((layer) => layer.id));
+  const topmost = doc.layers.find((layer) => ids.has(layer.id));
+  if (topmost.id !== layers[0].id) {
+    layers[0].move(topmost, ElementPlacement.PLACEBEFORE);
+  }
+  for (let i = 1; i < layers.length; i++) {
+    layers[i].move(layers[i - 1], ElementPlacement.PLACEAFTER);
+  }
+
+  console.log(`[reorderArtboardLayers] ✓ Ordered ${layers.length} artboards:`, layers.map((layer) => layer.name));
+  return layers.length;
+};
+
+/**
+ * Reorder the document's artboard layers as a single history step
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @param {Object} options - { typeOrder, checklistSizes, sourceLayerPosition }
+ * @returns {Promise<number>} Number of artboards in the sorted order
+ */
+export const sortArtboardLayers = async (sourceConfig, options = {}) => {
+  const app = getApp();
+
+  return await getCore().executeAsModal(
+    async (executionContext) => {
+      const suspensionID = await executionContext.hostControl.suspendHistory({
+        documentID: app.activeDocument.id,
+        name: 'Sort Artboard Layers',
+      });
+
+      try {
+        return await reorderArtboardLayers(sourceConfig, options);
+      } finally {
+        await executionContext.hostControl.resumeHistory(suspensionID);
+      }
+    },
+    { commandName: 'Sort Artboard Layers' }
+  );
+};
+
+export default {
+  orderArtboardsForLayers,
+  reorderArtboardLayers,
+  sortArtboardLayers,
+  SOURCE_LAYER_POSITIONS,
+};
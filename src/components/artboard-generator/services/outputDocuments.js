@@ -0,0 +1,376 @@
+/**
+ * Output Documents
+ * Generates derivatives into new documents instead of the active PSD - either one document
+ * holding every derivative, or one document per type group (social.psd, print.psd).
+ * The sources each document needs are copied in, generated from, then removed again, and
+ * the new files are saved beside the source file.
+ */
+
+import { groupByType, resolveSourceType } from './artboardGenerator';
+import { generateArtboardsBatch } from './batchArtboardService';
+
+// Photoshop APIs are loaded lazily to avoid errors during module initialization
+const getPhotoshop = () => require('photoshop');
+const getApp = () => getPhotoshop().app;
+const getCore = () => getPhotoshop().core;
+const getConstants = () => getPhotoshop().constants;
+const getLocalFileSystem = () => require('uxp').storage.localFileSystem;
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Where generated artboards go
+ */
+export const OUTPUT_TARGETS = {
+  CURRENT: 'current', // The active document (default)
+  NEW_DOCUMENT: 'newDocument', // One new document with every derivative
+  PER_TYPE: 'perType', // One new document per type group
+};
+
+// ============================================================================
+// Planning
+// ============================================================================
+
+/**
+ * File name of the source document without its extension
+ * @param {string} documentName - Document name, e.g. "Campaign.psd"
+ * @returns {string} Base name
+ */
+const getBaseName = (documentName) => documentName.replace(/\.[^.]+$/, '');
+
+/**
+ * Split sizes into the documents an output target produces
+ * @param {Array<Object>} sizes - Sizes to generate
+ * @param {string} outputTarget - One of OUTPUT_TARGETS (not CURRENT)
+ * @param {string} documentName - Name of the source document
+ * @param {Array<string>} typeOrder - Order of type groups (optional)
+ * @returns {Array<Object>} Output documents { fileName, sizes }
+ */
+export const splitSizesForOutput = (sizes, outputTarget, documentName, typeOrder) => {
+  if (outputTarget === OUTPUT_TARGETS.PER_TYPE) {
+    return Object.entries(groupByType(sizes, typeOrder))
+      .filter(([, typeSizes]) => typeSizes.length > 0)
+      .map(([type, typeSizes]) => ({ fileName: `${type}.psd`, sizes: typeSizes }));
+  }
+  return [{ fileName: `${getBaseName(documentName)} - artboards.psd`, sizes }];
+};
+
+/**
+ * Names of the source artboards a set of sizes is generated from
+ * @param {Array<Object>} sizes - Sizes to generate
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @param {Object} options - { sourceTypes, sourceOverrides }
+ * @returns {Array<string>} Source artboard names (no duplicates)
+ */
+const getNeededSourceArtboards = (sizes, sourceConfig, options) => {
+  const names = new Set();
+  sizes.forEach((size) => {
+    const sourceType = resolveSourceType(size, options.sourceTypes, options.sourceOverrides);
+    const artboard = sourceConfig[sourceType]?.artboard;
+    if (artboard) names.add(artboard);
+  });
+  return [...names];
+};
+
+// ============================================================================
+// Documents
+// ============================================================================
+
+/**
+ * Folder holding the source document, as a UXP folder entry
+ * @param {Object} sourceDoc - Source document
+ * @returns {Promise<Object>} Folder entry
+ * @throws {Error} If the document has never been saved
+ */
+const getSourceFolder = async (sourceDoc) => {
+  const path = sourceDoc.path || '';
+  const separator = Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\'));
+  if (!path || separator === -1) {
+    throw new Error('Save the document first - new output documents are saved beside it');
+  }
+
+  const folderPath = path.substring(0, separator);
+  console.log(`[getSourceFolder] Output folder: ${folderPath}`);
+  return await getLocalFileSystem().getEntryWithUrl(`file:${folderPath}`);
+};
+
+/**
+ * Create a file in a folder without overwriting an existing one
+ * "social.psd" becomes "social 2.psd", "social 3.psd" ... when taken
+ * @param {Object} folder - UXP folder entry
+ * @param {string} fileName - Preferred file name
+ * @returns {Promise<Object>} File entry
+ */
+const createUniqueFile = async (folder, fileName) => {
+  const existing = new Set((await folder.getEntries()).map((entry) => entry.name.toLowerCase()));
+  const baseName = getBaseName(fileName);
+  let name = fileName;
+  for (let i = 2; existing.has(name.toLowerCase()); i++) {
+    name = `${baseName} ${i}.psd`;
+  }
+  return await folder.createFile(name, { overwrite: false });
+};
+
+/**
+ * Copy source artboards into an output document
+ * Must be called within executeAsModal
+ * @param {Object} sourceDoc - Source document
+ * @param {Object} doc - Output document
+ * @param {Array<string>} sourceArtboards - Names of the source artboards to copy
+ * @returns {Promise<Object>} { copiedIds, sourceIds } - IDs of the copies, and copy ID → original source artboard ID
+ */
+const copySourceArtboards = async (sourceDoc, doc, sourceArtboards) => {
+  const copiedIds = [];
+  const sourceIds = {};
+
+  for (const artboardName of sourceArtboards) {
+    const source = sourceDoc.layers.find((layer) => layer.name === artboardName);
+    if (!source) {
+      console.warn(`[copySourceArtboards] Source artboard "${artboardName}" not found`);
+      continue;
+    }
+    try {
+      const copy = await source.duplicate(doc);
+      copiedIds.push(copy.id);
+      sourceIds[copy.id] = source.id;
+      console.log(`[copySourceArtboards] ✓ Copied source "${artboardName}" into "${doc.name}"`);
+    } catch (e) {
+      console.warn(`[copySourceArtboards] ⚠ Could not copy source "${artboardName}":`, e.message);
+    }
+  }
+
+  return { copiedIds, sourceIds };
+};
+
+/**
+ * Create an empty document matching the source document and copy sources into it
+ * The document's blank layer is only removed once a source has been copied; if none could be,
+ * the document is closed again
+ * Must be called within executeAsModal
+ * @param {Object} sourceDoc - Source document
+ * @param {string} name - New document name
+ * @param {Array<string>} sourceArtboards - Names of the source artboards to copy
+ * @returns {Promise<Object|null>} { doc, copiedIds, sourceIds } - the new document (now active) and the copied sources (see copySourceArtboards), or null if nothing was copied
+ */
+const createOutputDocument = async (sourceDoc, name, sourceArtboards) => {
+  const app = getApp();
+  const { DocumentFill } = getConstants();
+
+  const doc = await app.createDocument({
+    name,
+    width: sourceDoc.width,
+    height: sourceDoc.height,
+    resolution: sourceDoc.resolution,
+    mode: sourceDoc.mode,
+    fill: DocumentFill.TRANSPARENT,
+  });
+  const blankLayers = [...doc.layers];
+  const { copiedIds, sourceIds } = await copySourceArtboards(sourceDoc, doc, sourceArtboards);
+
+  if (copiedIds.length === 0) {
+    console.warn(`[createOutputDocument] No sources copied into "${name}" - closing it`);
+    doc.closeWithoutSaving();
+    return null;
+  }
+
+  // Only the artboards belong in the new document
+  blankLayers.forEach((layer) => layer.delete());
+
+  app.activeDocument = doc;
+  return { doc, copiedIds, sourceIds };
+};
+
+/**
+ * Reopen an output document from an earlier run so a resume or retry continues in it
+ * The sources are copied in again, since they were removed when it was saved
+ * Must be called within executeAsModal
+ * @param {Object} sourceDoc - Source document
+ * @param {number} documentId - ID of the earlier output document
+ * @param {Array<string>} sourceArtboards - Names of the source artboards to copy
+ * @returns {Promise<Object|null>} { doc, copiedIds, sourceIds } like createOutputDocument, or null if the document was closed or nothing was copied
+ */
+const reuseOutputDocument = async (sourceDoc, documentId, sourceArtboards) => {
+  const app = getApp();
+  const doc = app.documents.find((d) => d.id === documentId);
+  if (!doc) {
+    console.log(`[reuseOutputDocument] Document ${documentId} is no longer open`);
+    return null;
+  }
+
+  const { copiedIds, sourceIds } = await copySourceArtboards(sourceDoc, doc, sourceArtboards);
+  if (copiedIds.length === 0) {
+    console.warn(`[reuseOutputDocument] No sources copied into "${doc.name}"`);
+    return null;
+  }
+
+  app.activeDocument = doc;
+  return { doc, copiedIds, sourceIds };
+};
+
+/**
+ * Close an output document without saving it
+ * @param {Object} doc - Output document
+ * @returns {Promise<void>}
+ */
+const closeOutputDocument = async (doc) => {
+  try {
+    await getCore().executeAsModal(async () => {
+      doc.closeWithoutSaving();
+    }, { commandName: 'Close Output Document' });
+    console.log('[closeOutputDocument] Closed unsaved output document');
+  } catch (e) {
+    console.warn('[closeOutputDocument] ⚠ Could not close output document:', e.message);
+  }
+};
+
+/**
+ * Remove the copied sources, leaving only the derivatives, and save the document
+ * Sources are removed by ID, so a derivative that shares a source's name is kept
+ * @param {Object} doc - Output document
+ * @param {Array<number>} copiedIds - IDs of the copied source artboards (from createOutputDocument)
+ * @param {Object} folder - UXP folder entry to save into
+ * @param {string} fileName - Preferred file name
+ * @param {boolean} reused - The document was saved by an earlier run - save it in place
+ * @returns {Promise<string>} Name of the saved file
+ */
+const finishOutputDocument = async (doc, copiedIds, folder, fileName, reused = false) => {
+  return await getCore().executeAsModal(async () => {
+    getApp().activeDocument = doc;
+    doc.layers
+      .filter((layer) => copiedIds.includes(layer.id))
+      .forEach((layer) => layer.delete());
+
+    if (reused) {
+      await doc.save();
+      console.log(`[finishOutputDocument] ✓ Saved "${doc.name}"`);
+      return doc.name;
+    }
+
+    const file = await createUniqueFile(folder, fileName);
+    await doc.saveAs.psd(file);
+    console.log(`[finishOutputDocument] ✓ Saved "${file.name}"`);
+    return file.name;
+  }, { commandName: 'Save Output Document' });
+};
+
+// ============================================================================
+// Generation
+// ============================================================================
+
+/**
+ * Generate sizes into new documents saved beside the source document
+ * Each output document gets copies of the sources its sizes need and is generated with
+ * generateArtboardsBatch; the copies are removed before saving. Sizes that match a
+ * source are generated too, as the source itself isn't kept in the output.
+ * An output whose sources can't be copied is skipped; if its batch throws, the unsaved
+ * document is closed before the error is passed on.
+ * Provenance names the source artboards in the source document, not their temporary copies.
+ * A resume or retry passes the previous results' outputDocuments, and continues in those
+ * documents while they're still open.
+ * The source document is active again when this returns.
+ * @param {Array<Object>} sizes - Sizes to generate
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @param {Object} options - Generation options, with outputTarget NEW_DOCUMENT or PER_TYPE
+ * @param {Array<Object>} options.resumeOutputDocuments - outputDocuments of the run being resumed (optional)
+ * @param {Function} onProgress - Progress callback (current, total, name) across all documents
+ * @returns {Promise<Object>} Batch results merged across documents, plus outputDocuments [{ fileName, output, documentId, created }]
+ */
+export const generateIntoOutputDocuments = async (sizes, sourceConfig, options = {}, onProgress = null) => {
+  const app = getApp();
+  const sourceDoc = app.activeDocument;
+  const folder = await getSourceFolder(sourceDoc);
+  const outputs = splitSizesForOutput(sizes, options.outputTarget, sourceDoc.name, options.typeOrder);
+  console.log(`[generateIntoOutputDocuments] ${outputs.length} output document(s) for ${sizes.length} sizes`);
+
+  const results = {
+    createdArtboards: [],
+    skippedSizes: [],
+    failedSizes: [],
+    remainingSizes: [],
+    orphanedArtboards: [],
+    labelsCreated: 0,
+    reflowed: false,
+    resolution: null,
+    cancelled: false,
+    outputDocuments: [],
+  };
+
+  let done = 0;
+  try {
+    for (const output of outputs) {
+      if (results.cancelled) {
+        results.remainingSizes.push(...output.sizes);
+        continue;
+      }
+
+      const sourceArtboards = getNeededSourceArtboards(output.sizes, sourceConfig, options);
+      const previous = (options.resumeOutputDocuments || []).find((entry) => entry.output === output.fileName);
+      let reused = false;
+      let created = null;
+      if (sourceArtboards.length > 0) {
+        created = await getCore().executeAsModal(async () => {
+          const existing = previous && await reuseOutputDocument(sourceDoc, previous.documentId, sourceArtboards);
+          reused = !!existing;
+          return existing || createOutputDocument(sourceDoc, getBaseName(output.fileName), sourceArtboards);
+        }, { commandName: 'Create Output Document' });
+      }
+      if (!created) {
+        const reason = `No source artboard could be copied into ${output.fileName}`;
+        console.warn(`[generateIntoOutputDocuments] ${reason} - skipping ${output.sizes.length} sizes`);
+        results.skippedSizes.push(...output.sizes.map((size) => ({ ...size, reason })));
+        done += output.sizes.length;
+        continue;
+      }
+      const { doc, copiedIds, sourceIds } = created;
+      if (reused) console.log(`[generateIntoOutputDocuments] Continuing in "${doc.name}"`);
+
+      const offset = done;
+      let batchResult;
+      try {
+        batchResult = await generateArtboardsBatch(output.sizes, sourceConfig, {
+          ...options,
+          skipSourceMatches: false,
+          syncMode: false,
+          sourceArtboardIds: sourceIds,
+        }, onProgress && ((current, total, name) => onProgress(offset + current, sizes.length, name)));
+      } catch (error) {
+        // This run's work in it wasn't saved - don't leave the half-built document open
+        await closeOutputDocument(doc);
+        throw error;
+      }
+      done += output.sizes.length;
+
+      results.createdArtboards.push(...batchResult.createdArtboards);
+      results.skippedSizes.push(...batchResult.skippedSizes);
+      results.failedSizes.push(...batchResult.failedSizes);
+      results.remainingSizes.push(...batchResult.remainingSizes);
+      results.labelsCreated += batchResult.labelsCreated;
+      results.reflowed = results.reflowed || batchResult.reflowed;
+      results.resolution = batchResult.resolution;
+      results.cancelled = batchResult.cancelled;
+
+      const fileName = await finishOutputDocument(doc, copiedIds, folder, output.fileName, reused);
+      results.outputDocuments.push({
+        fileName,
+        output: output.fileName,
+        documentId: doc.id,
+        created: batchResult.createdArtboards.length,
+      });
+    }
+  } finally {
+    await getCore().executeAsModal(async () => {
+      app.activeDocument = sourceDoc;
+    }, { commandName: 'Return to Source Document' });
+  }
+
+  console.log(`[generateIntoOutputDocuments] ✓ Saved ${results.outputDocuments.map((d) => d.fileName).join(', ')}`);
+  return results;
+};
+
+export default {
+  generateIntoOutputDocuments,
+  splitSizesForOutput,
+  OUTPUT_TARGETS,
+};
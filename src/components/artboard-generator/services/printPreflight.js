@@ -0,0 +1,329 @@
+/**
+ * Print Preflight
+ * Checks the document and every print artboard before files are handed to a print vendor:
+ * color mode and PPI, background/overlay content reaching the bleed edge, TEXT inside the
+ * trim-safe margin, and trim guides. Read-only - nothing in the document is changed.
+ */
+
+import {
+  DEFAULT_RESOLUTION,
+  getDocumentResolution,
+  getExistingArtboardBounds,
+  getSafetyMarginPx,
+  resolvePlacementInsets,
+} from './artboardGenerator';
+import { calculateSizeWithBleed, generateSelectLayerCommand, LAYER_NAMES } from './batchArtboardService';
+import { readArtboardProvenance } from './provenance';
+
+// Photoshop APIs are loaded lazily to avoid errors during module initialization
+const getPhotoshop = () => require('photoshop');
+const getApp = () => getPhotoshop().app;
+const getCore = () => getPhotoshop().core;
+const getBatchPlay = () => getPhotoshop().action.batchPlay;
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Result of a single check
+ */
+export const PREFLIGHT_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail',
+};
+
+/**
+ * Below this PPI print output fails preflight; between this and DEFAULT_RESOLUTION it warns
+ */
+export const MIN_PRINT_RESOLUTION = 150;
+
+/**
+ * Pixels of slack when comparing edges - bounds and guides land on fractional pixels
+ */
+const EDGE_TOLERANCE = 1;
+
+const SIDES = ['left', 'top', 'right', 'bottom'];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Build a check result
+ * @param {string} status - One of PREFLIGHT_STATUS
+ * @param {string} check - Short check name
+ * @param {string} message - What was found
+ * @param {Object} target - Layer or artboard to select { id, name } (optional)
+ * @returns {Object} Check result { status, check, message, target }
+ */
+const checkResult = (status, check, message, target = null) => ({ status, check, message, target });
+
+/**
+ * Find the print size an artboard was generated for
+ * Provenance wins; otherwise a checklist size with the artboard's name that requires bleed
+ * @param {Object} artboard - Artboard { id, name }
+ * @param {Array<Object>} checklistSizes - Sizes from the checklist
+ * @returns {Promise<Object|null>} Size configuration, or null if the artboard isn't a print artboard
+ */
+const findPrintSize = async (artboard, checklistSizes) => {
+  const provenance = await readArtboardProvenance(artboard.id);
+  const sizeConfig = provenance?.sizeConfig || checklistSizes.find((size) => size.name === artboard.name);
+  return sizeConfig?.requiresBleed ? sizeConfig : null;
+};
+
+/**
+ * Collect text layers under a layer (the layer itself included)
+ * @param {Object} layer - Layer to walk
+ * @returns {Array<Object>} Text layers
+ */
+const collectTextLayers = (layer) => {
+  const found = layer.kind === 'text' ? [layer] : [];
+  (layer.layers || []).forEach((child) => found.push(...collectTextLayers(child)));
+  return found;
+};
+
+/**
+ * Sides of a layer that stop short of a rectangle's edges
+ * @param {Object} bounds - Layer bounds { left, top, right, bottom }
+ * @param {Object} rect - Rectangle { left, top, right, bottom }
+ * @returns {Array<string>} Sides that fall short
+ */
+const getShortSides = (bounds, rect) => SIDES.filter((side) => (
+  side === 'left' || side === 'top'
+    ? bounds[side] > rect[side] + EDGE_TOLERANCE
+    : bounds[side] < rect[side] - EDGE_TOLERANCE
+));
+
+/**
+ * Sides where a layer reaches past a rectangle's edges
+ * @param {Object} bounds - Layer bounds { left, top, right, bottom }
+ * @param {Object} rect - Rectangle { left, top, right, bottom }
+ * @returns {Array<string>} Sides that cross
+ */
+const getCrossedSides = (bounds, rect) => SIDES.filter((side) => (
+  side === 'left' || side === 'top'
+    ? bounds[side] < rect[side] - EDGE_TOLERANCE
+    : bounds[side] > rect[side] + EDGE_TOLERANCE
+));
+
+/**
+ * Whether guides mark all four trim edges of an artboard
+ * Artboard guides may be reported relative to the artboard or in document coordinates, so both are accepted
+ * @param {Array<Object>} guides - Document guides { direction, coordinate }
+ * @param {Object} artboard - Artboard bounds { left, top, width, height }
+ * @param {number} bleedPx - Bleed in pixels per side
+ * @returns {boolean} True if every trim edge has a guide
+ */
+const hasTrimGuides = (guides, artboard, bleedPx) => {
+  const has = (direction, offset, origin) => guides.some((guide) => (
+    guide.direction === direction &&
+    [offset, origin + offset].some((coordinate) => Math.abs(guide.coordinate - coordinate) <= EDGE_TOLERANCE)
+  ));
+  return has('vertical', bleedPx, artboard.left) &&
+    has('vertical', artboard.width - bleedPx, artboard.left) &&
+    has('horizontal', bleedPx, artboard.top) &&
+    has('horizontal', artboard.height - bleedPx, artboard.top);
+};
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+/**
+ * Check the document's color mode and resolution
+ * @param {Object} doc - Active document
+ * @param {number} resolution - Document PPI
+ * @returns {Array<Object>} Check results
+ */
+const checkDocument = (doc, resolution) => {
+  const results = [];
+  const mode = String(doc.mode || '');
+
+  if (/cmyk/i.test(mode)) {
+    results.push(checkResult(PREFLIGHT_STATUS.PASS, 'Color mode', 'CMYK'));
+  } else if (/rgb/i.test(mode)) {
+    results.push(checkResult(PREFLIGHT_STATUS.WARN, 'Color mode', 'RGB - convert to CMYK unless the vendor accepts RGB'));
+  } else {
+    results.push(checkResult(PREFLIGHT_STATUS.FAIL, 'Color mode', `${mode || 'Unknown mode'} - print files need CMYK`));
+  }
+
+  if (resolution >= DEFAULT_RESOLUTION) {
+    results.push(checkResult(PREFLIGHT_STATUS.PASS, 'Resolution', `${Math.round(resolution)} PPI`));
+  } else if (resolution >= MIN_PRINT_RESOLUTION) {
+    results.push(checkResult(PREFLIGHT_STATUS.WARN, 'Resolution', `${Math.round(resolution)} PPI - print usually needs ${DEFAULT_RESOLUTION} PPI`));
+  } else {
+    results.push(checkResult(PREFLIGHT_STATUS.FAIL, 'Resolution', `${Math.round(resolution)} PPI - below ${MIN_PRINT_RESOLUTION} PPI`));
+  }
+
+  return results;
+};
+
+/**
+ * Check one print artboard
+ * @param {Object} artboard - Artboard bounds { id, name, left, top, right, bottom, width, height }
+ * @param {Object} sizeConfig - Print size the artboard was made for
+ * @param {Object} context - { layer, guides, resolution, safeAreas, safetyMarginPx, printSettings, layerNames }
+ * @returns {Array<Object>} Check results
+ */
+const checkPrintArtboard = (artboard, sizeConfig, { layer, guides, resolution, safeAreas, safetyMarginPx, printSettings, layerNames }) => {
+  const results = [];
+  const artboardTarget = { id: artboard.id, name: artboard.name };
+  const { bleedPx } = calculateSizeWithBleed(sizeConfig, resolution, printSettings);
+  const trim = {
+    left: artboard.left + bleedPx,
+    top: artboard.top + bleedPx,
+    right: artboard.right - bleedPx,
+    bottom: artboard.bottom - bleedPx,
+  };
+
+  // The artboard itself must include the bleed
+  if (artboard.width < sizeConfig.width + bleedPx * 2 - EDGE_TOLERANCE) {
+    results.push(checkResult(PREFLIGHT_STATUS.FAIL, 'Bleed', `Artboard is ${artboard.width}×${artboard.height} - no room for ${Math.round(bleedPx)}px bleed`, artboardTarget));
+    return results;
+  }
+
+  // Background must cover the bleed on every side; overlay only where it reaches the trim
+  const bleedChecks = [
+    { name: layerNames.background, everySide: true },
+    { name: layerNames.overlay, everySide: false },
+  ];
+  for (const { name, everySide } of bleedChecks) {
+    const contentLayer = (layer.layers || []).find((l) => l.name === name);
+    if (!contentLayer?.bounds) continue;
+
+    const target = { id: contentLayer.id, name: contentLayer.name };
+    const shortOfBleed = getShortSides(contentLayer.bounds, artboard);
+    const shortOfTrim = getShortSides(contentLayer.bounds, trim);
+    const failing = everySide ? shortOfBleed : shortOfBleed.filter((side) => !shortOfTrim.includes(side));
+
+    if (failing.length > 0) {
+      results.push(checkResult(PREFLIGHT_STATUS.FAIL, 'Bleed', `${name} stops short of the bleed edge (${failing.join(', ')})`, target));
+    } else {
+      results.push(checkResult(PREFLIGHT_STATUS.PASS, 'Bleed', `${name} reaches the bleed edge`, target));
+    }
+  }
+
+  // TEXT must stay inside the trim-safe margin - the same insets generation places it within
+  const insets = resolvePlacementInsets(sizeConfig, safeAreas, safetyMarginPx) || {};
+  const safe = {
+    left: trim.left + (insets.left || 0),
+    top: trim.top + (insets.top || 0),
+    right: trim.right - (insets.right || 0),
+    bottom: trim.bottom - (insets.bottom || 0),
+  };
+  const textRoot = (layer.layers || []).find((l) => l.name === layerNames.text);
+  const textLayers = textRoot ? collectTextLayers(textRoot) : [];
+  let textIssues = 0;
+  for (const textLayer of textLayers) {
+    if (!textLayer.bounds) continue;
+    const target = { id: textLayer.id, name: textLayer.name };
+    const pastTrim = getCrossedSides(textLayer.bounds, trim);
+    const pastSafe = getCrossedSides(textLayer.bounds, safe);
+
+    if (pastTrim.length > 0) {
+      results.push(checkResult(PREFLIGHT_STATUS.FAIL, 'Trim-safe', `"${textLayer.name}" crosses the trim (${pastTrim.join(', ')}) and will be cut`, target));
+      textIssues++;
+    } else if (pastSafe.length > 0) {
+      results.push(checkResult(PREFLIGHT_STATUS.WARN, 'Trim-safe', `"${textLayer.name}" crosses the trim-safe margin (${pastSafe.join(', ')})`, target));
+      textIssues++;
+    }
+  }
+  if (textLayers.length > 0 && textIssues === 0) {
+    results.push(checkResult(PREFLIGHT_STATUS.PASS, 'Trim-safe', `${textLayers.length} text layer${textLayers.length === 1 ? '' : 's'} inside the trim-safe margin`, artboardTarget));
+  }
+
+  // Trim guides are a convenience for whoever opens the file next
+  if (hasTrimGuides(guides, artboard, bleedPx)) {
+    results.push(checkResult(PREFLIGHT_STATUS.PASS, 'Guides', 'Trim guides present', artboardTarget));
+  } else {
+    results.push(checkResult(PREFLIGHT_STATUS.WARN, 'Guides', 'Trim guides missing', artboardTarget));
+  }
+
+  return results;
+};
+
+// ============================================================================
+// Preflight
+// ============================================================================
+
+/**
+ * Run the print preflight over the active document
+ * Print artboards are the ones whose size requires bleed, from provenance or the checklist
+ * @param {Object} options - { checklistSizes, safeAreas, printSettings, backgroundLayerName, overlayLayerName, textLayerName }
+ * @returns {Promise<Object>} Report { resolution, documentChecks, artboards: [{ id, name, status, checks }], counts }
+ */
+export const runPrintPreflight = async (options = {}) => {
+  const doc = getApp().activeDocument;
+  if (!doc) {
+    throw new Error('No document open');
+  }
+
+  const resolution = getDocumentResolution();
+  const layerNames = {
+    background: options.backgroundLayerName || LAYER_NAMES.BACKGROUND,
+    overlay: options.overlayLayerName || LAYER_NAMES.OVERLAY,
+    text: options.textLayerName || LAYER_NAMES.TEXT,
+  };
+  const guides = [...(doc.guides || [])].map((guide) => ({
+    direction: String(guide.direction).toLowerCase(),
+    coordinate: guide.coordinate,
+  }));
+  console.log(`[runPrintPreflight] ${resolution} PPI, mode ${doc.mode}, ${guides.length} guides`);
+
+  const report = {
+    resolution,
+    documentChecks: checkDocument(doc, resolution),
+    artboards: [],
+    counts: { pass: 0, warn: 0, fail: 0 },
+  };
+
+  for (const artboard of await getExistingArtboardBounds()) {
+    const sizeConfig = await findPrintSize(artboard, options.checklistSizes || []);
+    if (!sizeConfig) continue;
+
+    const layer = doc.layers.find((l) => l.id === artboard.id);
+    const checks = checkPrintArtboard(artboard, sizeConfig, {
+      layer,
+      guides,
+      resolution,
+      safeAreas: options.safeAreas,
+      safetyMarginPx: getSafetyMarginPx(options.printSettings, resolution),
+      printSettings: options.printSettings,
+      layerNames,
+    });
+    const status = checks.some((c) => c.status === PREFLIGHT_STATUS.FAIL)
+      ? PREFLIGHT_STATUS.FAIL
+      : checks.some((c) => c.status === PREFLIGHT_STATUS.WARN) ? PREFLIGHT_STATUS.WARN : PREFLIGHT_STATUS.PASS;
+
+    report.artboards.push({ id: artboard.id, name: artboard.name, status, checks });
+    console.log(`[runPrintPreflight] "${artboard.name}": ${status}`);
+  }
+
+  [...report.documentChecks, ...report.artboards.flatMap((a) => a.checks)].forEach((check) => {
+    report.counts[check.status]++;
+  });
+
+  console.log(`[runPrintPreflight] ✓ ${report.artboards.length} print artboards - ${report.counts.fail} fail, ${report.counts.warn} warn, ${report.counts.pass} pass`);
+  return report;
+};
+
+/**
+ * Select a layer or artboard flagged by the preflight
+ * @param {Object} target - { id, name }
+ * @returns {Promise<void>}
+ */
+export const selectPreflightTarget = async (target) => {
+  await getCore().executeAsModal(async () => {
+    await getBatchPlay()([
+      generateSelectLayerCommand(target.name, target.id),
+    ], { synchronousExecution: true });
+  }, { commandName: 'Select Layer' });
+};
+
+export default {
+  runPrintPreflight,
+  selectPreflightTarget,
+  PREFLIGHT_STATUS,
+};
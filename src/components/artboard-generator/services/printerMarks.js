@@ -0,0 +1,307 @@
+/**
+ * Printer's Marks
+ * Registration targets, a CMYK color bar and a slug line for print artboards, placed outside
+ * the trim next to the crop marks. Together with the crop marks they're collected in one
+ * locked "Printer's Marks" group per artboard that can be removed before export.
+ */
+
+import { unitsToPixels } from './artboardGenerator';
+
+// Lazy Photoshop API access
+const getPhotoshop = () => require('photoshop');
+const getApp = () => getPhotoshop().app;
+const getCore = () => getPhotoshop().core;
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Name of the group holding an artboard's printer's marks (crop marks included)
+ */
+export const PRINTER_MARKS_GROUP_NAME = "Printer's Marks";
+
+/**
+ * Color bar patches - solid and 50% tints of each process ink
+ */
+export const COLOR_BAR_PATCHES = [
+  { name: 'C', color: { c: 100, m: 0, y: 0, k: 0 } },
+  { name: 'M', color: { c: 0, m: 100, y: 0, k: 0 } },
+  { name: 'Y', color: { c: 0, m: 0, y: 100, k: 0 } },
+  { name: 'K', color: { c: 0, m: 0, y: 0, k: 100 } },
+  { name: 'C 50', color: { c: 50, m: 0, y: 0, k: 0 } },
+  { name: 'M 50', color: { c: 0, m: 50, y: 0, k: 0 } },
+  { name: 'Y 50', color: { c: 0, m: 0, y: 50, k: 0 } },
+  { name: 'K 50', color: { c: 0, m: 0, y: 0, k: 50 } },
+];
+
+/**
+ * Sizes relative to the crop mark length
+ */
+const REGISTRATION_DIAMETER = 0.6;
+const REGISTRATION_OVERHANG = 0.1; // Crosshair beyond the circle
+const COLOR_PATCH_SIZE = 0.5;
+const SLUG_TEXT_SIZE = 0.3;
+const SLUG_CHAR_WIDTH = 0.6; // Average character width relative to the font size
+
+/**
+ * Smallest fraction of its size a mark is scaled down to before it's left out
+ */
+const MIN_MARK_SCALE = 0.25;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Whether any printer's mark beyond the crop marks is switched on
+ * @param {Object} printSettings - Print settings { registrationMarks, colorBar, slugInfo }
+ * @returns {boolean} True if printer's marks should be added
+ */
+export const hasPrinterMarks = (printSettings) => (
+  !!printSettings && !!(printSettings.registrationMarks || printSettings.colorBar || printSettings.slugInfo)
+);
+
+/**
+ * Build a color descriptor - CMYK for { c, m, y, k } colors, RGB for { r, g, b }
+ * @param {Object} color - Color
+ * @returns {Object} BatchPlay color descriptor
+ */
+export const toColorDescriptor = (color) => {
+  if (color.c !== undefined) {
+    return {
+      _obj: 'CMYKColorClass',
+      cyan: color.c,
+      magenta: color.m,
+      yellowColor: color.y,
+      black: color.k,
+    };
+  }
+
+  return {
+    _obj: 'RGBColor',
+    red: color.r,
+    grain: color.g,  // Photoshop uses 'grain' for green
+    blue: color.b,
+  };
+};
+
+const UNIT_LABELS = { inches: 'in', mm: 'mm', pixels: 'px' };
+
+/**
+ * Convert a pixel length to a print unit, e.g. 1800px at 300 PPI → 6 (inches)
+ * @param {number} pixels - Length in pixels
+ * @param {string} unit - 'inches', 'mm' or 'pixels'
+ * @param {number} resolution - Document PPI
+ * @returns {number} Length in the unit, rounded to 3 decimals
+ */
+const pixelsToUnits = (pixels, unit, resolution) => {
+  const oneUnit = unitsToPixels(1, unit, resolution);
+  return Math.round((pixels / oneUnit) * 1000) / 1000;
+};
+
+/**
+ * Build the slug line text: file name, trim size, bleed, task ID and date
+ * @param {Object} info - { fileName, sizeConfig, taskId, date, resolution }
+ * @returns {string} Slug text, e.g. "Campaign.psd  |  Trim 6 × 4 in  |  Bleed 0.125 in  |  Task abc123  |  2026-10-19"
+ */
+export const buildSlugText = ({ fileName, sizeConfig, taskId = null, date = new Date(), resolution }) => {
+  const unit = sizeConfig.bleedUnit || 'inches';
+  const label = UNIT_LABELS[unit] || unit;
+  const width = pixelsToUnits(sizeConfig.width, unit, resolution);
+  const height = pixelsToUnits(sizeConfig.height, unit, resolution);
+  const parts = [
+    fileName,
+    `Trim ${width} × ${height} ${label}`,
+    `Bleed ${sizeConfig.bleed || 0} ${label}`,
+    taskId ? `Task ${taskId}` : null,
+    date.toISOString().slice(0, 10),
+  ];
+  return parts.filter(Boolean).join('  |  ');
+};
+
+// ============================================================================
+// Layout
+// ============================================================================
+
+/**
+ * Work out where the printer's marks go around a trim box
+ * Registration targets sit beyond the middle of each trim edge, the color bar runs along the
+ * bottom edge and the slug line along the top edge - all at the crop mark offset, clear of the
+ * corner crop marks. Pure geometry; nothing is drawn.
+ * Anything past the artboard edge is clipped and never prints, so given the artboard bounds each
+ * mark is scaled down to the bleed left beyond the offset (and the slug line to the width it has).
+ * A mark that would shrink below MIN_MARK_SCALE of its size is left out and listed in `unfit`.
+ * @param {Object} trim - Trim bounds { left, top, right, bottom } in pixels
+ * @param {Object} marks - Crop mark metrics in pixels { length, offset, weight }
+ * @param {Object} printSettings - Which marks to include { registrationMarks, colorBar, slugInfo }
+ * @param {Object} bounds - Artboard bounds { left, top, right, bottom } the marks must stay inside (optional)
+ * @param {string} slugText - Slug line text, used to estimate its width (optional)
+ * @returns {Object} { registration: [{ cx, cy, diameter, arm }], colorBar: [{ name, color, bounds }], slug: { x, y, size } | null, unfit: Array<string> }
+ */
+export const buildPrinterMarks = (trim, marks, printSettings = {}, bounds = null, slugText = '') => {
+  const { length, offset } = marks;
+  const midX = (trim.left + trim.right) / 2;
+  const midY = (trim.top + trim.bottom) / 2;
+  const unfit = [];
+
+  // Depth left between the crop mark offset and the artboard edge, on the narrowest side
+  const room = bounds
+    ? Math.min(trim.left - bounds.left, trim.top - bounds.top, bounds.right - trim.right, bounds.bottom - trim.bottom) - offset
+    : Infinity;
+  const fitScale = (depth) => Math.min(1, room / depth);
+
+  let registration = [];
+  let arm = 0;
+  if (printSettings.registrationMarks) {
+    const scale = fitScale(length * (REGISTRATION_DIAMETER + 2 * REGISTRATION_OVERHANG));
+    if (scale >= MIN_MARK_SCALE) {
+      const diameter = length * scale * REGISTRATION_DIAMETER;
+      arm = diameter / 2 + length * scale * REGISTRATION_OVERHANG;
+      const reach = offset + arm;
+      registration = [
+        { cx: midX, cy: trim.top - reach, diameter, arm },
+        { cx: trim.right + reach, cy: midY, diameter, arm },
+        { cx: midX, cy: trim.bottom + reach, diameter, arm },
+        { cx: trim.left - reach, cy: midY, diameter, arm },
+      ];
+    } else {
+      unfit.push('registration targets');
+    }
+  }
+
+  // The bar and the slug start past the left crop marks and stop short of the registration
+  // target in the middle of the edge, or of the right crop marks
+  const startX = trim.left + length / 2;
+  const endX = registration.length > 0 ? midX - arm : trim.right - length / 2;
+
+  const colorBar = [];
+  if (printSettings.colorBar) {
+    const fullPatch = length * COLOR_PATCH_SIZE;
+    const scale = fitScale(fullPatch);
+    const patch = fullPatch * scale;
+    COLOR_BAR_PATCHES.forEach((entry, index) => {
+      const left = startX + index * patch;
+      if (scale < MIN_MARK_SCALE || left + patch > endX) return;
+      colorBar.push({
+        name: entry.name,
+        color: entry.color,
+        bounds: { left, top: trim.bottom + offset, right: left + patch, bottom: trim.bottom + offset + patch },
+      });
+    });
+    if (colorBar.length === 0) unfit.push('color bar');
+  }
+
+  // Baseline just above the trim - the text rises about its size above it and runs
+  // SLUG_CHAR_WIDTH of its size per character
+  let slug = null;
+  if (printSettings.slugInfo) {
+    const fullSize = length * SLUG_TEXT_SIZE;
+    const textWidth = slugText.length * SLUG_CHAR_WIDTH;
+    const size = Math.min(fullSize * fitScale(fullSize), textWidth > 0 ? (endX - startX) / textWidth : Infinity);
+    if (size >= fullSize * MIN_MARK_SCALE) {
+      slug = { x: startX, y: trim.top - offset, size };
+    } else {
+      unfit.push('slug line');
+    }
+  }
+
+  return { registration, colorBar, slug, unfit };
+};
+
+/**
+ * Generate command for a registration target's circle (stroked, unfilled ellipse)
+ * @param {Object} target - { cx, cy, diameter }
+ * @param {Object} color - Stroke color
+ * @param {number} weight - Stroke weight in pixels
+ * @returns {Object} BatchPlay command
+ */
+export const generateRegistrationCircle = (target, color, weight) => {
+  const radius = target.diameter / 2;
+  const colorDescriptor = toColorDescriptor(color);
+  return {
+    _obj: 'make',
+    _target: [{ _ref: 'contentLayer' }],
+    using: {
+      _obj: 'contentLayer',
+      shape: {
+        _obj: 'ellipse',
+        unitValueQuadVersion: 1,
+        top: { _unit: 'pixelsUnit', _value: target.cy - radius },
+        left: { _unit: 'pixelsUnit', _value: target.cx - radius },
+        bottom: { _unit: 'pixelsUnit', _value: target.cy + radius },
+        right: { _unit: 'pixelsUnit', _value: target.cx + radius },
+      },
+      strokeStyle: {
+        _obj: 'strokeStyle',
+        fillEnabled: false,
+        strokeEnabled: true,
+        strokeStyleVersion: 2,
+        strokeStyleLineWidth: { _unit: 'pixelsUnit', _value: weight },
+        strokeStyleLineAlignment: { _enum: 'strokeStyleLineAlignment', _value: 'strokeStyleAlignCenter' },
+        strokeStyleContent: { _obj: 'solidColorLayer', color: colorDescriptor },
+      },
+      type: { _obj: 'solidColorLayer', color: colorDescriptor },
+    },
+    _options: { dialogOptions: 'dontDisplay' },
+  };
+};
+
+// ============================================================================
+// Remove
+// ============================================================================
+
+/**
+ * Unlock a layer and everything inside it so it can be deleted
+ * @param {Object} layer - Layer
+ */
+const unlockAll = (layer) => {
+  layer.allLocked = false;
+  (layer.layers || []).forEach(unlockAll);
+};
+
+/**
+ * Delete the printer's marks group from every artboard as its own undoable step
+ * @returns {Promise<number>} Number of artboards the marks were removed from
+ */
+export const removePrinterMarks = async () => {
+  return await getCore().executeAsModal(async (executionContext) => {
+    const doc = getApp().activeDocument;
+    const suspensionID = await executionContext.hostControl.suspendHistory({
+      documentID: doc.id,
+      name: "Remove Printer's Marks",
+    });
+
+    let removed = 0;
+    try {
+      for (const artboard of doc.layers) {
+        const groups = (artboard.layers || []).filter(
+          (layer) => layer.name === PRINTER_MARKS_GROUP_NAME && layer.kind === 'group'
+        );
+        groups.forEach((group) => {
+          unlockAll(group);
+          group.delete();
+        });
+        if (groups.length > 0) {
+          removed++;
+          console.log(`[removePrinterMarks] ✓ Removed from "${artboard.name}"`);
+        }
+      }
+    } finally {
+      await executionContext.hostControl.resumeHistory(suspensionID);
+    }
+
+    console.log(`[removePrinterMarks] ✓ Removed printer's marks from ${removed} artboards`);
+    return removed;
+  }, { commandName: "Remove Printer's Marks" });
+};
+
+export default {
+  buildPrinterMarks,
+  buildSlugText,
+  generateRegistrationCircle,
+  hasPrinterMarks,
+  removePrinterMarks,
+  PRINTER_MARKS_GROUP_NAME,
+  COLOR_BAR_PATCHES,
+};
@@ -0,0 +1,305 @@
+/**
+ * Artboard Provenance
+ * Records where a generated artboard came from - source artboard, size entry, task, run and
+ * plugin version - in the artboard layer's own XMP metadata, so it travels with the PSD
+ */
+
+import config from '../../../config';
+
+// Lazy Photoshop API access
+const getPhotoshop = () => require('photoshop');
+const getApp = () => getPhotoshop().app;
+const getBatchPlay = () => getPhotoshop().action.batchPlay;
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * XMP namespace and prefix for provenance properties
+ */
+export const PROVENANCE_NAMESPACE = 'http://ns.thesqd.com/mysquadps/1.0/';
+const PROVENANCE_PREFIX = 'mysquad';
+
+/**
+ * Provenance properties in the order they are written
+ * sizeConfig is stored as JSON; everything else is a plain string
+ */
+const PROVENANCE_FIELDS = [
+  'sourceArtboardId',
+  'sourceArtboardName',
+  'sourceType',
+  'sizeConfig',
+  'taskId',
+  'runId',
+  'generatedAt',
+  'pluginVersion',
+];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Get the running plugin's version, falling back to the app config
+ * @returns {string} Plugin version
+ */
+const getPluginVersion = () => {
+  try {
+    return require('uxp').versions.plugin || config.app.version;
+  } catch (e) {
+    return config.app.version;
+  }
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (value) => value
+  .replace(/&quot;/g, '"')
+  .replace(/&gt;/g, '>')
+  .replace(/&lt;/g, '<')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Create an ID shared by every artboard created in one generation run
+ * @returns {string} Run ID
+ */
+export const createRunId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Build the provenance record for a newly created artboard
+ * @param {Object} params - Parameters
+ * @param {Object} params.source - Source artboard layer { id, name }
+ * @param {string} params.sourceType - Source type (portrait, landscape, square)
+ * @param {Object} params.sizeConfig - Size configuration the artboard was generated from
+ * @param {string} params.taskId - ClickUp task ID (optional)
+ * @param {string} params.runId - Generation run ID (optional)
+ * @returns {Object} Provenance record
+ */
+export const buildProvenance = ({ source, sourceType, sizeConfig, taskId = null, runId = null }) => ({
+  sourceArtboardId: source.id,
+  sourceArtboardName: source.name,
+  sourceType: sourceType || null,
+  sizeConfig,
+  taskId,
+  runId,
+  generatedAt: new Date().toISOString(),
+  pluginVersion: getPluginVersion(),
+});
+
+/**
+ * Serialize a provenance record as an rdf:Description block
+ * @param {Object} provenance - Provenance record
+ * @returns {string} rdf:Description element
+ */
+const provenanceToDescription = (provenance) => {
+  const properties = PROVENANCE_FIELDS
+    .filter((field) => provenance[field] !== null && provenance[field] !== undefined)
+    .map((field) => {
+      const value = field === 'sizeConfig' ? JSON.stringify(provenance[field]) : provenance[field];
+      return `   <${PROVENANCE_PREFIX}:${field}>${escapeXml(value)}</${PROVENANCE_PREFIX}:${field}>`;
+    });
+
+  return [
+    `  <rdf:Description rdf:about="" xmlns:${PROVENANCE_PREFIX}="${PROVENANCE_NAMESPACE}">`,
+    ...properties,
+    '  </rdf:Description>',
+  ].join('\n');
+};
+
+/**
+ * Serialize a provenance record as an XMP packet
+ * @param {Object} provenance - Provenance record
+ * @returns {string} XMP packet
+ */
+export const provenanceToXmp = (provenance) => [
+  '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+  ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+  provenanceToDescription(provenance),
+  ' </rdf:RDF>',
+  '</x:xmpmeta>',
+].join('\n');
+
+/**
+ * Merge a provenance record into a layer's existing XMP packet
+ * Other metadata on the layer is kept; provenance from an earlier write is replaced
+ * @param {string} xmp - Existing XMP packet (may be empty)
+ * @param {Object} provenance - Provenance record
+ * @returns {string} XMP packet
+ */
+export const mergeProvenanceXmp = (xmp, provenance) => {
+  if (!xmp || !xmp.includes('</rdf:RDF>')) return provenanceToXmp(provenance);
+
+  const withoutOld = PROVENANCE_FIELDS
+    .reduce((packet, field) => packet.replace(
+      new RegExp(`\\s*<${PROVENANCE_PREFIX}:${field}>[\\s\\S]*?</${PROVENANCE_PREFIX}:${field}>`, 'g'),
+      ''
+    ), xmp)
+    // A description that only held provenance is now empty
+    .replace(new RegExp(`\\s*<rdf:Description[^>]*xmlns:${PROVENANCE_PREFIX}="[^"]*"[^>]*>\\s*</rdf:Description>`, 'g'), '');
+
+  const end = withoutOld.lastIndexOf('</rdf:RDF>');
+  return `${withoutOld.slice(0, end).replace(/\s*$/, '')}\n${provenanceToDescription(provenance)}\n ${withoutOld.slice(end)}`;
+};
+
+/**
+ * Parse a provenance record out of an XMP packet
+ * @param {string} xmp - XMP packet
+ * @returns {Object|null} Provenance record, or null if the packet has none
+ */
+export const parseProvenanceXmp = (xmp) => {
+  if (!xmp || !xmp.includes(PROVENANCE_NAMESPACE)) return null;
+
+  const provenance = {};
+  for (const field of PROVENANCE_FIELDS) {
+    const match = xmp.match(new RegExp(`<${PROVENANCE_PREFIX}:${field}>([\\s\\S]*?)</${PROVENANCE_PREFIX}:${field}>`));
+    if (!match) {
+      provenance[field] = null;
+      continue;
+    }
+
+    const value = unescapeXml(match[1]);
+    if (field === 'sizeConfig') {
+      try {
+        provenance[field] = JSON.parse(value);
+      } catch (e) {
+        console.warn('[parseProvenanceXmp] Could not parse sizeConfig:', e.message);
+        provenance[field] = null;
+      }
+    } else if (field === 'sourceArtboardId') {
+      provenance[field] = Number(value);
+    } else {
+      provenance[field] = value;
+    }
+  }
+
+  return provenance;
+};
+
+// ============================================================================
+// Read / Write
+// ============================================================================
+
+/**
+ * Read a layer's raw XMP packet
+ * @param {number} layerId - Layer ID
+ * @returns {Promise<string|null>} XMP packet, or null if the layer has none
+ */
+const readLayerXmp = async (layerId) => {
+  const result = await getBatchPlay()([
+    {
+      _obj: 'get',
+      _target: [
+        { _property: 'XMPMetadataAsUTF8' },
+        { _ref: 'layer', _id: layerId },
+      ],
+      _options: { dialogOptions: 'dontDisplay' },
+    },
+  ], { synchronousExecution: false });
+
+  return result[0]?.XMPMetadataAsUTF8 || null;
+};
+
+/**
+ * Write provenance onto an artboard layer's XMP metadata, keeping any metadata already there
+ * Must be called within executeAsModal
+ * @param {number} artboardId - Artboard layer ID
+ * @param {Object} provenance - Provenance record
+ */
+export const writeArtboardProvenance = async (artboardId, provenance) => {
+  console.log(`[writeArtboardProvenance] Writing provenance to artboard ${artboardId}`);
+
+  let existing = null;
+  try {
+    existing = await readLayerXmp(artboardId);
+  } catch (e) {
+    console.warn(`[writeArtboardProvenance] Could not read existing XMP for layer ${artboardId}:`, e.message);
+  }
+
+  await getBatchPlay()([
+    {
+      _obj: 'set',
+      _target: [
+        { _ref: 'property', _property: 'XMPMetadataAsUTF8' },
+        { _ref: 'layer', _id: artboardId },
+      ],
+      to: {
+        _obj: 'layer',
+        XMPMetadataAsUTF8: mergeProvenanceXmp(existing, provenance),
+      },
+      _options: { dialogOptions: 'dontDisplay' },
+    },
+  ], { synchronousExecution: true });
+};
+
+/**
+ * Read provenance from an artboard layer's XMP metadata
+ * @param {number} artboardId - Artboard layer ID
+ * @returns {Promise<Object|null>} Provenance record, or null if the artboard has none
+ */
+export const readArtboardProvenance = async (artboardId) => {
+  try {
+    return parseProvenanceXmp(await readLayerXmp(artboardId));
+  } catch (e) {
+    console.warn(`[readArtboardProvenance] Could not read XMP for layer ${artboardId}:`, e.message);
+    return null;
+  }
+};
+
+/**
+ * Whether a layer is an artboard (a plain layer group isn't)
+ * @param {number} layerId - Layer ID
+ * @returns {Promise<boolean>} True if the layer is an artboard
+ */
+const isArtboardLayer = async (layerId) => {
+  const result = await getBatchPlay()([
+    {
+      _obj: 'get',
+      _target: [{ _ref: 'layer', _id: layerId }],
+      _options: { dialogOptions: 'dontDisplay' },
+    },
+  ], { synchronousExecution: false });
+
+  return result[0]?.artboardEnabled === true;
+};
+
+/**
+ * Read provenance for the artboard containing the current selection
+ * Walks up from the first selected layer to its top-level layer, which must be an artboard
+ * @returns {Promise<Object>} { artboard: { id, name } | null, provenance: Object | null } - both null outside an artboard
+ */
+export const getSelectedArtboardProvenance = async () => {
+  const doc = getApp().activeDocument;
+  if (!doc || doc.activeLayers.length === 0) {
+    return { artboard: null, provenance: null };
+  }
+
+  let layer = doc.activeLayers[0];
+  while (layer.parent) {
+    layer = layer.parent;
+  }
+
+  if (!(await isArtboardLayer(layer.id))) {
+    console.log(`[getSelectedArtboardProvenance] "${layer.name}" is not an artboard`);
+    return { artboard: null, provenance: null };
+  }
+
+  const artboard = { id: layer.id, name: layer.name };
+  const provenance = await readArtboardProvenance(layer.id);
+  console.log(`[getSelectedArtboardProvenance] "${artboard.name}" (${artboard.id}):`, provenance ? 'has provenance' : 'no provenance');
+
+  return { artboard, provenance };
+};
+
+export default {
+  buildProvenance,
+  createRunId,
+  writeArtboardProvenance,
+  readArtboardProvenance,
+  getSelectedArtboardProvenance,
+  PROVENANCE_NAMESPACE,
+};
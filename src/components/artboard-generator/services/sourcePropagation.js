@@ -0,0 +1,429 @@
+/**
+ * Source Propagation
+ * Pushes edits made on a source artboard to the artboards generated from it - TEXT content,
+ * visibility, and added or removed layers - while each derivative keeps its own scale and position.
+ * Derivatives are found through the provenance recorded on them at generation time; artboards
+ * without provenance can't be traced to a source and are listed in the result instead.
+ */
+
+import {
+  getDocumentResolution,
+  getExistingArtboardBounds,
+  getLayerRoleConfig,
+  getSafetyMarginPx,
+  resolvePlacementInsets,
+} from './artboardGenerator';
+import {
+  calculateCornerPlacement,
+  calculateLayerScalePercent,
+  calculateProportionalOffset,
+  calculateSizeWithBleed,
+  calculateTargetFrames,
+  CORNER_ROLES,
+  generateDeleteLayerCommand,
+  generateSelectLayerCommand,
+  generateTransformCommand,
+  getLayerConfig,
+  getSourceArtboard,
+  LAYER_NAMES,
+} from './batchArtboardService';
+import { readArtboardProvenance } from './provenance';
+
+// Photoshop APIs are loaded lazily to avoid errors during module initialization
+const getPhotoshop = () => require('photoshop');
+const getApp = () => getPhotoshop().app;
+const getCore = () => getPhotoshop().core;
+const getConstants = () => getPhotoshop().constants;
+const getBatchPlay = () => getPhotoshop().action.batchPlay;
+
+// ============================================================================
+// Diffing
+// ============================================================================
+
+/**
+ * Whether generation hides a top-level layer for this size
+ * Mirrors PHASE 5/5b of createArtboardByDuplicationInternal, so pushing visibility
+ * doesn't re-show TEXT on background-only sizes or Overlay/BKG on transparent ones
+ * @param {string} sizeName - Derived artboard / size name
+ * @param {string} layerName - Top-level layer name
+ * @returns {boolean} True if the generator hides this layer for the size
+ */
+const isHiddenForSize = (sizeName, layerName) => {
+  const artboardName = (sizeName || '').toLowerCase();
+  const name = layerName.toLowerCase();
+
+  const isBackgroundOnly = artboardName.includes('background') || artboardName.includes('bkg only');
+  if (isBackgroundOnly && name.includes('text')) return true;
+
+  const isTransparent = artboardName.includes('transparent') || artboardName.includes('png');
+  if (isTransparent && (name.includes('overlay') || name === 'adjust' || name.includes('bkg') || name === 'background')) {
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Pair each source child with the derived child of the same name
+ * Repeated names are paired in stacking order
+ * @param {Array<Object>} sourceLayers - Source container's child layers
+ * @param {Array<Object>} derivedLayers - Derived container's child layers
+ * @returns {Object} { pairs: [{ source, derived }], added: [source], removed: [derived] }
+ */
+const pairLayersByName = (sourceLayers = [], derivedLayers = []) => {
+  const unmatched = [...derivedLayers];
+  const pairs = [];
+  const added = [];
+
+  for (const source of sourceLayers) {
+    const index = unmatched.findIndex((l) => l.name === source.name);
+    if (index === -1) {
+      added.push(source);
+    } else {
+      pairs.push({ source, derived: unmatched[index] });
+      unmatched.splice(index, 1);
+    }
+  }
+
+  return { pairs, added, removed: unmatched };
+};
+
+/**
+ * Diff a source container against its derived counterpart
+ * At the artboard level only role layers are removed - derivatives also carry layers the
+ * generator adds on its own (crop marks), which never exist on the source
+ * @param {Object} sourceContainer - Source artboard or group
+ * @param {Object} derivedContainer - Derived artboard or group
+ * @param {Object} context - { sizeName, roleNames: Set<string>, topLevelName }
+ * @returns {Array<Object>} Changes [{ type: 'text'|'visibility'|'add'|'remove', ... }]
+ */
+const diffContainers = (sourceContainer, derivedContainer, context) => {
+  const isArtboardLevel = !context.topLevelName;
+  const { pairs, added, removed } = pairLayersByName(sourceContainer.layers, derivedContainer.layers);
+  const changes = [];
+
+  for (const { source, derived } of pairs) {
+    const topLevelName = context.topLevelName || source.name;
+
+    if (source.visible !== derived.visible && !(isArtboardLevel && isHiddenForSize(context.sizeName, source.name))) {
+      changes.push({ type: 'visibility', layer: derived, visible: source.visible });
+    }
+
+    if (source.kind === 'text' && derived.kind === 'text') {
+      const contents = source.textItem?.contents;
+      if (contents !== undefined && contents !== derived.textItem?.contents) {
+        changes.push({ type: 'text', layer: derived, contents, topLevelName });
+      }
+    }
+
+    if (source.layers && derived.layers) {
+      changes.push(...diffContainers(source, derived, { ...context, topLevelName }));
+    }
+  }
+
+  for (const source of added) {
+    changes.push({
+      type: 'add',
+      sourceLayer: source,
+      container: derivedContainer,
+      topLevelName: context.topLevelName || source.name,
+    });
+  }
+
+  for (const derived of removed) {
+    if (isArtboardLevel && !context.roleNames.has(derived.name)) continue;
+    changes.push({ type: 'remove', layer: derived });
+  }
+
+  return changes;
+};
+
+// ============================================================================
+// Applying Changes
+// ============================================================================
+
+/**
+ * Copy a layer added on the source into a derived artboard and fit it the way generation would
+ * Corner-role layers are pinned to their corner; everything else gets its top-level layer's
+ * scale and proportional offset for this size
+ * @param {Object} change - 'add' change from diffContainers
+ * @param {Object} placement - { sourceFrame, targetFrame, trimFrame, safeFrame, targetSize, bleedPx, safeArea, safetyMarginPx, cornerAnchors }
+ * @returns {Promise<void>}
+ */
+const addLayerToDerivative = async (change, placement) => {
+  const batchPlay = getBatchPlay();
+  const { ElementPlacement } = getConstants();
+  const { sourceLayer, container, topLevelName } = change;
+
+  // Placed relative to the derived container itself - above its top child, or inside it when it's empty
+  const topChild = container.layers?.[0];
+  const copy = topChild
+    ? await sourceLayer.duplicate(topChild, ElementPlacement.PLACEBEFORE)
+    : await sourceLayer.duplicate(container, ElementPlacement.PLACEINSIDE);
+  if (copy.name !== sourceLayer.name) {
+    copy.name = sourceLayer.name;
+  }
+
+  const bounds = copy.bounds;
+  if (!bounds || bounds.right <= bounds.left || bounds.bottom <= bounds.top) {
+    console.log(`[addLayerToDerivative] "${sourceLayer.name}" has no bounds - copied without transform`);
+    return;
+  }
+
+  let scalePercent;
+  let offset;
+  const anchor = placement.cornerAnchors[sourceLayer.name];
+  if (anchor) {
+    const target = calculateCornerPlacement(bounds, anchor, placement.sourceFrame, placement.trimFrame, placement.safetyMarginPx);
+    scalePercent = target.scale * 100;
+    offset = {
+      horizontal: target.left + target.width / 2 - (bounds.left + bounds.right) / 2,
+      vertical: target.top + target.height / 2 - (bounds.top + bounds.bottom) / 2,
+    };
+  } else {
+    // The copy still sits where it did on the source, so map it with the same
+    // scale-about-center its top-level layer got when the derivative was generated
+    const layerFrame = getLayerConfig(topLevelName).scaleMode === 'contain' ? placement.safeFrame : placement.targetFrame;
+    scalePercent = calculateLayerScalePercent(topLevelName, placement.sourceFrame, placement.targetSize, placement.bleedPx, placement.safeArea);
+    offset = calculateProportionalOffset(bounds, placement.sourceFrame, layerFrame, scalePercent / 100);
+  }
+
+  console.log(`[addLayerToDerivative] "${sourceLayer.name}" → ${scalePercent.toFixed(2)}%, offset (${offset.horizontal.toFixed(1)}, ${offset.vertical.toFixed(1)})`);
+  await batchPlay([
+    generateSelectLayerCommand(sourceLayer.name, copy.id),
+    generateTransformCommand(scalePercent, scalePercent, offset),
+  ], { synchronousExecution: true });
+};
+
+/**
+ * Fit a contain-scaled top-level layer back inside its frame
+ * Generation fits TEXT to the safe area; longer text pushed from the source can outgrow it,
+ * so the layer is shrunk (never enlarged) and pulled in until it fits again
+ * @param {Object} layer - Top-level layer in the derived artboard
+ * @param {Object} frame - Frame it must stay inside { left, top, width, height }
+ * @returns {Promise<void>}
+ */
+const refitContainLayer = async (layer, frame) => {
+  const bounds = layer.bounds;
+  if (!bounds || bounds.right <= bounds.left || bounds.bottom <= bounds.top) return;
+
+  const width = bounds.right - bounds.left;
+  const height = bounds.bottom - bounds.top;
+  const scale = Math.min(1, frame.width / width, frame.height / height);
+  const half = { width: (width * scale) / 2, height: (height * scale) / 2 };
+  const center = { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 };
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+  const offset = {
+    horizontal: clamp(center.x, frame.left + half.width, frame.left + frame.width - half.width) - center.x,
+    vertical: clamp(center.y, frame.top + half.height, frame.top + frame.height - half.height) - center.y,
+  };
+
+  if (scale === 1 && offset.horizontal === 0 && offset.vertical === 0) return;
+
+  console.log(`[refitContainLayer] "${layer.name}" → ${(scale * 100).toFixed(2)}%, offset (${offset.horizontal.toFixed(1)}, ${offset.vertical.toFixed(1)})`);
+  await getBatchPlay()([
+    generateSelectLayerCommand(layer.name, layer.id),
+    generateTransformCommand(scale * 100, scale * 100, offset),
+  ], { synchronousExecution: true });
+};
+
+/**
+ * Apply a derived artboard's changes - edits first, then removals, then additions
+ * @param {Array<Object>} changes - Changes from diffContainers
+ * @param {Object} placement - Placement context for added layers and refitting edited text ({ artboard } is the derived artboard layer)
+ * @returns {Promise<void>}
+ */
+const applyChanges = async (changes, placement) => {
+  const batchPlay = getBatchPlay();
+
+  const textChanges = changes.filter((c) => c.type === 'text');
+  for (const change of textChanges) {
+    console.log(`[applyChanges] Text "${change.layer.name}" → "${change.contents}"`);
+    change.layer.textItem.contents = change.contents;
+  }
+
+  // Edited text gets the contain-fit pass generation gave it
+  const refitNames = new Set(textChanges
+    .map((c) => c.topLevelName)
+    .filter((name) => getLayerConfig(name).scaleMode === 'contain'));
+  for (const name of refitNames) {
+    const layer = (placement.artboard.layers || []).find((l) => l.name === name);
+    if (layer) {
+      await refitContainLayer(layer, placement.safeFrame);
+    }
+  }
+
+  for (const change of changes.filter((c) => c.type === 'visibility')) {
+    console.log(`[applyChanges] ${change.visible ? 'Showing' : 'Hiding'} "${change.layer.name}"`);
+    await batchPlay([
+      {
+        _obj: change.visible ? 'show' : 'hide',
+        null: [{ _ref: 'layer', _id: change.layer.id }],
+        _options: { dialogOptions: 'dontDisplay' },
+      },
+    ], { synchronousExecution: true });
+  }
+
+  for (const change of changes.filter((c) => c.type === 'remove')) {
+    console.log(`[applyChanges] Removing "${change.layer.name}" (id: ${change.layer.id})`);
+    await batchPlay([generateDeleteLayerCommand(change.layer.id)], { synchronousExecution: true });
+  }
+
+  for (const change of changes.filter((c) => c.type === 'add')) {
+    console.log(`[applyChanges] Adding "${change.sourceLayer.name}" to "${change.container.name}"`);
+    await addLayerToDerivative(change, placement);
+  }
+};
+
+/**
+ * Summarize changes for the report
+ * @param {Array<Object>} changes - Changes from diffContainers
+ * @returns {Object} { text, visibility, added, removed } - layer names per change type
+ */
+const summarizeChanges = (changes) => ({
+  text: changes.filter((c) => c.type === 'text').map((c) => c.layer.name),
+  visibility: changes.filter((c) => c.type === 'visibility').map((c) => c.layer.name),
+  added: changes.filter((c) => c.type === 'add').map((c) => c.sourceLayer.name),
+  removed: changes.filter((c) => c.type === 'remove').map((c) => c.layer.name),
+});
+
+// ============================================================================
+// Push
+// ============================================================================
+
+/**
+ * Push changes from every configured source to the artboards generated from it
+ * Runs as one history step. A derivative that fails is recorded and the rest carry on.
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @param {Object} options - Generation options (safeAreas, printSettings)
+ * @param {Function} onProgress - Progress callback (current, total, name)
+ * @returns {Promise<Object>} { updated, unchanged, failed, untracked, cancelled } - untracked lists artboards without provenance
+ */
+export const pushSourceChanges = async (sourceConfig, options = {}, onProgress = null) => {
+  console.log('*'.repeat(60));
+  console.log('[pushSourceChanges] Pushing source changes to derived artboards');
+
+  const core = getCore();
+  const app = getApp();
+
+  const results = {
+    updated: [],
+    unchanged: [],
+    failed: [],
+    untracked: [],
+    cancelled: false,
+  };
+
+  return await core.executeAsModal(
+    async (executionContext) => {
+      const doc = app.activeDocument;
+      const resolution = getDocumentResolution();
+      const safetyMarginPx = getSafetyMarginPx(options.printSettings, resolution);
+
+      const suspensionID = await executionContext.hostControl.suspendHistory({
+        documentID: doc.id,
+        name: 'Push Changes from Source',
+      });
+
+      try {
+        // Resolve each configured source artboard
+        const sourcesById = new Map();
+        for (const [sourceType, source] of Object.entries(sourceConfig)) {
+          if (!source?.artboard) continue;
+          try {
+            const info = await getSourceArtboard(source.artboard);
+            sourcesById.set(info.layer.id, { sourceType, source, info });
+          } catch (e) {
+            console.warn(`[pushSourceChanges] ${sourceType} source unavailable:`, e.message);
+          }
+        }
+
+        // Derived artboards are the ones whose provenance points at a source; artboards with no
+        // provenance (generated before it was recorded, or made by hand) can't be traced
+        const derivedArtboards = [];
+        for (const artboard of await getExistingArtboardBounds()) {
+          if (sourcesById.has(artboard.id)) continue;
+          const provenance = await readArtboardProvenance(artboard.id);
+          if (!provenance) {
+            results.untracked.push({ id: artboard.id, name: artboard.name });
+          } else if (sourcesById.has(provenance.sourceArtboardId)) {
+            derivedArtboards.push({ ...artboard, provenance });
+          }
+        }
+
+        console.log(`[pushSourceChanges] ${sourcesById.size} sources, ${derivedArtboards.length} derived artboards, ${results.untracked.length} without provenance`);
+
+        for (let i = 0; i < derivedArtboards.length; i++) {
+          const artboard = derivedArtboards[i];
+
+          if (executionContext.isCancelled) {
+            console.log(`[pushSourceChanges] Cancelled before "${artboard.name}"`);
+            results.cancelled = true;
+            break;
+          }
+
+          if (onProgress) {
+            onProgress(i + 1, derivedArtboards.length, artboard.name);
+          }
+
+          const { source, info } = sourcesById.get(artboard.provenance.sourceArtboardId);
+          const sourceLayer = doc.layers.find((l) => l.id === info.layer.id);
+          const derivedLayer = doc.layers.find((l) => l.id === artboard.id);
+
+          try {
+            const roleNames = new Set([
+              ...Object.values(LAYER_NAMES),
+              ...Object.values(source.layers || {}).filter(Boolean),
+            ]);
+            const changes = diffContainers(sourceLayer, derivedLayer, { sizeName: artboard.name, roleNames });
+
+            if (changes.length === 0) {
+              results.unchanged.push({ id: artboard.id, name: artboard.name });
+              continue;
+            }
+
+            const sizeConfig = artboard.provenance.sizeConfig || { name: artboard.name, width: artboard.width, height: artboard.height };
+            const { bleedPx } = calculateSizeWithBleed(sizeConfig, resolution, options.printSettings);
+            const marginPx = bleedPx > 0 ? safetyMarginPx : 0;
+            const safeArea = resolvePlacementInsets(sizeConfig, options.safeAreas, marginPx);
+            const targetSize = { width: artboard.width, height: artboard.height };
+            const cornerAnchors = {};
+            CORNER_ROLES.forEach((role) => {
+              const layerName = source.layers?.[role];
+              if (layerName) cornerAnchors[layerName] = getLayerRoleConfig(role).anchor;
+            });
+
+            await applyChanges(changes, {
+              artboard: derivedLayer,
+              sourceFrame: { left: info.bounds.left, top: info.bounds.top, width: info.bounds.width, height: info.bounds.height },
+              ...calculateTargetFrames({ x: artboard.left, y: artboard.top }, targetSize, bleedPx, safeArea),
+              targetSize,
+              bleedPx,
+              safeArea,
+              safetyMarginPx: marginPx,
+              cornerAnchors,
+            });
+
+            results.updated.push({ id: artboard.id, name: artboard.name, changes: summarizeChanges(changes) });
+            console.log(`[pushSourceChanges] ✓ "${artboard.name}": ${changes.length} changes`);
+          } catch (error) {
+            console.error(`[pushSourceChanges] ✗ Failed to update "${artboard.name}":`, error.message);
+            results.failed.push({ id: artboard.id, name: artboard.name, error: error.message });
+          }
+        }
+      } finally {
+        await executionContext.hostControl.resumeHistory(suspensionID);
+      }
+
+      console.log(`[pushSourceChanges] ✓ Updated ${results.updated.length}, unchanged ${results.unchanged.length}, failed ${results.failed.length}, untracked ${results.untracked.length}`);
+      console.log('*'.repeat(60));
+
+      return results;
+    },
+    { commandName: 'Push Changes from Source' }
+  );
+};
+
+export default {
+  pushSourceChanges,
+};
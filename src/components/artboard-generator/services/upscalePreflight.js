@@ -0,0 +1,174 @@
+/**
+ * Upscaling Preflight
+ * Works out, before a batch runs, how far each raster layer will be scaled for every planned size
+ * and flags layers that would be enlarged past 100% (and past a configurable threshold)
+ */
+
+import { getDocumentResolution, getSafetyMarginPx, resolvePlacementInsets } from './artboardGenerator';
+import {
+  calculateLayerScalePercent,
+  calculateScalePercent,
+  CORNER_ROLES,
+  getSourceArtboard,
+  getSourceBoundsCache,
+  planBatchSizes,
+} from './batchArtboardService';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Default scale percentage above which generation asks for confirmation
+ */
+export const DEFAULT_UPSCALE_THRESHOLD = 100;
+
+/**
+ * Layer kinds whose pixels soften when enlarged
+ * Smart objects are included conservatively - their embedded resolution isn't inspected
+ */
+const RASTER_LAYER_KINDS = ['pixel', 'smartObject'];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Collect raster layers under a top-level layer, remembering whether they sit in a corner-pinned layer
+ * @param {Object} layer - Layer to walk
+ * @param {Set<string>} cornerNames - Names of corner-pinned layers from the source config
+ * @param {boolean} inCorner - Whether an ancestor is corner-pinned
+ * @returns {Array<Object>} Raster layers [{ id, name, kind, isCorner }]
+ */
+const collectRasterLayers = (layer, cornerNames, inCorner = false) => {
+  const isCorner = inCorner || cornerNames.has(layer.name);
+  const found = [];
+
+  if (RASTER_LAYER_KINDS.includes(layer.kind)) {
+    found.push({ id: layer.id, name: layer.name, kind: layer.kind, isCorner });
+  }
+
+  if (layer.layers) {
+    for (const child of layer.layers) {
+      found.push(...collectRasterLayers(child, cornerNames, isCorner));
+    }
+  }
+
+  return found;
+};
+
+/**
+ * Build the raster layer list for one source artboard, grouped by top-level layer
+ * @param {Object} artboardLayer - Source artboard layer object
+ * @param {Object} roleLayers - Role → layer name map from the source config
+ * @returns {Array<Object>} [{ topLevelName, layers: [{ id, name, kind, isCorner }] }]
+ */
+const collectSourceRasterLayers = (artboardLayer, roleLayers = {}) => {
+  const cornerNames = new Set(CORNER_ROLES.map((role) => roleLayers?.[role]).filter(Boolean));
+  return (artboardLayer.layers || []).map((topLevel) => ({
+    topLevelName: topLevel.name,
+    layers: collectRasterLayers(topLevel, cornerNames),
+  }));
+};
+
+// ============================================================================
+// Preflight
+// ============================================================================
+
+/**
+ * Run the upscaling preflight for a batch without touching the document
+ * Uses the same source selection, skips and scale rules as generateArtboardsBatch
+ * @param {Array<Object>} sizes - Array of size configurations
+ * @param {Object} sourceConfig - Source artboard configuration
+ * @param {Object} options - Generation options (safeAreas, upscaleThreshold, sourceTypes, sourceOverrides, skipSourceMatches, printSettings)
+ * @returns {Promise<Object>} Report { threshold, sizes, flaggedCount, exceedsThresholdCount, requiresConfirmation }
+ */
+export const runUpscalePreflight = async (sizes, sourceConfig, options = {}) => {
+  console.log('[runUpscalePreflight] Checking', sizes.length, 'sizes');
+
+  const threshold = options.upscaleThreshold || DEFAULT_UPSCALE_THRESHOLD;
+  const sourceBoundsCache = await getSourceBoundsCache(sourceConfig);
+  const resolution = getDocumentResolution();
+  const safetyMarginPx = getSafetyMarginPx(options.printSettings, resolution);
+  const { sizesToGenerate } = planBatchSizes(sizes, sourceBoundsCache, {
+    skipSourceMatches: options.skipSourceMatches !== false,
+    sourceTypes: options.sourceTypes,
+    sourceOverrides: options.sourceOverrides,
+    resolution,
+    printSettings: options.printSettings,
+  });
+
+  // Read each source's layer tree once
+  const sourceRasterLayers = {};
+  for (const sourceType of Object.keys(sourceBoundsCache)) {
+    const source = sourceConfig[sourceType];
+    try {
+      const sourceInfo = await getSourceArtboard(source.artboard);
+      sourceRasterLayers[sourceType] = collectSourceRasterLayers(sourceInfo.layer, source.layers);
+    } catch (e) {
+      console.warn(`[runUpscalePreflight] Could not read ${sourceType} source layers:`, e.message);
+    }
+  }
+
+  const report = {
+    threshold,
+    sizes: [],
+    flaggedCount: 0,
+    exceedsThresholdCount: 0,
+    requiresConfirmation: false,
+  };
+
+  for (const sizeConfig of sizesToGenerate) {
+    const sourceBounds = sourceBoundsCache[sizeConfig.sourceType];
+    const groups = sourceRasterLayers[sizeConfig.sourceType];
+    if (!sourceBounds || !groups) continue;
+
+    const targetSize = { width: sizeConfig.actualWidth, height: sizeConfig.actualHeight };
+    const trimSize = { width: sizeConfig.width, height: sizeConfig.height };
+    const safeArea = resolvePlacementInsets(sizeConfig, options.safeAreas, sizeConfig.bleedPx > 0 ? safetyMarginPx : 0);
+    const cornerScale = calculateScalePercent(sourceBounds, trimSize, 'relative');
+
+    const flaggedLayers = [];
+    for (const group of groups) {
+      const groupScale = calculateLayerScalePercent(group.topLevelName, sourceBounds, targetSize, sizeConfig.bleedPx, safeArea);
+
+      for (const layer of group.layers) {
+        const scalePercent = layer.isCorner ? cornerScale : groupScale;
+        if (scalePercent <= 100) continue;
+
+        flaggedLayers.push({
+          ...layer,
+          topLevelName: group.topLevelName,
+          scalePercent,
+          exceedsThreshold: scalePercent > threshold,
+        });
+      }
+    }
+
+    if (flaggedLayers.length === 0) continue;
+
+    const exceeding = flaggedLayers.filter((l) => l.exceedsThreshold).length;
+    report.sizes.push({
+      name: sizeConfig.name,
+      width: sizeConfig.width,
+      height: sizeConfig.height,
+      sourceType: sizeConfig.sourceType,
+      maxScale: Math.max(...flaggedLayers.map((l) => l.scalePercent)),
+      layers: flaggedLayers,
+    });
+    report.flaggedCount += flaggedLayers.length;
+    report.exceedsThresholdCount += exceeding;
+
+    console.log(`[runUpscalePreflight] "${sizeConfig.name}": ${flaggedLayers.length} upscaled raster layers (${exceeding} over ${threshold}%)`);
+  }
+
+  report.requiresConfirmation = report.exceedsThresholdCount > 0;
+  console.log(`[runUpscalePreflight] ✓ ${report.flaggedCount} upscaled layers across ${report.sizes.length} sizes, ${report.exceedsThresholdCount} over ${threshold}%`);
+
+  return report;
+};
+
+export default {
+  runUpscalePreflight,
+  DEFAULT_UPSCALE_THRESHOLD,
+};
@@ -3,6 +3,8 @@
  * Centralizes all app configuration and environment variables
  */
 
+import manifest from '../../manifest.json';
+
 /**
  * Layer role definitions for artboard generator
  */
@@ -10,99 +12,76 @@ export const LAYER_ROLES = [
   { id: 'background', label: 'Background', required: false },
   { id: 'title', label: 'Title / Main Content', required: false },
   { id: 'overlays', label: 'Overlays', required: false },
-  // Corner pinning not yet supported
-  // { id: 'cornerTopLeft', label: 'Corner: Top Left', required: false },
-  // { id: 'cornerTopRight', label: 'Corner: Top Right', required: false },
-  // { id: 'cornerBottomLeft', label: 'Corner: Bottom Left', required: false },
-  // { id: 'cornerBottomRight', label: 'Corner: Bottom Right', required: false },
+  { id: 'cornerTopLeft', label: 'Corner: Top Left', required: false, corner: true },
+  { id: 'cornerTopRight', label: 'Corner: Top Right', required: false, corner: true },
+  { id: 'cornerBottomLeft', label: 'Corner: Bottom Left', required: false, corner: true },
+  { id: 'cornerBottomRight', label: 'Corner: Bottom Right', required: false, corner: true },
 ];
 
 /**
  * Layer name patterns for auto-detection
  * Each role has an array of patterns (case-insensitive) to match against layer names
- * STANDARDIZED: Only BKG, TEXT, and ADJUST patterns are used
+ * STANDARDIZED: BKG, TEXT and ADJUST for the main roles, CORNER TL/TR/BL/BR for pinned corners
  */
 export const LAYER_NAME_PATTERNS = {
   background: ['bkg'],
   title: ['text'],
   overlays: ['adjust'],
-  // Corner pinning not yet supported
-  // cornerTopLeft: [],
-  // cornerTopRight: [],
-  // cornerBottomLeft: [],
-  // cornerBottomRight: [],
+  cornerTopLeft: ['corner tl', 'corner_tl', 'corner-tl'],
+  cornerTopRight: ['corner tr', 'corner_tr', 'corner-tr'],
+  cornerBottomLeft: ['corner bl', 'corner_bl', 'corner-bl'],
+  cornerBottomRight: ['corner br', 'corner_br', 'corner-br'],
 };
 
 /**
- * Source type configurations for artboard generator
+ * Source type definitions for artboard generator
+ * Each source covers a range of aspect ratios (width / height). minRatio and maxRatio are
+ * inclusive; null leaves that end open, and a source with neither is matched by targetRatio alone.
+ * A size goes to the source whose range contains its ratio - when several do (or none does),
+ * the one whose targetRatio is closest wins. Users can add their own in Settings.
  */
 export const SOURCE_TYPES = [
-  { id: 'landscape', label: 'Landscape (16:9)', icon: '▭' },
-  { id: 'portrait', label: 'Portrait (9:16)', icon: '▯' },
-  { id: 'square', label: 'Square (1:1)', icon: '□' },
+  { id: 'landscape', label: 'Landscape (16:9)', icon: '▭', minRatio: 1.15, maxRatio: null, targetRatio: 16 / 9 },
+  { id: 'portrait', label: 'Portrait (9:16)', icon: '▯', minRatio: null, maxRatio: 0.85, targetRatio: 9 / 16 },
+  { id: 'square', label: 'Square (1:1)', icon: '□', minRatio: 0.85, maxRatio: 1.15, targetRatio: 1 },
 ];
 
 /**
- * Source type icons for visual identification
+ * Create an empty source configuration entry (no artboard, no layer roles assigned)
+ * @returns {Object} Source configuration entry { artboard, layers }
  */
-export const SOURCE_TYPE_ICONS = {
-  landscape: '▭ ',
-  portrait: '▯ ',
-  square: '□ ',
-};
+export const createSourceConfigEntry = () => ({
+  artboard: '',
+  layers: Object.fromEntries(LAYER_ROLES.map((role) => [role.id, null])),
+});
 
 /**
- * Aspect ratio thresholds for determining source type
+ * Default source configuration template - one entry per default source type
  */
-export const ASPECT_RATIO_THRESHOLDS = {
-  PORTRAIT_MAX: 0.85,
-  SQUARE_MAX: 1.15,
-};
+export const DEFAULT_SOURCE_CONFIG = Object.fromEntries(
+  SOURCE_TYPES.map((sourceType) => [sourceType.id, createSourceConfigEntry()])
+);
 
 /**
- * Default source configuration template
+ * Default safe-area rules for title/TEXT placement
+ * Each rule matches a size by name pattern (case-insensitive substring) or by exact type.
+ * The first matching rule wins. Insets are measured from the trim edges, in pixels or
+ * as a percentage of the trim width (left/right) or height (top/bottom).
  */
-export const DEFAULT_SOURCE_CONFIG = {
-  landscape: {
-    artboard: '',
-    layers: {
-      background: null,
-      title: null,
-      overlays: null,
-      // Corner pinning not yet supported
-      // cornerTopLeft: null,
-      // cornerTopRight: null,
-      // cornerBottomLeft: null,
-      // cornerBottomRight: null,
-    },
-  },
-  portrait: {
-    artboard: '',
-    layers: {
-      background: null,
-      title: null,
-      overlays: null,
-      // Corner pinning not yet supported
-      // cornerTopLeft: null,
-      // cornerTopRight: null,
-      // cornerBottomLeft: null,
-      // cornerBottomRight: null,
-    },
-  },
-  square: {
-    artboard: '',
-    layers: {
-      background: null,
-      title: null,
-      overlays: null,
-      // Corner pinning not yet supported
-      // cornerTopLeft: null,
-      // cornerTopRight: null,
-      // cornerBottomLeft: null,
-      // cornerBottomRight: null,
-    },
-  },
-};
+export const DEFAULT_SAFE_AREAS = [
+  { matchBy: 'name', match: 'story', top: 250, right: 0, bottom: 250, left: 0, unit: 'pixels' },
+  { matchBy: 'name', match: 'reel', top: 250, right: 0, bottom: 250, left: 0, unit: 'pixels' },
+  { matchBy: 'type', match: 'video', top: 5, right: 5, bottom: 5, left: 5, unit: 'percent' },
+];
+
+/**
+ * Default rules for sizes whose artboards get a transparent background (PNG deliverables)
+ * Rules match like safe areas - by name pattern (case-insensitive substring) or by exact type.
+ */
+export const DEFAULT_TRANSPARENT_BACKGROUNDS = [
+  { matchBy: 'name', match: 'png' },
+  { matchBy: 'name', match: 'transparent' },
+];
 
 /**
  * Default artboard size presets organized by category
@@ -123,7 +102,7 @@ export const config = {
   // App metadata
   app: {
     name: 'mySquad.ps',
-    version: '1.0.0',
+    version: manifest.version, // Kept in step with the manifest the plugin ships with
   },
 
   // API configuration